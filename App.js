@@ -1,36 +1,80 @@
 import * as ScreenOrientation from 'expo-screen-orientation';
 import Matter from 'matter-js';
 import React, {useEffect, useRef, useState} from 'react';
-import {Dimensions, Image, StatusBar, StyleSheet, Text, TouchableOpacity, View} from 'react-native';
+import {AppState, Dimensions, Image, StatusBar, StyleSheet, Text, TouchableOpacity, View} from 'react-native';
 import {GameEngine} from 'react-native-game-engine';
 import {GestureHandlerRootView} from 'react-native-gesture-handler';
+import AllyCommand from './components/allyCommand';
 import Credits from './components/credits';
 import GameOverMenu from './components/gameOverMenu';
 import GamePlayMenu from './components/gamePlayMenu';
 import HighScoreMenu from './components/highScoreMenu';
 import Joystick from './components/joystick';
+import LevelEditor from './components/levelEditor';
 import MainLoad from './components/mainLoad';
 import MenuWithOrientation from './components/menuWithOrientation';
 import {PauseIcon} from './components/MySvgComponent';
 import Sounds from './components/sounds';
+import Replays from './components/replays';
 import WinMenu from './components/win';
+import AiDebugOverlay from './entities/aiDebugOverlay';
+import Boost from './entities/boost';
+import {enemyRenderers} from './entities/enemyTank';
+import ShotRenderer from './entities/shot';
 import Tank from './entities/tank';
+import Wall from './entities/wall';
+import {DEFAULT_ALLY_ORDER, createAlly} from './system/allyAI';
+import {getBossStatus} from './system/bossAI';
 import Physics from './system/physics';
+import Projectiles from './system/projectiles';
+import {createFixedStepLoop} from './system/fixedStep';
 import {
     addHighScore,
     clearAllGameData,
+    clearCurrentRun,
+    clearGameState,
+    getCurrentDifficulty,
     getCurrentLevelAndScore,
+    getAdaptiveDifficulty,
+    getAiDebug,
+    getAllyEnabled,
+    getCurrentSeed,
+    getCustomLevels,
+    getDirectorState,
+    getGameState,
     getHighScores,
     getLatestScore,
+    saveAdaptiveDifficulty,
+    saveAiDebug,
+    saveAllyEnabled,
+    saveCurrentDifficulty,
     saveCurrentLevelAndScore,
+    saveCurrentSeed,
+    saveDirectorState,
+    saveGameState,
     saveLatestScore,
+    saveReplay,
     setUserID
 } from './utils/async-storage';
+import {updateAiDebug} from './utils/aiDebug';
+import {DEFAULT_DIFFICULTY, resolveDifficulty} from './utils/difficulty';
+import {createDirectorState, recordLevelCleared, recordRetry} from './utils/director';
+import {createEntityFactory} from './utils/entityFactory';
+import {restoreGameState, serializeGameState} from './utils/gameState';
+import {createRandom, deriveSeed, generateSeed, seedToCode} from './utils/random';
+import {createReplayRecorder} from './utils/replay';
+import {DEFAULT_WEAPON, getNextWeapon, getWeapon} from './utils/weapons';
 import soundManager from './utils/soundManager';
 import RemoveProgress from './components/removeProgress';
 
 const heartIcon = require('./assets/icons/icons8-heart.gif');
 
+// Entity factory wired to the on-screen renderers; the gameplay systems fall back to a renderer-less one when run headless
+const entityFactory = createEntityFactory({tank: Tank, enemies: enemyRenderers, wall: Wall, shot: ShotRenderer, boost: Boost});
+
+// Where the player's tank is placed when the game engine is mounted, until the level moves it to its start
+const TANK_START = {x: 100, y: 100};
+
 /**
  * Main application component that initializes and manages the game state.
  *
@@ -50,6 +94,8 @@ export default function App(options) {
     const [showSettings, setShowSettings] = useState(false);
     const [showWinMenu, setShowWinMenu] = useState(false);
     const [showCredits, setShowCredits] = useState(false);
+    const [showReplays, setShowReplays] = useState(false);
+    const [showEditor, setShowEditor] = useState(false);
     const [soundOn, setSoundOn] = useState(soundManager.soundOn);
     const [orientation, setOrientation] = useState('landscape');
     const appDimensions = useRef({width: Dimensions.get("window").width, height: Dimensions.get("window").height});
@@ -64,6 +110,24 @@ export default function App(options) {
     const [, setStageLevel] = useState(level.current.level);
     const isGameOverRef = useRef(false);
     const [showWarning, setShowWarning] = useState(false);
+    const bossStatus = useRef(null);
+    const [boss, setBoss] = useState(null);
+    const [bossDefeated, setBossDefeated] = useState(false);
+    const runSeed = useRef(generateSeed());
+    const runDifficulty = useRef(DEFAULT_DIFFICULTY);
+    const director = useRef(createDirectorState());
+    const [adaptiveDifficulty, setAdaptiveDifficulty] = useState(true);
+    const [allyEnabled, setAllyEnabled] = useState(false);
+    const allyOrder = useRef(DEFAULT_ALLY_ORDER);
+    const [allyOrderShown, setAllyOrderShown] = useState(DEFAULT_ALLY_ORDER);
+    const playerWeapon = useRef(DEFAULT_WEAPON);
+    const [weaponShown, setWeaponShown] = useState(DEFAULT_WEAPON);
+    const [aiDebug, setAiDebug] = useState(false);
+    const replayRecorder = useRef(null);
+    const gameLoop = useRef(null);
+    const liveGame = useRef(null);
+    const restoredBattlefield = useRef(null);
+    const customLevels = useRef({});
 
     // State variable to track if boost has been spawned
     const resetGameState = () => {
@@ -77,6 +141,8 @@ export default function App(options) {
         gameEngineRef.current = null;
         bulletRef.current = null;
         isGameOverRef.current = false;
+        liveGame.current = null;
+        restoredBattlefield.current = null;
         console.log('Game state has been fully reset to initial values.');
     };
 
@@ -93,8 +159,19 @@ export default function App(options) {
 
     useEffect(() => {
         setUserID()
+        clearCurrentRun()
     }, [])
 
+    // Save the battlefield when the app goes to the background
+    useEffect(() => {
+        const subscription = AppState.addEventListener('change', (nextAppState) => {
+            if (nextAppState === 'background' || nextAppState === 'inactive') {
+                saveBattlefield();
+            }
+        });
+        return () => subscription.remove();
+    }, []);
+
     // Lock orientation to landscape
     useEffect(() => {
         const lockToLandscape = async () => {
@@ -114,6 +191,10 @@ export default function App(options) {
                 setHighScores(highScoresData);
                 const latestScoreData = await getLatestScore();
                 setLatestScore(latestScoreData);
+                customLevels.current = await getCustomLevels();
+                setAdaptiveDifficulty(await getAdaptiveDifficulty());
+                setAllyEnabled(await getAllyEnabled());
+                setAiDebug(await getAiDebug());
             } catch (error) {
                 console.error('Error initializing game:', error);
             }
@@ -139,6 +220,53 @@ export default function App(options) {
         soundManager.setSoundOn(!soundOn);
     };
 
+    const toggleAdaptiveDifficulty = () => {
+        setAdaptiveDifficulty(!adaptiveDifficulty);
+        saveAdaptiveDifficulty(!adaptiveDifficulty);
+    };
+
+    const toggleAlly = () => {
+        setAllyEnabled(!allyEnabled);
+        saveAllyEnabled(!allyEnabled);
+    };
+
+    const toggleAiDebug = () => {
+        setAiDebug(!aiDebug);
+        saveAiDebug(!aiDebug);
+    };
+
+    // Give the allied tank an order; it is read by the ally AI at its next decision
+    const updateAllyOrder = (order) => {
+        allyOrder.current = order;
+        setAllyOrderShown(order);
+    };
+
+    // Pick the weapon the tank fires; it is read by Physics at the next step and kept from level to level
+    const updatePlayerWeapon = (weapon) => {
+        playerWeapon.current = weapon;
+        setWeaponShown(weapon);
+    };
+
+    const switchWeapon = () => {
+        updatePlayerWeapon(getNextWeapon(playerWeapon.current));
+    };
+
+    // The allied tank joins a freshly mounted game engine: the one saved with the battlefield, or a new one beside the tank
+    const mountAlly = () => {
+        if (!allyEnabled) return {};
+        const ally = restoredBattlefield.current ? restoredBattlefield.current.ally : createAlly(entityFactory, level.current, TANK_START);
+        return ally ? {ally} : {};
+    };
+
+    // The steps by which the adaptive difficulty director adjusts the next level, none while it is switched off
+    const getDirectorAdjustment = () => (adaptiveDifficulty ? director.current.adjustment : 0);
+
+    // Keep what the director learned about the player for the rest of the run
+    const updateDirector = (state) => {
+        director.current = state;
+        saveDirectorState(state);
+    };
+
     const controlEngine = (action) => {
         gameEngineRef.current = action;
     };
@@ -147,6 +275,79 @@ export default function App(options) {
         bulletRef.current = action;
     };
 
+    // Start recording a replay of the level that is about to be played, on a fresh game clock
+    const startReplayRecording = (gameState = null) => {
+        gameLoop.current = createFixedStepLoop();
+        replayRecorder.current = createReplayRecorder({
+            seed: runSeed.current,
+            difficulty: runDifficulty.current,
+            director: getDirectorAdjustment(),
+            level: level.current.level,
+            score: score.current,
+            health: userHealth.current,
+            screen: appDimensions.current,
+            ally: allyEnabled,
+            gameState,
+            levelDefinition: customLevels.current[level.current.level] || null
+        });
+    };
+
+    // Save the battlefield of the level in progress so "Continue" can restore it
+    const saveBattlefield = () => {
+        if (!liveGame.current) return;
+        const gameState = serializeGameState(liveGame.current.entities, {
+            seed: runSeed.current,
+            difficulty: runDifficulty.current,
+            director: getDirectorAdjustment(),
+            level: level.current,
+            score: score.current,
+            health: userHealth.current,
+            time: liveGame.current.time
+        });
+        if (gameState) {
+            saveGameState(gameState);
+        }
+    };
+
+    // Forget the battlefield once the level has ended
+    const endBattlefield = () => {
+        liveGame.current = null;
+        restoredBattlefield.current = null;
+        clearGameState();
+    };
+
+    // Stop recording and keep the replay of the attempt that just ended
+    const finishReplayRecording = (outcome) => {
+        const replay = replayRecorder.current ? replayRecorder.current.finish({outcome, score: score.current}) : null;
+        if (replay) {
+            saveReplay(replay);
+        }
+    };
+
+    // Record this frame's joystick and shoot inputs, then run the gameplay systems in fixed steps for the frame's duration
+    const runGameSystems = (entities, args) => {
+        if (!gameLoop.current) gameLoop.current = createFixedStepLoop();
+        const frameTime = replayRecorder.current ? replayRecorder.current.record(entities, args.time) : args.time;
+        const updatedEntities = gameLoop.current.run(entities, {...args, time: frameTime},
+            (stepEntities, stepArgs) => Projectiles(Physics(stepEntities, stepArgs, soundOn), stepArgs));
+        restoredBattlefield.current = null;
+        liveGame.current = {entities: updatedEntities, time: gameLoop.current.getTime().current};
+        // The AI debug overlay is drawn from the state the enemy AI left after the last step
+        updateAiDebug(updatedEntities, aiDebug, AiDebugOverlay, liveGame.current.time);
+        // Only re-render the HUD when the boss was hit or changed phase
+        const status = getBossStatus(updatedEntities);
+        const previous = bossStatus.current;
+        if (!status !== !previous || (status && (status.health !== previous.health || status.phase !== previous.phase))) {
+            updateBossStatus(status);
+        }
+        return updatedEntities;
+    };
+
+    const updateBossStatus = (status) => {
+        bossStatus.current = status;
+        setBoss(status);
+    };
+
     const updateLevelAndScore = (data, newScore) => {
         console.log(data, newScore)
         level.current = data;
@@ -155,6 +356,12 @@ export default function App(options) {
         saveCurrentLevelAndScore(level.current, score.current);
     };
 
+    // Close the level editor and pick up the levels saved in it
+    const handleCloseEditor = async () => {
+        setShowEditor(false);
+        customLevels.current = await getCustomLevels();
+    };
+
     const loadHighScores = async () => {
         try {
             const scores = await getHighScores();
@@ -201,9 +408,14 @@ export default function App(options) {
         const nextLevel = level.current.level + 1;
         const newScore = score.current;
         updateLevelAndScore({level: nextLevel, generated: false}, newScore);
+        updateBossStatus(null);
+        setBossDefeated(false);
         const newHealth = Math.min(userHealth.current + 50, 400);
         updateHealth(newHealth);
         controlBullet(null);
+        updateAllyOrder(DEFAULT_ALLY_ORDER);
+        endBattlefield();
+        startReplayRecording();
         setShowWinMenu(false);
         setRunning(true);
         isGameOverRef.current = false;
@@ -212,12 +424,21 @@ export default function App(options) {
     const updateHealth = (newHealth) => {
         userHealth.current = newHealth;
         setHealth(newHealth);
+        if (newHealth <= 0) {
+            finishReplayRecording('lost');
+            endBattlefield();
+        }
     };
 
     const handleMainMenu = () => {
+        finishReplayRecording('quit');
+        saveBattlefield();
+        liveGame.current = null;
         setPaused(false);
         setRunning(false);
         setShowWinMenu(false);
+        updateBossStatus(null);
+        setBossDefeated(false);
         userHealth.current = 100;
         setHealth(userHealth.current);
         controlBullet(null);
@@ -225,6 +446,10 @@ export default function App(options) {
     };
 
     const handleWin = () => {
+        finishReplayRecording('won');
+        if (adaptiveDifficulty) updateDirector(recordLevelCleared(director.current, level.current));
+        setBossDefeated(!!bossStatus.current);
+        endBattlefield();
         setShowWinMenu(true);
         setRunning(false);
     };
@@ -233,10 +458,15 @@ export default function App(options) {
         try {
             const currentLevel = level.current.level;
             const currentScore = score.current;
+            if (adaptiveDifficulty) updateDirector(recordRetry(director.current, currentLevel));
             updateLevelAndScore({level: currentLevel, generated: false}, currentScore);
+            updateBossStatus(null);
             userHealth.current = 100;
             setHealth(userHealth.current);
             controlBullet(null);  // Reset the bullet state
+            updateAllyOrder(DEFAULT_ALLY_ORDER);
+            endBattlefield();
+            startReplayRecording();
             setRunning(true);  // Restart the game
             isGameOverRef.current = false;
         } catch (error) {
@@ -249,6 +479,7 @@ export default function App(options) {
     };
 
     const handlePause = () => {
+        saveBattlefield();
         setPaused(true);
         setRunning(false);
     };
@@ -282,8 +513,16 @@ export default function App(options) {
                         onResetGameState={resetGameState}
                         clearAllGameData={handleClearScores}
                     />
+                ) : showEditor ? (
+                    <LevelEditor onGoBack={handleCloseEditor} entityFactory={entityFactory}/>
+                ) : showReplays ? (
+                    <Replays onGoBack={() => setShowReplays(false)} entityFactory={entityFactory}/>
                 ) : showSettings ? (
-                    <Sounds onToggleSound={toggleSound} soundOn={soundOn} onGoBack={() => setShowSettings(false)}/>
+                    <Sounds onToggleSound={toggleSound} soundOn={soundOn}
+                            adaptiveDifficulty={adaptiveDifficulty} onToggleAdaptiveDifficulty={toggleAdaptiveDifficulty}
+                            allyEnabled={allyEnabled} onToggleAlly={toggleAlly}
+                            aiDebug={aiDebug} onToggleAiDebug={toggleAiDebug}
+                            onGoBack={() => setShowSettings(false)}/>
                 ) : showWinMenu ? (
                     <WinMenu
                         onContinue={handleContinue}
@@ -291,12 +530,13 @@ export default function App(options) {
                         isGameOver={isGameOverRef.current}
                         currentHealth={health}
                         currentScore={score.current}
+                        bossDefeated={bossDefeated}
                     />
                 ) : showCredits ? (
                     <Credits onClose={handleGoBack}/>
                 ) : paused ? (
                     <GamePlayMenu onResume={handleResume} onMainMenu={handleMainMenu}
-                                  onSettings={() => setShowSettings(true)}/>
+                                  onSettings={() => setShowSettings(true)} seedCode={seedToCode(runSeed.current)}/>
                 ) : running && health > 0 ? (
                     <>
                         <Text style={styles.levelText}>Level: {level.current.level}</Text>
@@ -305,25 +545,37 @@ export default function App(options) {
                             <Image source={heartIcon} style={styles.heartIcon}/>
                             <Text style={styles.healthText}>{health}</Text>
                         </View>
+                        {boss && (
+                            <View style={styles.bossBarContainer}>
+                                <Text style={styles.bossBarLabel}>{boss.label} · {boss.phase}</Text>
+                                <View style={styles.bossBar}>
+                                    <View style={[styles.bossBarFill, {width: `${(boss.health / boss.maxHealth) * 100}%`}]}/>
+                                </View>
+                            </View>
+                        )}
                         <GameEngine
                             ref={gameEngineRef}
                             style={styles.gameEngine}
-                            systems={[(entities, time) => Physics(entities, time, soundOn)]}
+                            systems={[runGameSystems]}
                             entities={{
                                 getOrientationChange: () => orientationChange.current,
                                 setOrientationChange: (data) => setOrientationChange(data),
                                 physics: {engine: Matter.Engine.create(), world: Matter.World.create(options)},
-                                tank: {
-                                    body: Matter.Bodies.rectangle(100, 100, 64, 46),
+                                tank: restoredBattlefield.current ? restoredBattlefield.current.tank : entityFactory.tank({
+                                    ...TANK_START,
                                     color: 'blue',
-                                    renderer: Tank,
                                     health: userHealth.current,
                                     ai: false
-                                },
+                                }),
+                                ...(restoredBattlefield.current && restoredBattlefield.current.boost ? {boost: restoredBattlefield.current.boost} : {}),
+                                ...mountAlly(),
                                 getControlState: () => gameEngineRef.current,
                                 getBulletState: () => bulletRef.current,
+                                getAllyOrder: () => allyOrder.current,
+                                getPlayerWeapon: () => playerWeapon.current,
                                 getScreenDimension: () => appDimensions.current,
                                 getCurrentLevel: () => level.current,
+                                getLevelDefinition: (levelNumber) => customLevels.current[levelNumber] || null,
                                 setCurrentLevel: (data) => updateLevelAndScore(data, score.current),
                                 getCurrentEnemies: () => enemies.current,
                                 setCurrentEnemies: (data) => updateEnemies(data),
@@ -334,6 +586,12 @@ export default function App(options) {
                                 updateScore: () => updateScore(),
                                 setWin: handleWin,
                                 onBoostCollected: onBoostCollected,
+                                onPlayerDestroyed: () => setUserID(),
+                                playSound: (name) => soundManager.playSound(name),
+                                random: createRandom(deriveSeed(runSeed.current, level.current.level)),
+                                difficulty: runDifficulty.current,
+                                director: getDirectorAdjustment(),
+                                entityFactory: entityFactory,
                                 soundOn: soundOn
                             }}
                         />
@@ -341,13 +599,20 @@ export default function App(options) {
                         <TouchableOpacity onPress={handlePause} style={styles.pauseButton}>
                             <PauseIcon name="pause" size={30} color="black"/>
                         </TouchableOpacity>
-                        <Joystick controlEngine={controlEngine} controlBullet={controlBullet}/>
+                        {allyEnabled && (
+                            <View style={styles.allyCommand}>
+                                <AllyCommand order={allyOrderShown} onOrder={updateAllyOrder}/>
+                            </View>
+                        )}
+                        <Joystick controlEngine={controlEngine} controlBullet={controlBullet}
+                                  weaponLabel={getWeapon(weaponShown).label} onSwitchWeapon={switchWeapon}/>
                     </>
                 ) : health <= 0 ? (
                     <GameOverMenu
                         onRetry={handleRetry}
                         onMainMenu={() => {
                             setUserID()
+                            clearCurrentRun()
                             setRunning(false);
                             userHealth.current = 100;
                             setHealth(userHealth.current);
@@ -357,21 +622,50 @@ export default function App(options) {
                         isGameOver={isGameOverRef.current}
                         currentScore={score.current}
                         currentLevel={level.current.level}
+                        seedCode={seedToCode(runSeed.current)}
                     />
                 ) : (
                     <MenuWithOrientation
-                        onStartGame={async () => {
-                            const {level, score} = await getCurrentLevelAndScore();
-                            updateLevelAndScore({level: level.level, generated: false}, score);
-                            userHealth.current = 100;
+                        onStartGame={async (enteredSeed, chosenDifficulty) => {
+                            // A seed code typed in the menu starts a fresh run on that seed, otherwise the saved run continues
+                            const seeded = enteredSeed !== null && enteredSeed !== undefined;
+                            const savedSeed = seeded ? null : await getCurrentSeed();
+                            runSeed.current = seeded ? enteredSeed : savedSeed ?? generateSeed();
+                            saveCurrentSeed(runSeed.current);
+                            // A new game plays on the difficulty chosen in the menu, a continued one keeps the difficulty of its run
+                            runDifficulty.current = resolveDifficulty(chosenDifficulty ?? await getCurrentDifficulty());
+                            saveCurrentDifficulty(runDifficulty.current);
+                            // The director starts over with every new game and picks up where it was on a continued one
+                            updateDirector((chosenDifficulty ? null : await getDirectorState()) || createDirectorState());
+                            const {level, score} = seeded ? {level: {level: 1}, score: 0} : await getCurrentLevelAndScore();
+                            // Continue restores the exact battlefield the level was left with, if it was saved on this run
+                            const savedState = seeded ? null : await getGameState();
+                            const restored = savedState && savedState.seed === runSeed.current && savedState.level === level.level
+                                ? restoreGameState(savedState, entityFactory) : null;
+                            if (restored) {
+                                enemies.current = restored.enemies;
+                                walls.current = restored.walls;
+                                updateLevelAndScore(restored.level, score);
+                                userHealth.current = savedState.health;
+                            } else {
+                                clearGameState();
+                                updateLevelAndScore({level: level.level, generated: false}, score);
+                                userHealth.current = 100;
+                            }
+                            restoredBattlefield.current = restored;
                             setHealth(userHealth.current);
                             controlBullet(null);
+                            updateAllyOrder(DEFAULT_ALLY_ORDER);
+                            updatePlayerWeapon(restored ? restored.tank.weapon : DEFAULT_WEAPON);
+                            startReplayRecording(restored ? savedState : null);
                             setRunning(true);
                             await ScreenOrientation.lockAsync(ScreenOrientation.OrientationLock.LANDSCAPE);
                         }}
                         onSettings={() => setShowSettings(true)}
                         onCredits={() => setShowCredits(true)}
                         onShowHighScores={handleShowHighScores}
+                        onShowReplays={() => setShowReplays(true)}
+                        onOpenEditor={() => setShowEditor(true)}
                     />
                 )}
 
@@ -432,6 +726,11 @@ export default function App(options) {
  * @property {string} healthText.fontWeight - Font weight for the health text.
  * @property {string} healthText.color - Text color for the health text.
  *
+ * @property {object} bossBarContainer - Style for the boss health bar shown on boss levels, centred under the player health.
+ * @property {object} bossBarLabel - Style for the name and attack phase of the boss.
+ * @property {object} bossBar - Style for the track of the boss health bar.
+ * @property {object} bossBarFill - Style for the remaining health of the boss.
+ *
  * @property {object} pauseButton - Style for the pause button.
  * @property {string} pauseButton.position - Defines the positioning method used for this element.
  * @property {number} pauseButton.top - Distance from the top of the container.
@@ -441,6 +740,8 @@ export default function App(options) {
  * @property {number} pauseButton.borderRadius - Border radius for rounded corners.
  * @property {number} pauseButton.zIndex - Z-index to ensure the button appears on top.
  *
+ * @property {object} allyCommand - Style for the command button of the allied tank, above the shoot button.
+ *
  * @property {undefined} gameEngine - Placeholder for the game engine instance, currently undefined.
  */
 const styles = StyleSheet.create({
@@ -485,6 +786,32 @@ const styles = StyleSheet.create({
         fontWeight: 'bold',
         color: 'red',
     },
+    bossBarContainer: {
+        position: 'absolute',
+        top: 60,
+        left: '25%',
+        width: '50%',
+        alignItems: 'center',
+        zIndex: 10, // Ensure the boss bar is on top
+    },
+    bossBarLabel: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: 'black',
+        textTransform: 'uppercase',
+        marginBottom: 2,
+    },
+    bossBar: {
+        width: '100%',
+        height: 10,
+        borderWidth: 1,
+        borderColor: 'black',
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    },
+    bossBarFill: {
+        height: '100%',
+        backgroundColor: 'crimson',
+    },
     pauseButton: {
         position: 'absolute',
         top: 20,
@@ -493,6 +820,12 @@ const styles = StyleSheet.create({
         padding: 10,
         borderRadius: 0,
         zIndex: 10, // Ensure button is on top
+    },
+    allyCommand: {
+        position: 'absolute',
+        bottom: 130,
+        right: 40,
+        zIndex: 10, // Ensure the orders are on top
     }, gameEngine: undefined
 
 });
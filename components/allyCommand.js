@@ -0,0 +1,114 @@
+import React, {useState} from 'react';
+import {StyleSheet, Text, TouchableOpacity, View} from 'react-native';
+import {ALLY_ORDERS} from '../system/allyAI';
+
+/**
+ * The orders offered around the command button, with their labels and where they sit on the
+ * arc, in radians from the button (0 is to the left, π/2 is above).
+ *
+ * @type {Array<{order: string, label: string, angle: number}>}
+ */
+const COMMANDS = [
+    {order: ALLY_ORDERS.FOLLOW, label: 'Follow', angle: 0},
+    {order: ALLY_ORDERS.HOLD, label: 'Hold', angle: Math.PI / 4},
+    {order: ALLY_ORDERS.ATTACK, label: 'Attack', angle: Math.PI / 2}
+];
+
+/**
+ * How far the orders sit from the centre of the command button, in pixels.
+ *
+ * @type {number}
+ */
+const RADIUS = 70;
+
+/**
+ * A small radial menu for giving orders to the allied tank.
+ *
+ * Tapping the button opens the orders on an arc around it; tapping an order gives it and closes
+ * the menu. The order the ally follows is highlighted, and its initial is shown on the button.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.order - The order the allied tank follows, one of `ALLY_ORDERS`.
+ * @param {function} props.onOrder - Called with the order the player picked.
+ * @returns {JSX.Element} The command button.
+ */
+const AllyCommand = ({order, onOrder}) => {
+    const [open, setOpen] = useState(false);
+
+    const handleOrder = (nextOrder) => {
+        try {
+            onOrder(nextOrder);
+        } catch (error) {
+            console.error('Error giving ally order:', error);
+        }
+        setOpen(false);
+    };
+
+    const current = COMMANDS.find(command => command.order === order) || COMMANDS[0];
+
+    return (
+        <View style={styles.container}>
+            {open && COMMANDS.map(({order: command, label, angle}) => (
+                <TouchableOpacity
+                    key={command}
+                    onPress={() => handleOrder(command)}
+                    style={[
+                        styles.option,
+                        command === order && styles.optionActive,
+                        {transform: [{translateX: -Math.cos(angle) * RADIUS}, {translateY: -Math.sin(angle) * RADIUS}]}
+                    ]}
+                >
+                    <Text style={styles.optionText}>{label}</Text>
+                </TouchableOpacity>
+            ))}
+            <TouchableOpacity onPress={() => setOpen(!open)} style={styles.button}>
+                <Text style={styles.buttonText}>{open ? '×' : current.label[0]}</Text>
+            </TouchableOpacity>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        width: 50,
+        height: 50,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    button: {
+        width: 50,
+        height: 50,
+        borderRadius: 25,
+        backgroundColor: 'rgba(0, 128, 0, 0.6)',
+        borderWidth: 2,
+        borderColor: '#D8A422',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    buttonText: {
+        color: 'white',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    option: {
+        position: 'absolute',
+        width: 60,
+        height: 30,
+        borderRadius: 15,
+        backgroundColor: 'rgba(27, 27, 27, 0.8)',
+        borderWidth: 1,
+        borderColor: '#D8A422',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    optionActive: {
+        backgroundColor: 'rgba(0, 128, 0, 0.9)',
+    },
+    optionText: {
+        color: 'white',
+        fontSize: 12,
+        fontWeight: 'bold',
+    },
+});
+
+export default AllyCommand;
@@ -47,13 +47,14 @@ const Button = ({title, onPress, style}) => (
  * @param {object} isGameOver - Ref object that indicates whether the game is over.
  * @param {number} currentScore - The score achieved in the current game.
  * @param {number} currentLevel - The level reached in the current game.
+ * @param {string} [seedCode] - The seed code of the run, shown so the map can be shared or reported.
  *
  * @component
  *
  * @description
  * This component handles the game over state and provides options to retry the game or return to the main menu. The final level and score are displayed, and if enabled, a game-over sound is played. It also handles locking the screen orientation to landscape mode and synchronizes the sound state with a sound manager.
  */
-const GameOverMenu = ({onRetry, onMainMenu, isGameOver, currentScore, currentLevel}) => {
+const GameOverMenu = ({onRetry, onMainMenu, isGameOver, currentScore, currentLevel, seedCode}) => {
     const [gameOverSound, setGameOverSound] = useState(null);
     const [level, setLevel] = useState(currentLevel || 1);
     const [finalScore, setFinalScore] = useState(currentScore);
@@ -127,6 +128,7 @@ const GameOverMenu = ({onRetry, onMainMenu, isGameOver, currentScore, currentLev
             <Image source={heartIcon} style={styles.heartIcon}/>
             <Text style={styles.healthText}>Final Health: 0</Text>
             <Text style={styles.scoreText}>Final Score: {finalScore}</Text>
+            {seedCode ? <Text style={styles.seedText}>Seed: {seedCode}</Text> : null}
             <Text style={styles.levelText}>Final Level: {level}</Text>
             <View style={styles.buttonContainer}>
                 <Button title="Retry" onPress={onRetry} style={styles.retryButton}/>
@@ -191,6 +193,13 @@ const styles = StyleSheet.create({
         textShadowOffset: {width: 1, height: 1},
         textShadowRadius: 2,
     },
+    seedText: {
+        fontSize: normalize(16),
+        color: '#aaa',
+        textAlign: 'center',
+        marginBottom: 5,
+        letterSpacing: 2,
+    },
     buttonContainer: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -8,13 +8,15 @@ import {StyleSheet, Text, TouchableOpacity, View} from 'react-native';
  * @param {function} props.onResume - The function to be called when the Resume button is pressed.
  * @param {function} props.onMainMenu - The function to be called when the Main Menu button is pressed.
  * @param {function} props.onSettings - The function to be called when the Settings button is pressed.
+ * @param {string} [props.seedCode] - The seed code of the current run, shown so the map can be shared or reported.
  *
  * @returns {JSX.Element} The rendered GamePlayMenu component.
  */
-const GamePlayMenu = ({ onResume, onMainMenu, onSettings }) => {
+const GamePlayMenu = ({ onResume, onMainMenu, onSettings, seedCode }) => {
     return (
         <View style={styles.container}>
             <Text style={styles.title}>Paused</Text>
+            {seedCode ? <Text style={styles.seedText}>Seed: {seedCode}</Text> : null}
             <TouchableOpacity style={styles.button} onPress={onResume}>
                 <Text style={styles.buttonText}>Resume</Text>
             </TouchableOpacity>
@@ -93,6 +95,12 @@ const styles = StyleSheet.create({
         textShadowOffset: { width: 1, height: 1 },
         textShadowRadius: 2,
     },
+    seedText: {
+        fontSize: 16,
+        color: '#fff',
+        marginBottom: 10,
+        letterSpacing: 2,
+    },
     button: {
         backgroundColor: '#000000',
         paddingVertical: 15,
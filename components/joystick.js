@@ -6,15 +6,18 @@ import * as ScreenOrientation from 'expo-screen-orientation';
 
 /**
  * Joystick functional component responsible for handling user input
- * through a joystick and shoot button interface.
+ * through a joystick and shoot button interface. A weapon button next to Shoot shows the
+ * weapon the tank fires and switches to the next one when tapped.
  *
  * @param {Object} props - Props passed to the component.
  * @param {function} props.controlEngine - Function to control the engine movement based on joystick input.
  * @param {function} props.controlBullet - Function to control bullet actions like shooting.
  * @param {Object} props.joystickRef - Reference to the joystick handler for gesture events.
  * @param {Object} props.shootButtonRef - Reference to the shoot button for press events.
+ * @param {string} [props.weaponLabel] - The label of the weapon the tank fires.
+ * @param {function} [props.onSwitchWeapon] - Called when the player taps the weapon button.
  */
-const Joystick = ({controlEngine, controlBullet, joystickRef, shootButtonRef}) => {
+const Joystick = ({controlEngine, controlBullet, joystickRef, shootButtonRef, weaponLabel, onSwitchWeapon}) => {
     const [position, setPosition] = useState({x: 0, y: 0});
 
     useEffect(() => {
@@ -86,6 +89,14 @@ const Joystick = ({controlEngine, controlBullet, joystickRef, shootButtonRef}) =
         }
     };
 
+    const handleSwitchWeapon = () => {
+        try {
+            if (onSwitchWeapon) onSwitchWeapon();
+        } catch (error) {
+            console.error('Error switching weapon:', error);
+        }
+    };
+
     return (
         <View style={styles.container}>
             <PanGestureHandler
@@ -103,15 +114,22 @@ const Joystick = ({controlEngine, controlBullet, joystickRef, shootButtonRef}) =
                 </View>
             </PanGestureHandler>
 
-            <TouchableOpacity
-                style={styles.shootButton}
-                onPressIn={handleShootPressIn}
-                onPressOut={handleShootPressOut}
-                ref={shootButtonRef}
-                simultaneousHandlers={joystickRef}
-            >
-                <Text style={styles.shootButtonText}>Shoot</Text>
-            </TouchableOpacity>
+            <View style={styles.buttons}>
+                {onSwitchWeapon ? (
+                    <TouchableOpacity style={styles.weaponButton} onPress={handleSwitchWeapon}>
+                        <Text style={styles.weaponButtonText}>{weaponLabel}</Text>
+                    </TouchableOpacity>
+                ) : null}
+                <TouchableOpacity
+                    style={styles.shootButton}
+                    onPressIn={handleShootPressIn}
+                    onPressOut={handleShootPressOut}
+                    ref={shootButtonRef}
+                    simultaneousHandlers={joystickRef}
+                >
+                    <Text style={styles.shootButtonText}>Shoot</Text>
+                </TouchableOpacity>
+            </View>
         </View>
     );
 };
@@ -148,6 +166,26 @@ const styles = StyleSheet.create({
         backgroundColor: 'rgba(0, 0, 255, 0.5)',
         position: 'absolute',
     },
+    buttons: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    weaponButton: {
+        width: 60,
+        height: 60,
+        borderRadius: 30,
+        backgroundColor: 'rgba(27, 27, 27, 0.6)',
+        borderWidth: 2,
+        borderColor: '#D8A422',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    weaponButtonText: {
+        color: 'white',
+        fontSize: 11,
+        fontWeight: 'bold',
+        textAlign: 'center',
+    },
     shootButton: {
         width: 80,
         height: 80,
@@ -0,0 +1,440 @@
+import * as ScreenOrientation from 'expo-screen-orientation';
+import Matter from 'matter-js';
+import React, {useEffect, useRef, useState} from 'react';
+import {StyleSheet, Text, TouchableOpacity, View} from 'react-native';
+import {GameEngine} from 'react-native-game-engine';
+import {createFixedStepLoop} from '../system/fixedStep';
+import Physics from '../system/physics';
+import Projectiles from '../system/projectiles';
+import {getCustomLevels, saveCustomLevel} from '../utils/async-storage';
+import {
+    EDITOR_CELL_SIZE,
+    EDITOR_TOOLS,
+    applyEditorTool,
+    createEditorHistory,
+    createEditorLevel,
+    definitionToEditorLevel,
+    editorLevelToDefinition,
+    pushEditorHistory,
+    redoEditorHistory,
+    undoEditorHistory
+} from '../utils/levelEditor';
+import {createRandom, generateSeed} from '../utils/random';
+import soundManager from '../utils/soundManager';
+import Joystick from './joystick';
+
+// Labels of the editor tools shown in the toolbar
+const TOOL_LABELS = {wall: 'Wall', enemy: 'Enemy', boost: 'Boost', player: 'Player', erase: 'Erase'};
+
+/**
+ * LevelTestPlay plays a level straight from the editor through `Physics` and `Projectiles`,
+ * the same systems the game runs, with the joystick for input.
+ *
+ * Nothing is written to storage: score, health and the level result only live on this screen.
+ *
+ * @param {Object} definition - The level definition being tested.
+ * @param {number} levelNumber - The level number the definition is tested as.
+ * @param {{width: number, height: number}} screen - The size of the battlefield the level was edited on.
+ * @param {Object} entityFactory - The entity factory wired to the on-screen renderers.
+ * @param {function} onStop - Callback function to be executed when the test is stopped.
+ */
+const LevelTestPlay = ({definition, levelNumber, screen, entityFactory, onStop}) => {
+    const controlRef = useRef(null);
+    const bulletRef = useRef(null);
+    const level = useRef({level: levelNumber, generated: false, boostSpawned: false});
+    const enemies = useRef({});
+    const walls = useRef({});
+    const userHealth = useRef(100);
+    const orientationChange = useRef(false);
+    const entities = useRef(null);
+    const loop = useRef(createFixedStepLoop());
+    const finished = useRef(false);
+    const [health, setHealth] = useState(userHealth.current);
+    const [result, setResult] = useState(null);
+
+    if (!entities.current) {
+        const engine = Matter.Engine.create();
+        entities.current = {
+            getOrientationChange: () => orientationChange.current,
+            setOrientationChange: (data) => {
+                orientationChange.current = data;
+            },
+            physics: {engine, world: engine.world},
+            tank: entityFactory.tank({x: 100, y: 100, color: 'blue', health: userHealth.current, ai: false}),
+            getControlState: () => controlRef.current,
+            getBulletState: () => bulletRef.current,
+            getScreenDimension: () => screen,
+            getCurrentLevel: () => level.current,
+            getLevelDefinition: (number) => number === levelNumber ? definition : null,
+            setCurrentLevel: (data) => {
+                level.current = data;
+            },
+            getCurrentEnemies: () => enemies.current,
+            setCurrentEnemies: (data) => {
+                enemies.current = data;
+            },
+            setBoundaryWalls: (data) => {
+                walls.current = data;
+            },
+            getBoundaryWalls: () => walls.current,
+            getUserHealth: () => userHealth.current,
+            setUserHealth: (data) => {
+                userHealth.current = data;
+                setHealth(data);
+                if (data <= 0) {
+                    finished.current = true;
+                    setResult('lost');
+                }
+            },
+            updateScore: () => {
+            },
+            setWin: () => {
+                finished.current = true;
+                setResult('won');
+            },
+            onBoostCollected: () => {
+                userHealth.current = Math.min(userHealth.current + 50, 400);
+                setHealth(userHealth.current);
+            },
+            playSound: (name) => soundManager.playSound(name),
+            random: createRandom(generateSeed()),
+            entityFactory,
+            soundOn: soundManager.soundOn
+        };
+    }
+
+    // Runs the game systems in fixed steps while the test is in progress
+    const testSystem = (currentEntities, args) => {
+        if (finished.current) return currentEntities;
+        return loop.current.run(currentEntities, args, (stepEntities, stepArgs) => (
+            Projectiles(Physics(stepEntities, stepArgs, soundManager.soundOn), stepArgs)
+        ));
+    };
+
+    return (
+        <View style={styles.testContainer}>
+            <GameEngine
+                style={[styles.testBattlefield, {width: screen.width, height: screen.height}]}
+                systems={[testSystem]}
+                entities={entities.current}
+                running={!result}
+            />
+            <View style={styles.testOverlay} pointerEvents="box-none">
+                <Text style={styles.overlayText}>
+                    Testing level {levelNumber}   Health: {Math.max(health, 0)}
+                </Text>
+                {result ? <Text style={styles.resultText}>{result === 'won' ? 'Level cleared' : 'Tank destroyed'}</Text> : null}
+                <TouchableOpacity style={styles.smallButton} onPress={onStop}>
+                    <Text style={styles.buttonText}>Stop</Text>
+                </TouchableOpacity>
+            </View>
+            {!result ? (
+                <Joystick
+                    controlEngine={(action) => {
+                        controlRef.current = action;
+                    }}
+                    controlBullet={(action) => {
+                        bulletRef.current = action;
+                    }}
+                />
+            ) : null}
+        </View>
+    );
+};
+
+/**
+ * LevelEditor is a React functional component for building levels on a grid.
+ *
+ * @param {function} onGoBack - Callback function to be executed when the "Back" button is pressed.
+ * @param {Object} entityFactory - The entity factory wired to the on-screen renderers, used for the preview and test-play.
+ *
+ * Tapping a grid cell applies the selected tool: walls, enemy spawns and boost spots are toggled,
+ * the player start is moved, and the eraser clears the cell. Edits can be undone and redone.
+ * The level can be test-played at once and saved to the device under a level number, where it
+ * replaces the bundled or procedural level with that number. The editor is shown in landscape mode.
+ */
+const LevelEditor = ({onGoBack, entityFactory}) => {
+    const [tool, setTool] = useState(EDITOR_TOOLS[0]);
+    const [history, setHistory] = useState(() => createEditorHistory(createEditorLevel()));
+    const [levelNumber, setLevelNumber] = useState(1);
+    const [battlefield, setBattlefield] = useState(null);
+    const [testing, setTesting] = useState(false);
+    const [message, setMessage] = useState('');
+    const customLevels = useRef({});
+
+    const grid = battlefield ? {
+        cols: Math.max(1, Math.floor(battlefield.width / EDITOR_CELL_SIZE)),
+        rows: Math.max(1, Math.floor(battlefield.height / EDITOR_CELL_SIZE))
+    } : null;
+
+    useEffect(() => {
+        if (testing) return;
+
+        const lockOrientation = async () => {
+            await ScreenOrientation.lockAsync(ScreenOrientation.OrientationLock.LANDSCAPE);
+        };
+        lockOrientation();
+    }, [testing]);
+
+    // Load the level saved under the selected number, or start from an empty grid
+    useEffect(() => {
+        if (!grid) return;
+
+        const loadLevel = async () => {
+            try {
+                customLevels.current = await getCustomLevels();
+                const saved = customLevels.current[levelNumber];
+                setHistory(createEditorHistory(saved ? definitionToEditorLevel(saved, grid) : createEditorLevel()));
+                setMessage(saved ? `Loaded level ${levelNumber}` : '');
+            } catch (error) {
+                console.error('Error loading custom level:', error);
+            }
+        };
+        loadLevel();
+    }, [levelNumber, grid && grid.cols, grid && grid.rows]);
+
+    const editorLevel = history.present;
+
+    const handleLayout = (event) => {
+        const {width, height} = event.nativeEvent.layout;
+        setBattlefield({width, height});
+    };
+
+    const handleCellPress = (event) => {
+        if (!grid) return;
+        const {locationX, locationY} = event.nativeEvent;
+        const cell = {
+            col: Math.min(grid.cols - 1, Math.floor(locationX / EDITOR_CELL_SIZE)),
+            row: Math.min(grid.rows - 1, Math.floor(locationY / EDITOR_CELL_SIZE))
+        };
+        setHistory(current => pushEditorHistory(current, applyEditorTool(current.present, tool, cell)));
+    };
+
+    const getDefinition = () => editorLevelToDefinition(editorLevel, grid, `Custom level ${levelNumber}`);
+
+    const handleTest = () => {
+        if (editorLevel.enemies.length === 0) {
+            setMessage('Place at least one enemy');
+            return;
+        }
+        setMessage('');
+        setTesting(true);
+    };
+
+    const handleSave = async () => {
+        if (editorLevel.enemies.length === 0) {
+            setMessage('Place at least one enemy');
+            return;
+        }
+        try {
+            await saveCustomLevel(levelNumber, getDefinition());
+            setMessage(`Saved as level ${levelNumber}`);
+        } catch (error) {
+            console.error('Error saving custom level:', error);
+        }
+    };
+
+    if (testing) {
+        return (
+            <LevelTestPlay
+                definition={getDefinition()}
+                levelNumber={levelNumber}
+                screen={battlefield}
+                entityFactory={entityFactory}
+                onStop={() => setTesting(false)}
+            />
+        );
+    }
+
+    // Build the preview with the game's own renderers, one entity per placed item
+    const cellCenter = ({col, row}) => ({
+        x: (col + 0.5) * EDITOR_CELL_SIZE,
+        y: (row + 0.5) * EDITOR_CELL_SIZE
+    });
+    const preview = [
+        ...editorLevel.walls.map(cell => entityFactory.wall({
+            ...cellCenter(cell),
+            width: EDITOR_CELL_SIZE,
+            height: EDITOR_CELL_SIZE,
+            color: 'red'
+        })),
+        ...editorLevel.enemies.map(cell => entityFactory.enemy({...cellCenter(cell)})),
+        ...editorLevel.boosts.map(cell => entityFactory.boost({position: cellCenter(cell), size: EDITOR_CELL_SIZE})),
+        entityFactory.tank({...cellCenter(editorLevel.playerStart), color: 'blue', ai: false})
+    ];
+
+    return (
+        <View style={styles.container}>
+            <View
+                style={styles.battlefield}
+                onLayout={handleLayout}
+                onStartShouldSetResponder={() => true}
+                onResponderRelease={handleCellPress}
+            >
+                <View style={StyleSheet.absoluteFill} pointerEvents="none">
+                    {grid && Array.from({length: grid.cols + 1}, (_, col) => (
+                        <View key={`col_${col}`} style={[styles.gridLine, {left: col * EDITOR_CELL_SIZE, top: 0, bottom: 0, width: 1}]}/>
+                    ))}
+                    {grid && Array.from({length: grid.rows + 1}, (_, row) => (
+                        <View key={`row_${row}`} style={[styles.gridLine, {top: row * EDITOR_CELL_SIZE, left: 0, right: 0, height: 1}]}/>
+                    ))}
+                    {preview.map((entity, index) => entity.renderer ? <entity.renderer key={index} {...entity}/> : null)}
+                </View>
+            </View>
+
+            <View style={styles.toolbar}>
+                {EDITOR_TOOLS.map(name => (
+                    <TouchableOpacity
+                        key={name}
+                        style={[styles.toolButton, tool === name ? styles.toolButtonSelected : null]}
+                        onPress={() => setTool(name)}
+                    >
+                        <Text style={styles.buttonText}>{TOOL_LABELS[name]}</Text>
+                    </TouchableOpacity>
+                ))}
+                <View style={styles.toolRow}>
+                    <TouchableOpacity style={styles.halfButton} onPress={() => setHistory(undoEditorHistory)}>
+                        <Text style={[styles.buttonText, history.past.length === 0 ? styles.disabledText : null]}>Undo</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.halfButton} onPress={() => setHistory(redoEditorHistory)}>
+                        <Text style={[styles.buttonText, history.future.length === 0 ? styles.disabledText : null]}>Redo</Text>
+                    </TouchableOpacity>
+                </View>
+                <View style={styles.toolRow}>
+                    <TouchableOpacity style={styles.halfButton} onPress={() => setLevelNumber(Math.max(1, levelNumber - 1))}>
+                        <Text style={styles.buttonText}>-</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.levelText}>Lv {levelNumber}</Text>
+                    <TouchableOpacity style={styles.halfButton} onPress={() => setLevelNumber(levelNumber + 1)}>
+                        <Text style={styles.buttonText}>+</Text>
+                    </TouchableOpacity>
+                </View>
+                <TouchableOpacity style={styles.toolButton} onPress={handleTest}>
+                    <Text style={styles.buttonText}>Test</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.toolButton} onPress={handleSave}>
+                    <Text style={styles.buttonText}>Save</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.toolButton} onPress={onGoBack}>
+                    <Text style={styles.buttonText}>Back</Text>
+                </TouchableOpacity>
+                {message ? <Text style={styles.messageText}>{message}</Text> : null}
+            </View>
+        </View>
+    );
+};
+
+/**
+ * Object containing styling properties used throughout the application.
+ */
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        flexDirection: 'row',
+        backgroundColor: '#1b1b1b',
+    },
+    battlefield: {
+        flex: 1,
+        backgroundColor: '#FFF',
+        overflow: 'hidden',
+    },
+    gridLine: {
+        position: 'absolute',
+        backgroundColor: '#ddd',
+    },
+    toolbar: {
+        width: 140,
+        padding: 8,
+        justifyContent: 'center',
+    },
+    toolRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    toolButton: {
+        marginVertical: 3,
+        paddingVertical: 6,
+        borderRadius: 20,
+        alignItems: 'center',
+        borderWidth: 2,
+        borderColor: '#D8A422',
+        backgroundColor: '#000',
+    },
+    toolButtonSelected: {
+        backgroundColor: '#D8A422',
+    },
+    halfButton: {
+        marginVertical: 3,
+        paddingVertical: 6,
+        paddingHorizontal: 10,
+        borderRadius: 20,
+        alignItems: 'center',
+        borderWidth: 2,
+        borderColor: '#D8A422',
+        backgroundColor: '#000',
+    },
+    smallButton: {
+        marginLeft: 10,
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        borderRadius: 20,
+        alignItems: 'center',
+        borderWidth: 2,
+        borderColor: '#D8A422',
+        backgroundColor: '#000',
+    },
+    buttonText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: 'bold',
+        textShadowColor: '#000',
+        textShadowOffset: {width: 1, height: 1},
+        textShadowRadius: 2,
+    },
+    disabledText: {
+        color: '#777',
+    },
+    levelText: {
+        color: '#D8A422',
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+    messageText: {
+        marginTop: 6,
+        color: '#D8A422',
+        fontSize: 12,
+        textAlign: 'center',
+    },
+    testContainer: {
+        flex: 1,
+        backgroundColor: '#1b1b1b',
+    },
+    testBattlefield: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        backgroundColor: '#FFF',
+    },
+    testOverlay: {
+        position: 'absolute',
+        top: 10,
+        left: 10,
+        right: 10,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    overlayText: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#000',
+    },
+    resultText: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#D8A422',
+    },
+});
+
+export default LevelEditor;
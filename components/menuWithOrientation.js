@@ -1,22 +1,31 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as ScreenOrientation from 'expo-screen-orientation';
 import React, {useEffect, useState} from 'react';
-import {StyleSheet, Text, TouchableOpacity, useWindowDimensions, View} from 'react-native';
-import {getCurrentLevelAndScore, getHighScores} from '../utils/async-storage';
+import {StyleSheet, Text, TextInput, TouchableOpacity, useWindowDimensions, View} from 'react-native';
+import {getCurrentLevelAndScore, getGameState, getHighScores} from '../utils/async-storage';
+import {DEFAULT_DIFFICULTY, DIFFICULTIES} from '../utils/difficulty';
+import {codeToSeed} from '../utils/random';
 
 /**
  * MenuWithOrientation is a functional component designed for a game menu interface with restricted orientation to portrait mode.
- * It includes options to start or continue a game, view high scores, access settings, and view credits.
+ * It includes options to start or continue a game, view high scores and replays, open the level editor, access settings, and view credits.
+ * A new game can be started from a shared seed code so two players get the same maps, and on one of the
+ * difficulty presets; a continued game keeps the difficulty it was started on.
  *
- * @param {Function} onStartGame - Callback function to start or continue the game.
+ * @param {Function} onStartGame - Callback function to start or continue the game. Receives the entered seed, or null,
+ * and the chosen difficulty, or null when the saved game continues.
  * @param {Function} onSettings - Callback function to open the settings menu.
  * @param {Function} onCredits - Callback function to view the credits section.
  * @param {Function} onShowHighScores - Callback function executed when showing high scores.
+ * @param {Function} onShowReplays - Callback function to open the replays screen.
+ * @param {Function} onOpenEditor - Callback function to open the level editor.
  */
-const MenuWithOrientation = ({onStartGame, onSettings, onCredits, onShowHighScores}) => {
+const MenuWithOrientation = ({onStartGame, onSettings, onCredits, onShowHighScores, onShowReplays, onOpenEditor}) => {
     const [highScores, setHighScores] = useState([]);
     const [showHighScores, setShowHighScores] = useState(false);
     const [hasSavedGame, setHasSavedGame] = useState(false);
+    const [seedCode, setSeedCode] = useState('');
+    const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
     const {width, height} = useWindowDimensions();
 
     useEffect(() => {
@@ -29,9 +38,10 @@ const MenuWithOrientation = ({onStartGame, onSettings, onCredits, onShowHighScor
             try {
                 const savedGame = await getCurrentLevelAndScore();
                 const savedHealth = await AsyncStorage.getItem('userHealth');
+                const savedBattlefield = await getGameState();
 
-                // Check if there is a saved game with a level greater than 1 or a score greater than 0
-                if ((savedGame.level && savedGame.level > 1) || (savedGame.score && savedGame.score > 0) || (savedHealth && savedHealth > 100)) {
+                // Check if there is a saved game with a level greater than 1, a score greater than 0 or a level left mid-way
+                if ((savedGame.level && savedGame.level > 1) || (savedGame.score && savedGame.score > 0) || (savedHealth && savedHealth > 100) || savedBattlefield) {
                     setHasSavedGame(true);
                 } else {
                     setHasSavedGame(false);
@@ -55,16 +65,50 @@ const MenuWithOrientation = ({onStartGame, onSettings, onCredits, onShowHighScor
         }
     };
 
+    const seed = codeToSeed(seedCode);
+    const newGame = seed !== null || !hasSavedGame;
+
     return (
         <View style={styles.container}>
             <View style={styles.buttonContainer}>
-                <TouchableOpacity style={styles.button} onPress={onStartGame}>
-                    <Text style={styles.buttonText}>{hasSavedGame ? 'Continue' : 'Start Game'}</Text>
+                <TouchableOpacity style={styles.button} onPress={() => onStartGame(seed, newGame ? difficulty : null)}>
+                    <Text style={styles.buttonText}>
+                        {seed !== null ? 'Start Seeded Game' : hasSavedGame ? 'Continue' : 'Start Game'}
+                    </Text>
                 </TouchableOpacity>
+                <TextInput
+                    style={[styles.seedInput, seedCode && seed === null ? styles.seedInputInvalid : null]}
+                    value={seedCode}
+                    onChangeText={setSeedCode}
+                    placeholder="Seed code (optional)"
+                    placeholderTextColor="#888"
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                    maxLength={7}
+                />
+                {newGame && (
+                    <View style={styles.difficultyContainer}>
+                        {Object.keys(DIFFICULTIES).map(name => (
+                            <TouchableOpacity
+                                key={name}
+                                style={[styles.difficultyButton, name === difficulty ? styles.difficultySelected : null]}
+                                onPress={() => setDifficulty(name)}
+                            >
+                                <Text style={styles.difficultyText}>{DIFFICULTIES[name].label}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                )}
 
                 <TouchableOpacity style={styles.button} onPress={handleHighScore}>
                     <Text style={styles.buttonText}>High Score</Text>
                 </TouchableOpacity>
+                <TouchableOpacity style={styles.button} onPress={onShowReplays}>
+                    <Text style={styles.buttonText}>Replays</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.button} onPress={onOpenEditor}>
+                    <Text style={styles.buttonText}>Level Editor</Text>
+                </TouchableOpacity>
                 <TouchableOpacity style={styles.button} onPress={onSettings}>
                     <Text style={styles.buttonText}>Settings</Text>
                 </TouchableOpacity>
@@ -115,6 +159,44 @@ const styles = StyleSheet.create({
         shadowRadius: 10,
         elevation: 10,
     },
+    seedInput: {
+        width: 250,
+        padding: 10,
+        borderRadius: 25,
+        marginBottom: 20,
+        borderWidth: 2,
+        borderColor: '#555',
+        backgroundColor: '#000',
+        color: '#fff',
+        fontSize: 18,
+        textAlign: 'center',
+        letterSpacing: 2,
+    },
+    seedInputInvalid: {
+        borderColor: '#ff4c4c',
+    },
+    difficultyContainer: {
+        flexDirection: 'row',
+        width: 320,
+        justifyContent: 'space-between',
+        marginBottom: 20,
+    },
+    difficultyButton: {
+        paddingVertical: 8,
+        paddingHorizontal: 10,
+        borderRadius: 15,
+        borderWidth: 2,
+        borderColor: '#555',
+        backgroundColor: '#000',
+    },
+    difficultySelected: {
+        borderColor: '#D8A422',
+    },
+    difficultyText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
     buttonText: {
         color: '#fff',
         fontSize: 20,
@@ -0,0 +1,280 @@
+import * as ScreenOrientation from 'expo-screen-orientation';
+import React, {useEffect, useRef, useState} from 'react';
+import {FlatList, StyleSheet, Text, TouchableOpacity, View} from 'react-native';
+import {GameEngine} from 'react-native-game-engine';
+import {deleteReplay, getReplays} from '../utils/async-storage';
+import {DIFFICULTIES, resolveDifficulty} from '../utils/difficulty';
+import {seedToCode} from '../utils/random';
+import {createReplayPlayer} from '../utils/replay';
+
+/**
+ * ReplayPlayback plays a saved replay back through the game's systems.
+ *
+ * The recorded inputs are fed to a simulation built from the replay's seed, and the
+ * resulting entities are drawn by a `GameEngine` like a live game. The overlay shows
+ * the level, score and health and reports when the replay has ended.
+ *
+ * @param {Object} replay - The replay log to play back.
+ * @param {Object} entityFactory - The entity factory wired to the on-screen renderers.
+ * @param {function} onGoBack - Callback function to be executed when the "Back" button is pressed.
+ */
+const ReplayPlayback = ({replay, entityFactory, onGoBack}) => {
+    const player = useRef(null);
+    const lastStatus = useRef({score: replay.score, health: replay.health, finished: false});
+    const [status, setStatus] = useState(lastStatus.current);
+
+    if (!player.current) {
+        player.current = createReplayPlayer(replay, entityFactory);
+    }
+
+    useEffect(() => {
+        const lockOrientation = async () => {
+            await ScreenOrientation.lockAsync(ScreenOrientation.OrientationLock.LANDSCAPE);
+        };
+        lockOrientation();
+    }, []);
+
+    // Steps the replay once per frame and reports score and health changes to the overlay
+    const playbackSystem = (entities, {dispatch}) => {
+        try {
+            if (player.current.isFinished()) return entities;
+
+            player.current.step();
+            const {score, health} = player.current.getResult();
+            const finished = player.current.isFinished();
+            const previous = lastStatus.current;
+            if (score !== previous.score || health !== previous.health || finished !== previous.finished) {
+                lastStatus.current = {score, health, finished};
+                dispatch({type: 'replay-status', ...lastStatus.current});
+            }
+            return player.current.getEntities();
+        } catch (error) {
+            console.error('Error playing back replay:', error);
+            return entities;
+        }
+    };
+
+    const handleEvent = (event) => {
+        if (event.type === 'replay-status') {
+            setStatus({score: event.score, health: event.health, finished: event.finished});
+        }
+    };
+
+    return (
+        <View style={styles.playbackContainer}>
+            <GameEngine
+                style={styles.gameEngine}
+                systems={[playbackSystem]}
+                entities={player.current.getEntities()}
+                onEvent={handleEvent}
+            />
+            <View style={styles.overlay} pointerEvents="box-none">
+                <Text style={styles.overlayText}>
+                    Level: {replay.level}   Score: {status.score}   Health: {Math.max(status.health, 0)}
+                </Text>
+                {status.finished ? <Text style={styles.finishedText}>Replay finished</Text> : null}
+                <TouchableOpacity style={styles.smallButton} onPress={onGoBack}>
+                    <Text style={styles.buttonText}>Back</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+};
+
+/**
+ * Replays is a React functional component that lists the saved replays and plays them back.
+ *
+ * @param {function} onGoBack - Callback function to be executed when the "Back" button is pressed.
+ * @param {Object} entityFactory - The entity factory wired to the on-screen renderers, used during playback.
+ *
+ * Each replay shows its level, outcome, score, recording date, seed code and difficulty, with buttons to
+ * watch or delete it. The list is shown in portrait mode, playback in landscape mode.
+ */
+const Replays = ({onGoBack, entityFactory}) => {
+    const [replays, setReplays] = useState([]);
+    const [selectedReplay, setSelectedReplay] = useState(null);
+
+    useEffect(() => {
+        if (selectedReplay) return;
+
+        const lockOrientation = async () => {
+            await ScreenOrientation.lockAsync(ScreenOrientation.OrientationLock.PORTRAIT);
+        };
+        lockOrientation();
+
+        const loadReplays = async () => {
+            try {
+                setReplays(await getReplays());
+            } catch (error) {
+                console.error('Error loading replays:', error);
+            }
+        };
+        loadReplays();
+    }, [selectedReplay]);
+
+    const handleDelete = async (recordedAt) => {
+        setReplays(await deleteReplay(recordedAt));
+    };
+
+    if (selectedReplay) {
+        return (
+            <ReplayPlayback
+                replay={selectedReplay}
+                entityFactory={entityFactory}
+                onGoBack={() => setSelectedReplay(null)}
+            />
+        );
+    }
+
+    const renderItem = ({item}) => (
+        <View style={styles.replayItem}>
+            <View style={styles.replayInfo}>
+                <Text style={styles.replayTitle}>Level {item.level} - {item.outcome}</Text>
+                <Text style={styles.replayDetails}>
+                    Score: {item.finalScore} | Seed: {seedToCode(item.seed)} | {DIFFICULTIES[resolveDifficulty(item.difficulty)].label}
+                </Text>
+                <Text style={styles.replayDetails}>{new Date(item.recordedAt).toLocaleString()}</Text>
+            </View>
+            <TouchableOpacity style={styles.smallButton} onPress={() => setSelectedReplay(item)}>
+                <Text style={styles.buttonText}>Watch</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.smallButton} onPress={() => handleDelete(item.recordedAt)}>
+                <Text style={styles.buttonText}>Delete</Text>
+            </TouchableOpacity>
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            <Text style={styles.title}>Replays</Text>
+            <FlatList
+                data={replays}
+                renderItem={renderItem}
+                keyExtractor={(item) => item.recordedAt}
+                ListEmptyComponent={() => <Text style={styles.noReplays}>No replays yet!</Text>}
+            />
+            <View style={styles.buttonContainer}>
+                <TouchableOpacity style={styles.button} onPress={onGoBack}>
+                    <Text style={styles.buttonText}>Back</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+};
+
+/**
+ * Object containing styling properties used throughout the application.
+ */
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#1b1b1b',
+        padding: 20,
+    },
+    title: {
+        fontSize: 32,
+        fontWeight: 'bold',
+        marginBottom: 20,
+        color: '#D8A422',
+        textShadowColor: '#000',
+        textShadowOffset: {width: 1, height: 1},
+        textShadowRadius: 2,
+        textAlign: 'center',
+    },
+    replayItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        width: '95%',
+        padding: 10,
+        backgroundColor: '#000',
+        borderRadius: 8,
+        marginVertical: 5,
+        borderWidth: 2,
+        borderColor: '#D8A422',
+    },
+    replayInfo: {
+        flex: 1,
+    },
+    replayTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#D8A422',
+    },
+    replayDetails: {
+        fontSize: 14,
+        color: '#fff',
+    },
+    noReplays: {
+        fontSize: 18,
+        color: '#aaa',
+        marginTop: 20,
+    },
+    buttonContainer: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        width: '100%',
+        marginTop: 20,
+    },
+    button: {
+        flex: 1,
+        marginHorizontal: 10,
+        padding: 15,
+        borderRadius: 25,
+        alignItems: 'center',
+        borderWidth: 2,
+        borderColor: '#D8A422',
+        backgroundColor: '#000',
+    },
+    smallButton: {
+        marginLeft: 10,
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        borderRadius: 20,
+        alignItems: 'center',
+        borderWidth: 2,
+        borderColor: '#D8A422',
+        backgroundColor: '#000',
+    },
+    buttonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+        textShadowColor: '#000',
+        textShadowOffset: {width: 1, height: 1},
+        textShadowRadius: 2,
+    },
+    playbackContainer: {
+        flex: 1,
+        backgroundColor: '#FFF',
+    },
+    gameEngine: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+    },
+    overlay: {
+        position: 'absolute',
+        top: 10,
+        left: 10,
+        right: 10,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    overlayText: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#000',
+    },
+    finishedText: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#D8A422',
+    },
+});
+
+export default Replays;
@@ -2,7 +2,21 @@ import React, {useEffect, useState} from 'react';
 import {StyleSheet, Text, TouchableOpacity, View} from 'react-native';
 import soundManager from '../utils/soundManager';
 
-const Sounds = ({onGoBack}) => {
+/**
+ * The settings screen: sound effects, the adaptive difficulty director and the allied tank, and
+ * in development builds the AI debug overlay.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} props.adaptiveDifficulty - Whether the director adjusts the difficulty to the player.
+ * @param {function} props.onToggleAdaptiveDifficulty - Called to switch the director on or off.
+ * @param {boolean} props.allyEnabled - Whether the allied tank fights along with the player.
+ * @param {function} props.onToggleAlly - Called to bring the allied tank along or leave it behind.
+ * @param {boolean} props.aiDebug - Whether the AI debug overlay is drawn over the battlefield.
+ * @param {function} props.onToggleAiDebug - Called to show or hide the AI debug overlay.
+ * @param {function} props.onGoBack - Called to leave the settings.
+ * @returns {JSX.Element} The settings screen.
+ */
+const Sounds = ({adaptiveDifficulty, onToggleAdaptiveDifficulty, allyEnabled, onToggleAlly, aiDebug, onToggleAiDebug, onGoBack}) => {
     const [isSoundOn, setIsSoundOn] = useState(soundManager.soundOn);
 
     // useEffect to handle sound toggle
@@ -17,11 +31,25 @@ const Sounds = ({onGoBack}) => {
 
     return (
         <View style={styles.container}>
-            <Text style={styles.title}>Sound Settings</Text>
+            <Text style={styles.title}>Settings</Text>
             <TouchableOpacity onPress={toggleSound}
                               style={[styles.button, isSoundOn ? styles.buttonOff : styles.buttonOn]}>
                 <Text style={styles.buttonText}>{isSoundOn ? 'Sound Off' : 'Sound On'}</Text>
             </TouchableOpacity>
+            <TouchableOpacity onPress={onToggleAdaptiveDifficulty}
+                              style={[styles.button, adaptiveDifficulty ? styles.buttonOff : styles.buttonOn]}>
+                <Text style={styles.buttonText}>{adaptiveDifficulty ? 'Adaptive Difficulty Off' : 'Adaptive Difficulty On'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onToggleAlly}
+                              style={[styles.button, allyEnabled ? styles.buttonOff : styles.buttonOn]}>
+                <Text style={styles.buttonText}>{allyEnabled ? 'Ally Tank Off' : 'Ally Tank On'}</Text>
+            </TouchableOpacity>
+            {__DEV__ && (
+                <TouchableOpacity onPress={onToggleAiDebug}
+                                  style={[styles.button, aiDebug ? styles.buttonOff : styles.buttonOn]}>
+                    <Text style={styles.buttonText}>{aiDebug ? 'AI Debug Off' : 'AI Debug On'}</Text>
+                </TouchableOpacity>
+            )}
             <TouchableOpacity onPress={onGoBack} style={styles.backButton}>
                 <Text style={styles.buttonText}>Go Back</Text>
             </TouchableOpacity>
@@ -15,13 +15,86 @@ const normalize = (size) => {
     return Math.round(PixelRatio.roundToNearestPixel((size * Math.min(width, height)) / 375));
 };
 
+/**
+ * The fanfare played after defeating a boss: its sounds are played one after the other.
+ */
+const BOSS_FANFARE = [
+    require("../assets/sounds/bonus.wav"),
+    require("../assets/sounds/bonus.wav"),
+    require("../assets/sounds/win.wav")
+];
+
+// Play the sounds of a sequence in turn
+/**
+ * Plays a list of sounds one after the other, releasing each one once it has played.
+ *
+ * @param {Array} sources - The sounds to play, in order.
+ * @param {Function} onLoad - Called with each sound once it is loaded, before it plays.
+ * @returns {Function} Stops the sequence: the sound playing is stopped and released, and the
+ * sounds after it are not played. Call it when the component playing the sequence unmounts.
+ */
+const playSequence = (sources, onLoad) => {
+    let cancelled = false;
+    let current = null;
+
+    const playFrom = (index) => {
+        if (cancelled || index >= sources.length) return;
+        const sound = new Sound(sources[index], error => {
+            if (error) {
+                console.log('Failed to load the sound', error);
+                return;
+            }
+            if (cancelled) {
+                sound.release();
+                return;
+            }
+            current = sound;
+            onLoad(sound);
+            sound.play(success => {
+                // A stopped sequence has already released its sound
+                if (cancelled) return;
+                if (!success) {
+                    console.log('Playback failed due to audio decoding errors');
+                }
+                sound.release();
+                current = null;
+                playFrom(index + 1);
+            });
+        });
+    };
+    playFrom(0);
+
+    return () => {
+        cancelled = true;
+        if (current) {
+            current.stop();
+            current.release();
+            current = null;
+        }
+    };
+};
+
 const Button = ({title, onPress, style}) => (
     <TouchableOpacity style={[styles.button, style]} onPress={onPress}>
         <Text style={styles.buttonText}>{title}</Text>
     </TouchableOpacity>
 );
 
-const WinMenu = ({onContinue, onMainMenu, isGameOver, currentHealth, currentScore}) => {
+/**
+ * The menu shown when a level is won.
+ *
+ * After a boss level (`bossDefeated`), the title celebrates the boss and the boss fanfare plays
+ * instead of the usual win sound.
+ *
+ * @param {Object} props
+ * @param {Function} props.onContinue - Callback to start the next level.
+ * @param {Function} props.onMainMenu - Callback to return to the main menu.
+ * @param {boolean} props.isGameOver - Whether the game is over.
+ * @param {number} props.currentHealth - The player's health at the end of the level.
+ * @param {number} props.currentScore - The score made so far.
+ * @param {boolean} [props.bossDefeated=false] - Whether the level was won by defeating a boss.
+ */
+const WinMenu = ({onContinue, onMainMenu, isGameOver, currentHealth, currentScore, bossDefeated = false}) => {
     const [winSound, setWinSound] = useState(null);
     const [showLoadingScreen, setShowLoadingScreen] = useState(true);
     const [newHealth, setNewHealth] = useState(currentHealth + 50);
@@ -48,7 +121,10 @@ const WinMenu = ({onContinue, onMainMenu, isGameOver, currentHealth, currentScor
         checkOrientation();
 
         // Load and play sound only if soundOn is true
-        if (soundOn) {
+        let stopFanfare = null;
+        if (soundOn && bossDefeated) {
+            stopFanfare = playSequence(BOSS_FANFARE, setWinSound);
+        } else if (soundOn) {
             const sound = new Sound(require("../assets/sounds/win.wav"), error => {
                 if (error) {
                     console.log('Failed to load the sound', error);
@@ -65,6 +141,8 @@ const WinMenu = ({onContinue, onMainMenu, isGameOver, currentHealth, currentScor
 
         // Cleanup on component unmount
         return () => {
+            // The fanfare must not go on playing, or update the state, once the menu is gone
+            if (stopFanfare) stopFanfare();
             if (winSound) {
                 winSound.release();
             }
@@ -87,7 +165,8 @@ const WinMenu = ({onContinue, onMainMenu, isGameOver, currentHealth, currentScor
 
     return (
         <SafeAreaView style={styles.container}>
-            <Text style={styles.title}>You Win!</Text>
+            <Text style={styles.title}>{bossDefeated ? 'Boss Defeated!' : 'You Win!'}</Text>
+            {bossDefeated && <Text style={styles.bossText}>The boss tank is destroyed</Text>}
             <Image source={heartIcon} style={styles.heartIcon}/>
             <Text style={styles.healthText}>Health increases per next level: +50</Text>
             <Text style={styles.newHealthText}>New Health: {newHealth}</Text>
@@ -154,6 +233,15 @@ const styles = StyleSheet.create({
         textShadowRadius: 2,
         textAlign: 'center',
     },
+    bossText: {
+        fontSize: normalize(20),
+        fontWeight: 'bold',
+        color: '#c6615c',
+        textAlign: 'center',
+        marginTop: -20,
+        marginBottom: 15,
+        flexShrink: 1,
+    },
     heartIcon: {
         width: normalize(70),
         height: normalize(70),
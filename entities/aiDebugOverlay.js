@@ -0,0 +1,92 @@
+import React from 'react';
+import {StyleSheet} from 'react-native';
+import Svg, {Circle, G, Line, Polyline, Text} from 'react-native-svg';
+
+/**
+ * The length of the facing and heading markers, in pixels.
+ *
+ * @type {number}
+ */
+const MARKER_LENGTH = 40;
+
+/**
+ * The colors of the overlay, one per kind of information.
+ *
+ * @type {Object<string, string>}
+ */
+const COLORS = {
+    detection: 'rgba(255, 235, 59, 0.8)',
+    shooting: 'rgba(244, 67, 54, 0.8)',
+    engage: 'rgba(255, 152, 0, 0.6)',
+    minDistance: 'rgba(33, 150, 243, 0.8)',
+    facing: 'white',
+    heading: 'cyan',
+    path: 'magenta',
+    sight: 'lime',
+    blocked: 'red',
+    label: 'white'
+};
+
+// A line from a point in a direction
+const Marker = ({x, y, angle, color}) => (
+    <Line x1={x} y1={y} x2={x + Math.cos(angle) * MARKER_LENGTH} y2={y + Math.sin(angle) * MARKER_LENGTH}
+          stroke={color} strokeWidth={2}/>
+);
+
+// Draw what one enemy perceives and plans
+const EnemyDebug = ({enemy, tank}) => {
+    const {x, y, detectionRadius, shootingRadius, engageDistance, path, facing, heading, lineOfSight, label} = enemy;
+    const tankDistance = tank ? Math.hypot(tank.x - x, tank.y - y) : Infinity;
+
+    return (
+        <G>
+            {detectionRadius ? <Circle cx={x} cy={y} r={detectionRadius} stroke={COLORS.detection} strokeWidth={1} fill="none"/> : null}
+            {shootingRadius ? <Circle cx={x} cy={y} r={shootingRadius} stroke={COLORS.shooting} strokeWidth={1} fill="none" strokeDasharray="6,4"/> : null}
+            {engageDistance ? <Circle cx={x} cy={y} r={engageDistance} stroke={COLORS.engage} strokeWidth={1} fill="none" strokeDasharray="2,6"/> : null}
+            {path.length > 1 ? (
+                <Polyline points={path.map(point => `${point.x},${point.y}`).join(' ')} stroke={COLORS.path} strokeWidth={2} fill="none"/>
+            ) : null}
+            {tank && detectionRadius && tankDistance <= detectionRadius ? (
+                <Line x1={x} y1={y} x2={tank.x} y2={tank.y} stroke={lineOfSight ? COLORS.sight : COLORS.blocked}
+                      strokeWidth={1} strokeDasharray={lineOfSight ? undefined : '4,4'}/>
+            ) : null}
+            <Marker x={x} y={y} angle={facing} color={COLORS.facing}/>
+            {heading !== null ? <Marker x={x} y={y} angle={heading} color={COLORS.heading}/> : null}
+            <Text x={x} y={y - 34} fill={COLORS.label} fontSize={11} fontWeight="bold" textAnchor="middle">{label}</Text>
+        </G>
+    );
+};
+
+/**
+ * Draws the AI debug overlay on top of the battlefield.
+ *
+ * For every enemy it draws the detection radius (solid yellow), the shooting radius (dashed red)
+ * and the engage distance (dotted orange), its facing (white) and the heading of its last move
+ * (cyan), the route it is driving along (magenta), its line of sight to the tank while the tank
+ * is within its detection radius (green when clear, dashed red when a wall blocks it) and its
+ * behavior label. The level's `minDistanceFromTank` is drawn as a blue ring around the tank,
+ * labelled as the baseline: enemies stop at their own engage distance, not at this ring.
+ *
+ * @param {Object} props - The overlay entity.
+ * @param {Object} props.view - The debug view built by `buildAiDebugView` in `utils/aiDebug.js`.
+ * @returns {JSX.Element|null} The overlay, or null without a view.
+ */
+const AiDebugOverlay = ({view}) => {
+    if (!view) return null;
+
+    return (
+        <Svg style={StyleSheet.absoluteFill} pointerEvents="none">
+            {view.tank && view.minDistanceFromTank ? (
+                <G>
+                    <Circle cx={view.tank.x} cy={view.tank.y} r={view.minDistanceFromTank} stroke={COLORS.minDistance}
+                            strokeWidth={2} fill="none"/>
+                    <Text x={view.tank.x} y={view.tank.y - view.minDistanceFromTank - 4} fill={COLORS.minDistance}
+                          fontSize={11} textAnchor="middle">level baseline</Text>
+                </G>
+            ) : null}
+            {view.enemies.map(enemy => <EnemyDebug key={enemy.key} enemy={enemy} tank={view.tank}/>)}
+        </Svg>
+    );
+};
+
+export default AiDebugOverlay;
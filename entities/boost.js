@@ -0,0 +1,79 @@
+﻿import React, { useEffect, useRef } from 'react';
+import { Animated, StyleSheet } from 'react-native';
+import Svg, { Defs, LinearGradient, Path, Stop } from 'react-native-svg';
+
+/**
+ * Boost component that renders an animated heart SVG graphic.
+ * The heart animates with a fade-in and fade-out effect in a continuous loop.
+ *
+ * @param {Object} props
+ * @param {Object} props.position - The position of the Boost component on the screen.
+ * @param {number} props.position.x - The x-coordinate for the Boost component.
+ * @param {number} props.position.y - The y-coordinate for the Boost component.
+ * @param {number} props.size - The size of the Boost component.
+ */
+const Boost = ({ position, size }) => {
+    const fadeAnim = useRef(new Animated.Value(0)).current;
+
+    useEffect(() => {
+        Animated.loop(
+            Animated.sequence([
+                Animated.timing(fadeAnim, {
+                    toValue: 1,
+                    duration: 1000,
+                    useNativeDriver: true,
+                }),
+                Animated.timing(fadeAnim, {
+                    toValue: 0,
+                    duration: 1000,
+                    useNativeDriver: true,
+                }),
+            ])
+        ).start();
+    }, [fadeAnim]);
+
+    return (
+        <Animated.View
+            style={[
+                styles.boostContainer,
+                { left: position.x - size / 2, top: position.y - size / 2, opacity: fadeAnim },
+            ]}
+        >
+            <Svg width={size} height={size} viewBox="0 0 100 100">
+                <Defs>
+                    <LinearGradient id="heartGradient" x1="50%" y1="0%" x2="50%" y2="100%">
+                        <Stop offset="0%" stopColor="#FF6F61" />
+                        <Stop offset="100%" stopColor="#FF3E3E" />
+                    </LinearGradient>
+                </Defs>
+                <Path
+                    d="M50 90
+                       C25 70, 0 40, 0 20
+                       C0 10, 10 0, 25 0
+                       C40 0, 50 15, 50 15
+                       C50 15, 60 0, 75 0
+                       C90 0, 100 10, 100 20
+                       C100 40, 75 70, 50 90
+                       Z"
+                    fill="url(#heartGradient)"
+                    stroke="#FF0000"
+                    strokeWidth="2"
+                />
+            </Svg>
+        </Animated.View>
+    );
+};
+
+/**
+ * A collection of styles used for styling components.
+ * @typedef {Object} Styles
+ * @property {Object} boostContainer - Style for the container providing a boost.
+ * @property {string} boostContainer.position - CSS position property set to 'absolute'.
+ */
+const styles = StyleSheet.create({
+    boostContainer: {
+        position: 'absolute',
+    },
+});
+
+export default Boost;
@@ -0,0 +1,181 @@
+import React from 'react';
+import {Image, StyleSheet, View} from 'react-native';
+import {getEnemyType} from '../utils/enemyTypes';
+
+/**
+ * The sprites of the enemy types, keyed by the `sprite` name in `ENEMY_TYPES`.
+ */
+const SPRITES = {
+    enemy: require('../assets/enemy.png'),
+    enemyAI: require('../assets/enemyAI.png'),
+    enemy2: require('../assets/enemy2.png')
+};
+
+// Draw the sprite of an enemy, turned and placed like its body
+/**
+ * Draws an enemy tank: the sprite of its type, rotated to the body's angle, with a health bar above it.
+ *
+ * @param {Object} props - The enemy entity.
+ * @param {Object} props.body - The Matter.js body of the enemy.
+ * @param {Object} [props.render] - The interpolated transform set by the fixed-timestep loop.
+ * @param {string} [props.enemyType] - The type of the enemy.
+ * @param {number} [props.health] - The current health of the enemy.
+ * @param {number} [props.maxHealth] - The health the enemy started with.
+ * @param {React.ReactNode} [props.children] - Extra parts drawn under the sprite, turned with it.
+ * @param {Object} [props.spriteStyle] - Extra style of the sprite.
+ * @returns {JSX.Element|null} The enemy, or null if it has no body.
+ */
+const EnemySprite = ({body, render, enemyType, health, maxHealth, children, spriteStyle}) => {
+    if (!body) return null;
+
+    const {sprite, size} = getEnemyType(enemyType);
+    const transform = render || {x: body.position.x, y: body.position.y, angle: body.angle};
+    const healthRatio = maxHealth ? Math.max(0, Math.min(1, health / maxHealth)) : 1;
+
+    return (
+        <View
+            pointerEvents="none"
+            style={[styles.container, {
+                left: transform.x - size.width / 2,
+                top: transform.y - size.height / 2,
+                width: size.width,
+                height: size.height
+            }]}
+        >
+            <View style={[StyleSheet.absoluteFill, {transform: [{rotate: `${transform.angle}rad`}]}]}>
+                {children}
+                <Image source={SPRITES[sprite]} style={[styles.sprite, spriteStyle]} resizeMode="contain"/>
+            </View>
+            <View style={styles.healthBar}>
+                <View style={[styles.healthFill, {width: `${healthRatio * 100}%`}]}/>
+            </View>
+        </View>
+    );
+};
+
+// Standard tank: the sprite as it is
+const EnemyTank = (props) => <EnemySprite {...props}/>;
+
+// Scout: a light tank with a speed stripe
+const ScoutTank = (props) => (
+    <EnemySprite {...props}>
+        <View style={[styles.stripe, {backgroundColor: props.color || 'orange'}]}/>
+    </EnemySprite>
+);
+
+// Heavy: the sprite on top of an armour plate
+const HeavyTank = (props) => (
+    <EnemySprite {...props}>
+        <View style={[styles.armour, {borderColor: props.color || 'darkred'}]}/>
+    </EnemySprite>
+);
+
+// Sniper: a long barrel reaching past the front of the sprite
+const SniperTank = (props) => (
+    <EnemySprite {...props}>
+        <View style={[styles.barrel, {backgroundColor: props.color || 'purple'}]}/>
+    </EnemySprite>
+);
+
+// Turret: the sprite on a fixed round base
+const TurretRenderer = (props) => (
+    <EnemySprite {...props} spriteStyle={styles.turretGun}>
+        <View style={[styles.turretBase, {backgroundColor: props.color || 'gray'}]}/>
+    </EnemySprite>
+);
+
+/**
+ * The color of a boss's aura in each of its attack phases, keyed by the names in `BOSS_PHASES`.
+ */
+const BOSS_PHASE_COLORS = {
+    spread: 'gold',
+    charge: 'orangered',
+    summon: 'mediumpurple'
+};
+
+// Boss: heavy armour inside an aura that shows its attack phase, flaring while it charges
+const BossTank = (props) => (
+    <EnemySprite {...props}>
+        <View style={[styles.bossAura, {
+            borderColor: BOSS_PHASE_COLORS[props.bossPhase] || BOSS_PHASE_COLORS.spread,
+            opacity: props.charge ? 1 : 0.6
+        }]}/>
+        <View style={[styles.armour, {borderColor: props.color || 'black'}]}/>
+    </EnemySprite>
+);
+
+/**
+ * The renderers of the enemy types, keyed by the names in `ENEMY_TYPES`.
+ * Pass them to `createEntityFactory` as `renderers.enemies`.
+ */
+const enemyRenderers = {
+    tank: EnemyTank,
+    scout: ScoutTank,
+    heavy: HeavyTank,
+    sniper: SniperTank,
+    turret: TurretRenderer,
+    boss: BossTank
+};
+
+const styles = StyleSheet.create({
+    container: {
+        position: 'absolute',
+    },
+    sprite: {
+        width: '100%',
+        height: '100%',
+    },
+    stripe: {
+        position: 'absolute',
+        left: '10%',
+        right: '10%',
+        top: '45%',
+        height: '10%',
+        opacity: 0.8,
+    },
+    armour: {
+        ...StyleSheet.absoluteFillObject,
+        borderWidth: 3,
+        borderRadius: 6,
+    },
+    barrel: {
+        position: 'absolute',
+        left: '60%',
+        right: '-35%',
+        top: '46%',
+        height: '8%',
+        borderRadius: 2,
+    },
+    turretBase: {
+        ...StyleSheet.absoluteFillObject,
+        borderRadius: 999,
+        opacity: 0.7,
+    },
+    bossAura: {
+        position: 'absolute',
+        left: '-12%',
+        right: '-12%',
+        top: '-12%',
+        bottom: '-12%',
+        borderWidth: 4,
+        borderRadius: 999,
+    },
+    turretGun: {
+        transform: [{scale: 0.8}],
+    },
+    healthBar: {
+        position: 'absolute',
+        left: 0,
+        right: 0,
+        top: -8,
+        height: 4,
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    },
+    healthFill: {
+        height: '100%',
+        backgroundColor: 'limegreen',
+    },
+});
+
+export {EnemySprite, enemyRenderers};
+export default EnemyTank;
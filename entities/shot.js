@@ -0,0 +1,41 @@
+import React from 'react';
+import {View} from 'react-native';
+
+/**
+ * ShotRenderer is a functional component responsible for drawing a shot entity.
+ *
+ * Movement, lifetime and hit resolution are handled by the projectile system in
+ * `system/projectiles.js`; the renderer only draws the shot, at the position interpolated
+ * between game steps when there is one.
+ *
+ * @param {Object} props - The properties object
+ * @param {Object} props.body - The Matter.js body instance representing the physical body of the shot
+ * @param {Object} [props.render] - The interpolated position set by the fixed-timestep loop
+ * @param {string} [props.color='black'] - The color of the shot, set by the weapon that fired it
+ * @returns {JSX.Element|null} Returns a view representing the shot, or null if the shot has no body.
+ */
+const ShotRenderer = ({body, render, color = 'black'}) => {
+
+    if (!body) {
+        return null;
+    }
+
+    const position = render || body.position;
+    const shotSize = (body.circleRadius || 5) * 2;
+
+    return (
+        <View
+            style={{
+                position: 'absolute',
+                left: position.x,
+                top: position.y,
+                width: shotSize,
+                height: shotSize,
+                borderRadius: shotSize / 2,
+                backgroundColor: color,
+            }}
+        />
+    );
+};
+
+export default ShotRenderer;
@@ -0,0 +1,13 @@
+import levels from './levels.json';
+
+/**
+ * Hand-authored level definitions, keyed by level number.
+ *
+ * The definitions live in `levels.json`, so a level is added or changed without touching the
+ * code. Levels without an entry there are generated procedurally.
+ *
+ * @type {Object<number, Object>}
+ */
+const levelDefinitions = levels;
+
+export default levelDefinitions;
@@ -0,0 +1,129 @@
+import levelDefinitions from '../../levels';
+import {generateBoundaryWalls} from '../../utils/boundaries_walls';
+import {headlessEntityFactory} from '../../utils/entityFactory';
+import {ENTITY_TYPES, TEAMS, queryEntities} from '../../utils/entityRegistry';
+import {createSimulation} from '../simulation';
+
+const SCREEN = {width: 800, height: 400};
+
+// A seeded stand-in for Math.random (mulberry32), so generated levels and AI decisions repeat
+const seededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Drive the tank towards the first enemy, backing off when it gets close, and fire in bursts
+const chaseAndShoot = (simulation) => (tick) => {
+    const entities = simulation.getEntities();
+    const target = Object.keys(entities).find(key => key.startsWith('enemy_') && entities[key].health > 0);
+    if (!target || !entities.tank) return {control: null, bullet: null};
+
+    const dx = entities[target].body.position.x - entities.tank.body.position.x;
+    const dy = entities[target].body.position.y - entities.tank.body.position.y;
+    const angle = Math.atan2(dy, dx) + (Math.hypot(dx, dy) < 150 ? Math.PI : 0);
+    return {
+        control: {type: 'move', angle},
+        bullet: tick % 40 < 20 ? 'create-bullet' : null
+    };
+};
+
+const playScripted = (seed, level) => {
+    const random = jest.spyOn(Math, 'random').mockImplementation(seededRandom(seed));
+    const simulation = createSimulation({seed, level, screen: SCREEN});
+    const result = simulation.run(3000, chaseAndShoot(simulation));
+    const {x, y} = simulation.getEntities().tank.body.position;
+    random.mockRestore();
+    return {result, tank: {x, y}, events: simulation.getEvents().length};
+};
+
+describe('createSimulation', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('plays the same seed and inputs to the same outcome', () => {
+        [5, 77, 1234].forEach(seed => {
+            const first = playScripted(seed, 2);
+            const second = playScripted(seed, 2);
+
+            expect(second).toEqual(first);
+            expect(first.result.tick).toBeGreaterThan(0);
+        });
+    });
+
+    it('gives every enemy its own shot cooldown', () => {
+        const enemies = {};
+        [[300, 100], [250, 250], [100, 300]].forEach(([x, y], index) => {
+            enemies[`enemy_${index}`] = headlessEntityFactory.enemy({x, y, isStatic: true, baseHealth: 100, enemyType: 'turret'});
+        });
+        const walls = generateBoundaryWalls(SCREEN, null, undefined, headlessEntityFactory, undefined, 0);
+        const simulation = createSimulation({seed: 3, level: 5, health: 1000000, screen: SCREEN, enemies, walls, boosts: false});
+
+        // Shots leave from the nozzle, so each new enemy shot belongs to the turret it appears next to
+        const turrets = Object.values(enemies);
+        const shotsByEnemy = new Map();
+        const counted = new Set();
+        simulation.run(600, () => {
+            queryEntities(simulation.getEntities(), {type: ENTITY_TYPES.PROJECTILE, team: TEAMS.ENEMY}).forEach(([, shot]) => {
+                if (counted.has(shot)) return;
+                counted.add(shot);
+                const {x, y} = shot.body.position;
+                const distance = (enemy) => Math.hypot(enemy.body.position.x - x, enemy.body.position.y - y);
+                const shooter = turrets.reduce((nearest, enemy) => (distance(enemy) < distance(nearest) ? enemy : nearest));
+                shotsByEnemy.set(shooter, (shotsByEnemy.get(shooter) || 0) + 1);
+            });
+            return {};
+        });
+
+        const counts = turrets.map(enemy => shotsByEnemy.get(enemy) || 0);
+        expect(counts.every(count => count > 1)).toBe(true);
+    });
+
+    it('builds a hand-authored level from its definition', () => {
+        const definition = levelDefinitions[5];
+        const simulation = createSimulation({seed: 9, level: 5, screen: SCREEN});
+        simulation.step();
+        const entities = simulation.getEntities();
+
+        const enemies = queryEntities(entities, {type: ENTITY_TYPES.ENEMY}).map(([, enemy]) => enemy);
+        expect(enemies.map(enemy => enemy.health)).toEqual(definition.enemies.map(enemy => enemy.health));
+        enemies.forEach((enemy, index) => {
+            expect(enemy.body.position.x).toBeCloseTo(definition.enemies[index].x * SCREEN.width, 0);
+            expect(enemy.body.position.y).toBeCloseTo(definition.enemies[index].y * SCREEN.height, 0);
+        });
+
+        const walls = queryEntities(entities, {type: ENTITY_TYPES.WALL}).map(([, wall]) => wall.body.position);
+        expect(walls).toEqual(definition.walls.map(wall => ({x: wall.x * SCREEN.width, y: wall.y * SCREEN.height})));
+    });
+
+    it('bounces a ricochet shot off an indestructible wall back into its shooter', () => {
+        // A blind turret keeps the level going without firing back
+        const definition = {
+            playerStart: {x: 0.125, y: 0.25},
+            enemies: [{type: 'turret', x: 0.9, y: 0.9, detectionRadius: 0}],
+            walls: [{x: 0.375, y: 0.25, width: 30, height: 120, indestructible: true}]
+        };
+        const simulation = createSimulation({seed: 4, level: 1, screen: SCREEN, boosts: false, levelDefinitions: {1: definition}});
+        // Let the gun cool down before the one shot
+        simulation.run(60, () => ({weapon: 'ricochet'}));
+        simulation.step({bullet: 'create-bullet'});
+        const [[, shot]] = queryEntities(simulation.getEntities(), {type: ENTITY_TYPES.PROJECTILE});
+        simulation.run(120, () => ({bullet: null}));
+
+        const [[, wall]] = queryEntities(simulation.getEntities(), {type: ENTITY_TYPES.WALL});
+        expect(wall.indestructible).toBe(true);
+        expect(wall.health).toBe(100);
+        expect(shot.bounces).toBe(1);
+        expect(simulation.getResult().health).toBe(100 - shot.damage);
+    });
+});
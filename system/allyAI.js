@@ -0,0 +1,294 @@
+import Matter from 'matter-js';
+import {calculateAimAngle, normalizeAngle} from '../utils/aiming';
+import {ENTITY_TYPES, queryEntities, removeEntity} from '../utils/entityRegistry';
+import {hasLineOfSight} from '../utils/lineOfSight';
+import {getNavGrid} from '../utils/navigation';
+import {getRandom} from '../utils/random';
+import {fireShot, getShotSpeed} from '../utils/shooting';
+import {keepWithinBounds, moveTowards} from './enemyAI';
+import {FIXED_TIME_STEP, perStep} from './fixedStep';
+import {sweepHitsBounds} from './projectiles';
+
+/**
+ * The orders the player can give the allied tank.
+ *
+ * - `follow`: stay close to the player and fire at the enemies it sees.
+ * - `hold`: stay where the order was given and fire at the enemies that come in range.
+ * - `attack`: hunt down the enemy the player is aiming at, then the next one.
+ *
+ * @type {{FOLLOW: string, HOLD: string, ATTACK: string}}
+ */
+const ALLY_ORDERS = {
+    FOLLOW: 'follow',
+    HOLD: 'hold',
+    ATTACK: 'attack'
+};
+
+/**
+ * The order the allied tank follows until the player gives another one.
+ *
+ * @type {string}
+ */
+const DEFAULT_ALLY_ORDER = ALLY_ORDERS.FOLLOW;
+
+/**
+ * The health the allied tank starts every level with.
+ *
+ * @type {number}
+ */
+const ALLY_HEALTH = 150;
+
+/**
+ * The color the allied tank is drawn in.
+ *
+ * @type {string}
+ */
+const ALLY_COLOR = 'green';
+
+/**
+ * How fast the allied tank drives, in pixels per second.
+ *
+ * @type {number}
+ */
+const ALLY_SPEED = 60;
+
+/**
+ * How far the allied tank sees enemies, in pixels.
+ *
+ * @type {number}
+ */
+const ALLY_DETECTION_RADIUS = 260;
+
+/**
+ * How far the allied tank fires, in pixels.
+ *
+ * @type {number}
+ */
+const ALLY_SHOOTING_RADIUS = 220;
+
+/**
+ * The time between two shots of the allied tank, in milliseconds.
+ *
+ * @type {number}
+ */
+const ALLY_SHOT_DELAY = 900;
+
+/**
+ * The accuracy of the allied tank's shots, from 0 to 1 (see `calculateAimAngle`).
+ *
+ * @type {number}
+ */
+const ALLY_ACCURACY = 0.75;
+
+/**
+ * How often the allied tank makes a decision, in milliseconds. It keeps moving between decisions.
+ *
+ * @type {number}
+ */
+const ALLY_THINK_INTERVAL = 150;
+
+/**
+ * How far the allied tank lets the player get before it catches up, in pixels.
+ *
+ * @type {number}
+ */
+const FOLLOW_DISTANCE = 90;
+
+/**
+ * How close the allied tank drives to the enemy it attacks, in pixels.
+ *
+ * @type {number}
+ */
+const ATTACK_DISTANCE = 160;
+
+/**
+ * Where the allied tank starts, relative to the player's tank, in pixels.
+ *
+ * @type {{x: number, y: number}}
+ */
+const ALLY_SPAWN_OFFSET = {x: 0, y: 70};
+
+// The clearance a line of fire needs around it: the radius of a shot
+const SHOT_CLEARANCE = 5;
+
+/**
+ * Creates the allied tank for a level, next to the player's tank.
+ *
+ * The health of the ally is kept on the level object as `allyHealth`, so it survives pauses and
+ * saves; an ally that was destroyed stays destroyed until the next level.
+ *
+ * @param {Object} factory - The entity factory.
+ * @param {Object} level - The current level object.
+ * @param {{x: number, y: number}} tankPosition - The position of the player's tank.
+ * @returns {Object|null} The ally entity, or null if it was destroyed on this level.
+ */
+const createAlly = (factory, level, tankPosition) => {
+    const health = level && level.allyHealth !== undefined ? level.allyHealth : ALLY_HEALTH;
+    if (health <= 0) return null;
+    const ally = factory.ally({
+        x: tankPosition.x + ALLY_SPAWN_OFFSET.x,
+        y: tankPosition.y + ALLY_SPAWN_OFFSET.y,
+        color: ALLY_COLOR,
+        health
+    });
+    ally.maxHealth = ALLY_HEALTH;
+    return ally;
+};
+
+/**
+ * Moves the allied tank next to the player's tank, where a new level starts.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ */
+const placeAlly = (entities) => {
+    if (!entities.ally || !entities.tank) return;
+    const {x, y} = entities.tank.body.position;
+    Matter.Body.setPosition(entities.ally.body, {x: x + ALLY_SPAWN_OFFSET.x, y: y + ALLY_SPAWN_OFFSET.y});
+};
+
+/**
+ * Returns the order the player gave the allied tank, through the `getAllyOrder` callback.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @returns {string} One of `ALLY_ORDERS`.
+ */
+const getAllyOrder = (entities) => {
+    const order = typeof entities.getAllyOrder === 'function' ? entities.getAllyOrder() : null;
+    return Object.values(ALLY_ORDERS).includes(order) ? order : DEFAULT_ALLY_ORDER;
+};
+
+const distanceBetween = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// The enemy the player is aiming at: the one closest to the tank's heading, then the nearest
+const findPlayerTarget = (enemies, tank) => {
+    let best = null;
+    enemies.forEach(([, enemy]) => {
+        const dx = enemy.body.position.x - tank.body.position.x;
+        const dy = enemy.body.position.y - tank.body.position.y;
+        const offAim = Math.abs(normalizeAngle(Math.atan2(dy, dx) - tank.body.angle));
+        const distance = Math.hypot(dx, dy);
+        if (!best || offAim < best.offAim - 1e-6 || (Math.abs(offAim - best.offAim) <= 1e-6 && distance < best.distance)) {
+            best = {enemy, offAim, distance};
+        }
+    });
+    return best ? best.enemy : null;
+};
+
+// The nearest enemy the ally can see
+const findVisibleEnemy = (ally, enemies, entities) => {
+    let best = null;
+    enemies.forEach(([, enemy]) => {
+        const distance = distanceBetween(ally.body.position, enemy.body.position);
+        if (distance > ALLY_DETECTION_RADIUS || (best && distance >= best.distance)) return;
+        if (hasLineOfSight(entities, ally.body.position, enemy.body.position)) best = {enemy, distance};
+    });
+    return best ? best.enemy : null;
+};
+
+// Fire at an enemy when it is in range, the shot would get through and the player is not in the way
+const fireAt = (ally, enemy, context) => {
+    const {entities, tank, currentTime, engine, soundOn} = context;
+    const from = ally.body.position;
+    const target = enemy.body.position;
+    Matter.Body.setAngle(ally.body, Math.atan2(target.y - from.y, target.x - from.x));
+
+    if (currentTime - (ally.lastShotTime || 0) < ALLY_SHOT_DELAY) return;
+    if (distanceBetween(from, target) > ALLY_SHOOTING_RADIUS) return;
+    if (sweepHitsBounds(from, target, tank.body.bounds, SHOT_CLEARANCE)) return;
+    if (!hasLineOfSight(entities, from, target, SHOT_CLEARANCE)) return;
+
+    const aimAngle = calculateAimAngle({
+        from,
+        target,
+        shotSpeed: getShotSpeed(ally),
+        accuracy: ALLY_ACCURACY,
+        random: getRandom(entities)
+    });
+    Matter.Body.setAngle(ally.body, aimAngle);
+    ally.lastShotTime = currentTime;
+    fireShot(ally, entities, currentTime, 'allyShot', aimAngle, engine, soundOn);
+};
+
+// Decide where the ally goes and what it fires at, following the player's order
+const think = (ally, enemies, context) => {
+    const {entities, tank} = context;
+    const order = getAllyOrder(entities);
+    if (order !== ally.order) {
+        ally.order = order;
+        ally.holdPosition = order === ALLY_ORDERS.HOLD ? {x: ally.body.position.x, y: ally.body.position.y} : null;
+        ally.attackTarget = null;
+    }
+
+    let target = null;
+    if (order === ALLY_ORDERS.ATTACK) {
+        if (!ally.attackTarget || !(ally.attackTarget.health > 0) || !enemies.some(([, enemy]) => enemy === ally.attackTarget)) {
+            ally.attackTarget = findPlayerTarget(enemies, tank);
+        }
+        target = ally.attackTarget;
+    }
+    const seen = findVisibleEnemy(ally, enemies, entities);
+    const shootAt = target && hasLineOfSight(entities, ally.body.position, target.body.position) ? target : seen;
+
+    // The ally steers like the enemies do, with the player's side and the enemies swapped
+    if (order === ALLY_ORDERS.ATTACK && target) {
+        const close = distanceBetween(ally.body.position, target.body.position) <= ATTACK_DISTANCE;
+        ally.motion = close && shootAt === target ? null : {target: target.body.position};
+    } else if (order === ALLY_ORDERS.HOLD) {
+        ally.motion = {target: ally.holdPosition};
+    } else {
+        ally.motion = distanceBetween(ally.body.position, tank.body.position) > FOLLOW_DISTANCE ? {target: tank.body.position} : null;
+    }
+    ally.shootAt = shootAt;
+
+    if (shootAt) fireAt(ally, shootAt, context);
+};
+
+// Allied tank system
+/**
+ * Runs the allied tank: a tank on the player's team that follows the player's orders (see
+ * `ALLY_ORDERS`) and fights the enemies.
+ *
+ * The ally decides every `ALLY_THINK_INTERVAL` and moves at every step, steering around walls
+ * with the same A* paths as the enemies (`moveTowards` in `system/enemyAI.js`). Its shots are
+ * on the player's team, so they never hurt the player; it also holds fire while the player is
+ * in its line of fire. A destroyed ally is removed for the rest of the level. Its health is kept
+ * on the level object as `allyHealth`.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {Object} param1 - An object containing the current time.
+ * @param {Object} engine - The physics engine.
+ * @param {boolean} soundOn - Flag indicating whether sound effects are enabled.
+ */
+const updateAllyAI = (entities, {time}, engine, soundOn) => {
+    try {
+        const ally = entities.ally;
+        if (!ally || !ally.body || !entities.tank) return;
+
+        const level = typeof entities.getCurrentLevel === 'function' ? entities.getCurrentLevel() : null;
+        if (level) level.allyHealth = Math.max(0, ally.health);
+        if (ally.health <= 0) {
+            removeEntity(entities, 'ally');
+            return;
+        }
+
+        const currentTime = time ? time.current : Date.now();
+        const elapsed = {delta: time && time.delta !== undefined ? time.delta : FIXED_TIME_STEP};
+        const grid = getNavGrid(entities);
+        const context = {entities, tank: entities.tank, grid, engine, soundOn, currentTime};
+
+        if (ally.nextThinkTime === undefined || ally.nextThinkTime - currentTime > ALLY_THINK_INTERVAL || currentTime >= ally.nextThinkTime) {
+            ally.nextThinkTime = currentTime + ALLY_THINK_INTERVAL;
+            think(ally, queryEntities(entities, {type: ENTITY_TYPES.ENEMY, alive: true}), context);
+        }
+
+        if (ally.motion && ally.motion.target) {
+            const angle = moveTowards(ally, ally.motion.target, grid, perStep(ALLY_SPEED, elapsed), currentTime);
+            if (angle !== null && !ally.shootAt) Matter.Body.setAngle(ally.body, angle);
+        }
+        keepWithinBounds(ally.body, entities.getScreenDimension());
+    } catch (error) {
+        console.error('Error in updateAllyAI:', error);
+    }
+};
+
+export {ALLY_HEALTH, ALLY_ORDERS, DEFAULT_ALLY_ORDER, createAlly, getAllyOrder, placeAlly, updateAllyAI};
@@ -0,0 +1,337 @@
+import Matter from 'matter-js';
+import {calculateAimAngle} from '../utils/aiming';
+import {getEnemyType} from '../utils/enemyTypes';
+import {getEntityFactory} from '../utils/entityFactory';
+import {playSound} from '../utils/gameEvents';
+import {hasLineOfSight} from '../utils/lineOfSight';
+import {findOpenPoint} from '../utils/navigation';
+import {getRandom} from '../utils/random';
+import {fireShot, getShotSpeed} from '../utils/shooting';
+import {ENEMY_STATES} from './enemyBehavior';
+import {perStep} from './fixedStep';
+import {hitPlayer} from './projectiles';
+
+/**
+ * The attack phases of a boss, from full health down. A boss is in the first phase whose
+ * `above` share of its starting health it still has.
+ *
+ * - `spread`: fires fans of `SPREAD_SHOTS` shots at the player.
+ * - `charge`: winds up, then rams the player at `CHARGE_SPEED`, firing single shots between charges.
+ * - `summon`: calls in scouts to fight beside it, firing short fans in between.
+ *
+ * @type {Array<{name: string, above: number}>}
+ */
+const BOSS_PHASES = [
+    {name: 'spread', above: 0.66},
+    {name: 'charge', above: 0.33},
+    {name: 'summon', above: 0}
+];
+
+/**
+ * The number of shots in a fan fired during the spread phase.
+ *
+ * @type {number}
+ */
+const SPREAD_SHOTS = 5;
+
+/**
+ * The angle between two shots of a fan, in radians.
+ *
+ * @type {number}
+ */
+const SPREAD_ANGLE = 0.3;
+
+/**
+ * How much longer a boss reloads after a fan than after a single shot.
+ *
+ * @type {number}
+ */
+const VOLLEY_RELOAD = 2;
+
+/**
+ * How long a boss stands still before it charges, in milliseconds. It gives the player time to get out of the way.
+ *
+ * @type {number}
+ */
+const CHARGE_WINDUP = 700;
+
+/**
+ * How long a charge lasts, in milliseconds.
+ *
+ * @type {number}
+ */
+const CHARGE_DURATION = 900;
+
+/**
+ * How fast a boss charges, in pixels per second.
+ *
+ * @type {number}
+ */
+const CHARGE_SPEED = 220;
+
+/**
+ * The time between the end of a charge and the next wind-up, in milliseconds.
+ *
+ * @type {number}
+ */
+const CHARGE_INTERVAL = 4000;
+
+/**
+ * Damage dealt to the player when a charging boss rams them, once per charge.
+ *
+ * @type {number}
+ */
+const CHARGE_DAMAGE = 30;
+
+/**
+ * How often a boss summons minions during the summon phase, in milliseconds.
+ *
+ * @type {number}
+ */
+const SUMMON_INTERVAL = 6000;
+
+/**
+ * The number of minions a boss summons at once.
+ *
+ * @type {number}
+ */
+const MINIONS_PER_SUMMON = 2;
+
+/**
+ * The number of summoned minions a boss may have alive at the same time.
+ *
+ * @type {number}
+ */
+const MAX_MINIONS = 4;
+
+/**
+ * The enemy type of summoned minions.
+ *
+ * @type {string}
+ */
+const MINION_TYPE = 'scout';
+
+/**
+ * How far from the boss its minions appear, in pixels.
+ *
+ * @type {number}
+ */
+const SUMMON_DISTANCE = 90;
+
+// The clearance a fan needs to get past walls: the radius of a boss shot
+const SHOT_CLEARANCE = 8;
+
+/**
+ * Checks whether an enemy is a boss.
+ *
+ * @param {Object} enemy - The enemy entity.
+ * @returns {boolean} True if the type of the enemy is marked `boss`.
+ */
+const isBoss = (enemy) => !!enemy && !!getEnemyType(enemy.enemyType).boss;
+
+/**
+ * Returns the attack phase a boss is in, from its health.
+ *
+ * @param {Object} boss - The boss entity.
+ * @returns {string} The name of the phase, from `BOSS_PHASES`.
+ */
+const getBossPhase = (boss) => {
+    const ratio = boss.maxHealth ? boss.health / boss.maxHealth : 1;
+    const phase = BOSS_PHASES.find(({above}) => ratio > above) || BOSS_PHASES[BOSS_PHASES.length - 1];
+    return phase.name;
+};
+
+/**
+ * Checks whether a boss is winding up or running a charge. The enemy AI leaves a charging boss
+ * to this module instead of running its behavior state.
+ *
+ * @param {Object} boss - The boss entity.
+ * @returns {boolean} True while the boss charges.
+ */
+const isCharging = (boss) => !!boss.charge;
+
+// Fire a fan of shots at the player when the boss has a clear shot in range and its gun cooled down
+const fireVolley = (boss, context, shots) => {
+    const {entities, tank, currentTime, engine, soundOn} = context;
+    const reload = shots > 1 ? context.shotDelay * VOLLEY_RELOAD : context.shotDelay;
+    if (!boss.hasLineOfSight || currentTime - (boss.lastShotTime || 0) <= reload) return;
+    if (context.squaredDistanceToTank > context.shootingRadius * context.shootingRadius) return;
+    if (!hasLineOfSight(entities, boss.body.position, tank.body.position, SHOT_CLEARANCE)) return;
+
+    const aimAngle = calculateAimAngle({
+        from: boss.body.position,
+        target: tank.body.position,
+        velocity: tank.velocity,
+        shotSpeed: getShotSpeed(boss),
+        accuracy: context.accuracy,
+        random: getRandom(entities)
+    });
+    Matter.Body.setAngle(boss.body, aimAngle);
+    boss.lastShotTime = currentTime;
+    for (let i = 0; i < shots; i++) {
+        fireShot(boss, entities, currentTime, 'enemyShot', aimAngle + (i - (shots - 1) / 2) * SPREAD_ANGLE, engine, soundOn);
+    }
+};
+
+// Wind up, then ram straight through where the player was when the charge started
+/**
+ * Advances the charge of a boss by one step: during the wind-up the boss turns to face the
+ * player; during the dash it drives straight ahead at `CHARGE_SPEED` and rams the player once
+ * if it runs into them. The enemy AI calls it at every step while the boss `isCharging`.
+ *
+ * @param {Object} boss - The charging boss.
+ * @param {Object} context - The step context: `entities`, `tank`, `currentTime` and `elapsed`.
+ */
+const updateCharge = (boss, context) => {
+    const {entities, tank, currentTime} = context;
+    const charge = boss.charge;
+
+    if (charge.stage === 'windup') {
+        const dx = tank.body.position.x - boss.body.position.x;
+        const dy = tank.body.position.y - boss.body.position.y;
+        charge.direction = Math.atan2(dy, dx);
+        Matter.Body.setAngle(boss.body, charge.direction);
+        if (currentTime - charge.since >= CHARGE_WINDUP) {
+            boss.charge = {stage: 'dash', since: currentTime, direction: charge.direction, hit: false};
+        }
+        return;
+    }
+
+    const distance = perStep(CHARGE_SPEED, context.elapsed);
+    Matter.Body.translate(boss.body, {x: Math.cos(charge.direction) * distance, y: Math.sin(charge.direction) * distance});
+
+    if (!charge.hit && Matter.Bounds.overlaps(boss.body.bounds, tank.body.bounds)) {
+        charge.hit = true;
+        hitPlayer(entities, CHARGE_DAMAGE);
+    }
+    if (currentTime - charge.since >= CHARGE_DURATION) {
+        boss.charge = null;
+        boss.nextChargeTime = currentTime + CHARGE_INTERVAL;
+    }
+};
+
+// Returns the minions of a boss that are still alive
+const getMinions = (entities, bossKey) => (
+    Object.values(entities.getCurrentEnemies() || {}).filter(enemy => enemy && enemy.summonedBy === bossKey && enemy.health > 0)
+);
+
+// Call in scouts around the boss; they join the level's enemies and its squad
+const summonMinions = (boss, bossKey, context) => {
+    const {entities, grid, currentTime} = context;
+    const alive = getMinions(entities, bossKey).length;
+    const count = Math.min(MINIONS_PER_SUMMON, MAX_MINIONS - alive);
+    if (count <= 0) return;
+
+    const factory = getEntityFactory(entities);
+    const random = getRandom(entities);
+    const current = {...entities.getCurrentEnemies()};
+    // Minions have the health of the level's ordinary enemies
+    const baseHealth = boss.maxHealth / getEnemyType(boss.enemyType).health;
+
+    for (let i = 0; i < count; i++) {
+        const angle = random.angle();
+        const near = {
+            x: boss.body.position.x + Math.cos(angle) * SUMMON_DISTANCE,
+            y: boss.body.position.y + Math.sin(angle) * SUMMON_DISTANCE
+        };
+        const point = findOpenPoint(grid, near, {maxDistance: SUMMON_DISTANCE}) || near;
+
+        let index = Object.keys(current).length;
+        while (current[`enemy_${index}`]) index++;
+        const key = `enemy_${index}`;
+
+        const minion = factory.enemy({x: point.x, y: point.y, enemyType: MINION_TYPE, isStatic: true, baseHealth});
+        minion.summonedBy = bossKey;
+        minion.aiState = {state: ENEMY_STATES.CHASE, since: currentTime, target: null};
+        current[key] = minion;
+        entities[key] = minion;
+    }
+
+    entities.setCurrentEnemies(current);
+    playSound(entities, 'bonus');
+};
+
+// Drive the attacks of a boss
+/**
+ * Runs the attack pattern of a boss for its current phase (see `BOSS_PHASES`).
+ *
+ * The boss still moves through its behavior state like any enemy, but holds its regular fire:
+ * its shots come from here. The phase is kept on the boss as `bossPhase`, for the HUD and the
+ * renderer.
+ *
+ * @param {Object} boss - The boss entity.
+ * @param {string} bossKey - The key of the boss among the level's enemies.
+ * @param {Object} context - The decision context built by `updateEnemyAI`.
+ */
+const updateBoss = (boss, bossKey, context) => {
+    try {
+        const {currentTime} = context;
+        const phase = getBossPhase(boss);
+        if (phase !== boss.bossPhase) {
+            boss.bossPhase = phase;
+            boss.charge = null;
+            boss.nextChargeTime = currentTime;
+            boss.nextSummonTime = currentTime;
+        }
+
+        // The charge itself runs at every step, see `updateCharge`
+        if (isCharging(boss)) return;
+
+        switch (phase) {
+            case 'spread':
+                fireVolley(boss, context, SPREAD_SHOTS);
+                break;
+            case 'charge':
+                if (boss.hasLineOfSight && currentTime >= (boss.nextChargeTime || 0)) {
+                    boss.charge = {stage: 'windup', since: currentTime, direction: boss.body.angle, hit: false};
+                } else {
+                    fireVolley(boss, context, 1);
+                }
+                break;
+            default:
+                if (currentTime >= (boss.nextSummonTime || 0)) {
+                    summonMinions(boss, bossKey, context);
+                    boss.nextSummonTime = currentTime + SUMMON_INTERVAL;
+                }
+                fireVolley(boss, context, 3);
+        }
+    } catch (error) {
+        console.error('Error updating boss:', error);
+    }
+};
+
+/**
+ * Destroys the minions whose boss is gone, so defeating a boss wins the level.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ */
+const releaseMinions = (entities) => {
+    const enemies = entities.getCurrentEnemies() || {};
+    Object.values(enemies).forEach(enemy => {
+        if (!enemy || !enemy.summonedBy || enemy.health <= 0) return;
+        const boss = enemies[enemy.summonedBy];
+        if (!boss || boss.health <= 0) enemy.health = 0;
+    });
+};
+
+/**
+ * Returns the state of the level's boss for the HUD.
+ *
+ * A defeated boss is still reported, with no health left, until the level ends.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @returns {{label: string, health: number, maxHealth: number, phase: string}|null} The boss, or null on levels without one.
+ */
+const getBossStatus = (entities) => {
+    if (!entities || typeof entities.getCurrentEnemies !== 'function') return null;
+    const boss = Object.values(entities.getCurrentEnemies() || {}).find(isBoss);
+    if (!boss) return null;
+    return {
+        label: getEnemyType(boss.enemyType).label,
+        health: Math.max(0, boss.health),
+        maxHealth: boss.maxHealth || boss.health,
+        phase: boss.bossPhase || getBossPhase(boss)
+    };
+};
+
+export {BOSS_PHASES, getBossPhase, getBossStatus, isBoss, isCharging, releaseMinions, updateBoss, updateCharge};
@@ -1,6 +1,104 @@
 import Matter from 'matter-js';
-import {handleShot} from '../utils/shooting';
-import soundManager from '../utils/soundManager';
+import {calculateAimAngle} from '../utils/aiming';
+import {getShotSpeed, handleShot, isShotReady} from '../utils/shooting';
+import {getDifficulty} from '../utils/difficulty';
+import {getEnemyType} from '../utils/enemyTypes';
+import {ENTITY_TYPES, queryEntities} from '../utils/entityRegistry';
+import {playSound} from '../utils/gameEvents';
+import {findOpenPoint, findPath, getNavGrid, isLineWalkable} from '../utils/navigation';
+import {hasLineOfSight} from '../utils/lineOfSight';
+import {getRandom} from '../utils/random';
+import {isCharging, releaseMinions, updateBoss, updateCharge} from './bossAI';
+import {DODGE_SPEED, getPlayerShots, isDodging, updateDodge} from './enemyDodge';
+import {ENEMY_STATES, getEnemyState, resolveBehavior, updateEnemyState} from './enemyBehavior';
+import {FIXED_TIME_STEP, perStep} from './fixedStep';
+import {isFriendInLineOfFire, isRegrouping, updateSquad} from './squadCoordinator';
+
+/**
+ * How often each enemy makes a decision, in milliseconds. Enemies keep moving between decisions.
+ *
+ * @type {number}
+ */
+const THINK_INTERVAL = 150;
+
+/**
+ * The number of enemies that may make a decision in one step. The budget is counted in decisions
+ * rather than milliseconds so that a replay makes the same decisions on any device.
+ *
+ * @type {number}
+ */
+const AI_THINK_BUDGET = 3;
+
+/**
+ * How often an enemy recomputes the path to a target that keeps moving, in milliseconds.
+ *
+ * @type {number}
+ */
+const PATH_REFRESH_INTERVAL = 1000;
+
+/**
+ * How long an enemy drives towards one patrol waypoint before moving on to the next, in milliseconds.
+ *
+ * @type {number}
+ */
+const PATROL_INTERVAL = 5000;
+
+/**
+ * The number of waypoints of a generated patrol route.
+ *
+ * @type {number}
+ */
+const PATROL_ROUTE_LENGTH = 3;
+
+/**
+ * How far from the enemy the waypoints of a generated patrol route lie, at most, in pixels.
+ *
+ * @type {number}
+ */
+const PATROL_RADIUS = 80;
+
+/**
+ * How far from the point beside the player a flanking enemy may settle, in pixels.
+ *
+ * @type {number}
+ */
+const FLANK_SEARCH_RADIUS = 100;
+
+/**
+ * How far a retreating enemy looks for a spot out of the player's sight, in pixels.
+ *
+ * @type {number}
+ */
+const COVER_SEARCH_RADIUS = 200;
+
+/**
+ * How far an enemy steps aside when a squadmate blocks its line of fire, in pixels.
+ *
+ * @type {number}
+ */
+const SIDESTEP_DISTANCE = 40;
+
+/**
+ * How long an enemy remembers where it last saw the player, in milliseconds. An enemy that loses
+ * sight of the player within that time investigates the spot instead of going back to its patrol.
+ *
+ * @type {number}
+ */
+const LOST_SIGHT_MEMORY = 3000;
+
+/**
+ * The clearance a line of fire needs around it, in pixels: the radius of a shot.
+ *
+ * @type {number}
+ */
+const SHOT_CLEARANCE = 5;
+
+/**
+ * How fast an enemy that cannot move (a turret) turns while scanning for the player, in radians per second.
+ *
+ * @type {number}
+ */
+const SCAN_SPEED = Math.PI / 4;
 
 // Calculate the squared distance between two points
 /**
@@ -25,51 +123,58 @@ const calculateSquaredDistance = (x1, y1, x2, y2) => {
     }
 };
 
-// Check if the entity is near the boundary of the screen
-/**
- * Determines if an entity is within a margin boundary of the application's dimensions.
- *
- * @param {Object} appDimensions - The dimensions of the application.
- * @param {number} appDimensions.width - The width of the application.
- * @param {number} appDimensions.height - The height of the application.
- * @param {Object} entity - The entity whose boundary is to be checked.
- * @param {Object} entity.body - The body of the entity.
- * @param {Object} entity.body.position - The position of the entity's body.
- * @param {number} entity.body.position.x - The x-coordinate of the entity's body.
- * @param {number} entity.body.position.y - The y-coordinate of the entity's body.
- * @returns {boolean} - True if the entity is within the margin boundary, otherwise false.
- */
-const calculateBoundaryLimit = (appDimensions, entity) => {
-    try {
-        const margin = 50;
-        const {x, y} = entity.body.position;
-        return x < margin || x > appDimensions.width - margin || y < margin || y > appDimensions.height - margin;
-    } catch (error) {
-        console.error('Error calculating boundary limit:', error);
-        return false;
-    }
-};
-
-// Generate a random direction for the enemy
+// Drive an enemy towards a point, around walls when the straight line is blocked
 /**
- * Generates a random direction vector.
+ * Moves an enemy up to `distance` pixels towards a target.
  *
- * This function returns an object containing the x and y components of a unit vector pointing
- * in a random direction. It calculates a random angle and computes the corresponding
- * x (cosine) and y (sine) values.
+ * When the navigation grid shows a wall between the enemy and the target, the enemy follows an
+ * A* path instead. The path is stored on the enemy (`path`) and recomputed when the target has
+ * moved more than two cells, after `PATH_REFRESH_INTERVAL`, or when the walls changed.
  *
- * @returns {Object} An object with the properties `x` and `y`, representing the coordinates
- *                   of the direction vector:
- *                   - `x`: The x component of the direction vector, a number between -1 and 1.
- *                   - `y`: The y component of the direction vector, a number between -1 and 1.
+ * @param {Object} enemy - The enemy entity.
+ * @param {{x: number, y: number}} target - Where the enemy wants to go.
+ * @param {Object|null} grid - The navigation grid, or null to drive straight.
+ * @param {number} distance - How far the enemy may move during this update, in pixels.
+ * @param {number} currentTime - The current game time.
+ * @returns {number|null} The angle the enemy moved in, or null if it did not move.
  */
-const randomDirection = () => {
+const moveTowards = (enemy, target, grid, distance, currentTime) => {
     try {
-        const angle = Math.random() * 2 * Math.PI;
-        return {x: Math.cos(angle), y: Math.sin(angle)};
+        const position = enemy.body.position;
+        let waypoint = target;
+
+        if (grid && !isLineWalkable(grid, position, target)) {
+            const stale = !enemy.path || !enemy.pathTarget || enemy.pathGrid !== grid ||
+                currentTime - (enemy.pathTime || 0) > PATH_REFRESH_INTERVAL ||
+                Math.hypot(target.x - enemy.pathTarget.x, target.y - enemy.pathTarget.y) > grid.cellSize * 2;
+            if (stale) {
+                enemy.path = findPath(grid, position, target) || [];
+                enemy.pathTarget = {x: target.x, y: target.y};
+                enemy.pathTime = currentTime;
+                enemy.pathGrid = grid;
+            }
+
+            // Drop the waypoints already reached
+            const reach = Math.max(distance, grid.cellSize / 2);
+            while (enemy.path.length > 0 && Math.hypot(enemy.path[0].x - position.x, enemy.path[0].y - position.y) <= reach) {
+                enemy.path.shift();
+            }
+            waypoint = enemy.path[0] || target;
+        } else {
+            enemy.path = null;
+        }
+
+        const dx = waypoint.x - position.x;
+        const dy = waypoint.y - position.y;
+        const length = Math.hypot(dx, dy);
+        if (length < 1e-6) return null;
+
+        const step = Math.min(distance, length);
+        Matter.Body.translate(enemy.body, {x: (dx / length) * step, y: (dy / length) * step});
+        return Math.atan2(dy, dx);
     } catch (error) {
-        console.error('Error generating random direction:', error);
-        return {x: 1, y: 0};
+        console.error('Error moving enemy:', error);
+        return null;
     }
 };
 
@@ -112,151 +217,497 @@ const keepWithinBounds = (body, appDimensions) => {
     }
 };
 
+// Check whether an enemy has arrived at a point
+const isNear = (position, point, grid) => (
+    !!point && Math.hypot(point.x - position.x, point.y - position.y) < (grid ? grid.cellSize : 20)
+);
+
+// Turn towards the tank and fire when the shot would get through
 /**
- * Stores the timestamp of the last update.
- * The value is represented as the number of milliseconds
- * elapsed since January 1, 1970, 00:00:00 UTC.
- * Initialized to 0, indicating no updates have been recorded.
+ * Aims an enemy that sees the tank and fires when the tank is in range, the shot is clear and
+ * the enemy's gun has cooled down.
+ *
+ * The enemy tracks the tank, but fires at the angle from `calculateAimAngle`: leading the tank by
+ * its velocity and the speed of the enemy's shots, with an error that shrinks as its accuracy grows.
+ * It holds fire while a squadmate stands in the line of fire (`friendInLineOfFire`), and when the
+ * context says so (`holdFire`): bosses only aim here and fire their own attack patterns.
+ *
+ * @param {Object} enemy - The enemy entity.
+ * @param {Object} context - The decision context built by `updateEnemyAI`.
+ * @returns {boolean} True if the enemy has a clear shot at the tank.
  */
-let lastUpdate = 0;
+const aimAndFire = (enemy, context) => {
+    const {entities, tank, currentTime, engine, soundOn} = context;
+    if (!enemy.hasLineOfSight) return false;
+
+    const dx = tank.body.position.x - enemy.body.position.x;
+    const dy = tank.body.position.y - enemy.body.position.y;
+    const angle = Math.atan2(dy, dx);
+    Matter.Body.setAngle(enemy.body, angle);
+
+    // A shot is wider than a sight line and could still clip the corner of a wall
+    enemy.friendInLineOfFire = isFriendInLineOfFire(entities, enemy, tank.body.position, SHOT_CLEARANCE);
+    const clearShot = !enemy.friendInLineOfFire && hasLineOfSight(entities, enemy.body.position, tank.body.position, SHOT_CLEARANCE);
+
+    if (clearShot && !context.holdFire && context.squaredDistanceToTank <= context.shootingRadius * context.shootingRadius &&
+        isShotReady(enemy, entities, currentTime, context.shotDelay)) {
+        const aimAngle = calculateAimAngle({
+            from: enemy.body.position,
+            target: tank.body.position,
+            velocity: tank.velocity,
+            shotSpeed: getShotSpeed(enemy),
+            accuracy: context.accuracy,
+            random: getRandom(entities)
+        });
+        Matter.Body.setAngle(enemy.body, aimAngle);
+        handleShot(enemy, entities, currentTime, context.shotDelay, 'enemyShot', aimAngle, engine, soundOn);
+    }
+    return clearShot;
+};
+
+// Decide how the enemy moves until its next decision
+/**
+ * Sets the motion an enemy follows every step until its next decision.
+ *
+ * Decisions are only made a few times per second, but `moveEnemy` applies the motion at every
+ * step so enemies move smoothly in between.
+ *
+ * @param {Object} enemy - The enemy entity.
+ * @param {Object} [motion={}] - The motion.
+ * @param {{x: number, y: number}|null} [motion.target] - The point to drive to.
+ * @param {boolean} [motion.followTank] - Drive towards the player, wherever they go.
+ * @param {boolean} [motion.face] - Turn the enemy the way it moves.
+ * @param {boolean} [motion.scan] - Stand still and sweep the gun around.
+ */
+const setMotion = (enemy, motion = {}) => {
+    enemy.motion = {target: null, followTank: false, face: false, scan: false, ...motion};
+};
+
+// Drive towards a point, facing the way the enemy moves
+const driveTo = (enemy, target, context) => {
+    if (!context.mobile || !target) return;
+    setMotion(enemy, {target, face: true});
+};
+
+// Stationary enemies sweep their gun around instead of driving
+const scan = (enemy) => {
+    setMotion(enemy, {scan: true});
+};
+
+// Lay out a patrol route around the enemy
+const createPatrolRoute = (enemy, context) => {
+    const random = getRandom(context.entities);
+    const {x, y} = enemy.body.position;
+    const route = [];
+    for (let i = 0; i < PATROL_ROUTE_LENGTH; i++) {
+        const angle = random.angle();
+        const distance = random.range(PATROL_RADIUS / 2, PATROL_RADIUS);
+        const point = findOpenPoint(context.grid, {x: x + Math.cos(angle) * distance, y: y + Math.sin(angle) * distance});
+        if (point) route.push(point);
+    }
+    return route.length > 0 ? route : null;
+};
+
+// Patrol: drive from waypoint to waypoint, moving on when one is reached or takes too long
+const patrol = (enemy, aiState, context) => {
+    if (!context.mobile) {
+        scan(enemy);
+        return;
+    }
+
+    if (!enemy.patrolRoute || enemy.patrolRoute.length === 0) {
+        enemy.patrolRoute = createPatrolRoute(enemy, context);
+        enemy.patrolIndex = 0;
+        enemy.lastDirectionChangeTime = context.currentTime;
+    }
+    if (!enemy.patrolRoute) return;
+
+    const waypoint = enemy.patrolRoute[enemy.patrolIndex % enemy.patrolRoute.length];
+    if (isNear(enemy.body.position, waypoint, context.grid) || context.currentTime - (enemy.lastDirectionChangeTime || 0) > PATROL_INTERVAL) {
+        enemy.patrolIndex = (enemy.patrolIndex + 1) % enemy.patrolRoute.length;
+        enemy.lastDirectionChangeTime = context.currentTime;
+    }
+
+    aiState.target = enemy.patrolRoute[enemy.patrolIndex];
+    driveTo(enemy, aiState.target, context);
+};
+
+// Chase: fire at the tank and close in to the engage distance, or until the shot is clear
+const chase = (enemy, aiState, context) => {
+    const clearShot = aimAndFire(enemy, context);
+    if (!context.mobile) return;
+
+    if (enemy.friendInLineOfFire) {
+        // Step out from behind the squadmate instead of firing through it
+        const {x, y} = enemy.body.position;
+        const angle = enemy.body.angle + (enemy.flankSide || 1) * Math.PI / 2;
+        setMotion(enemy, {target: {x: x + Math.cos(angle) * SIDESTEP_DISTANCE, y: y + Math.sin(angle) * SIDESTEP_DISTANCE}});
+    } else if (!clearShot || context.squaredDistanceToTank > context.engageDistanceSquared) {
+        setMotion(enemy, {followTank: true});
+    }
+};
+
+// Flank: circle to the tank's side at the current range, firing on the move
+const flank = (enemy, aiState, context) => {
+    const {tank, grid} = context;
+    if (!aiState.target) {
+        const dx = enemy.body.position.x - tank.body.position.x;
+        const dy = enemy.body.position.y - tank.body.position.y;
+        // Squad flankers take the side the coordinator gave them; lone enemies pick one
+        const side = enemy.squadRole && enemy.flankSide ? enemy.flankSide : (getRandom(context.entities).next() < 0.5 ? 1 : -1);
+        const point = {x: tank.body.position.x - dy * side, y: tank.body.position.y + dx * side};
+        aiState.target = findOpenPoint(grid, point, {maxDistance: FLANK_SEARCH_RADIUS}) || {x: enemy.body.position.x, y: enemy.body.position.y};
+    }
+
+    aimAndFire(enemy, context);
+    if (context.mobile) setMotion(enemy, {target: aiState.target});
+};
+
+// Investigate: drive to where the tank was last seen, then look around
+const investigate = (enemy, aiState, context) => {
+    if (!aiState.target && enemy.lastSeenPosition) aiState.target = {...enemy.lastSeenPosition};
+
+    if (!context.mobile || isNear(enemy.body.position, aiState.target, context.grid)) {
+        scan(enemy);
+    } else {
+        driveTo(enemy, aiState.target, context);
+    }
+};
+
+// Retreat: drive to a spot out of the tank's sight and hold there, firing back if it shows up
+const retreat = (enemy, aiState, context) => {
+    const {entities, tank, grid, currentTime} = context;
+    if (!aiState.target && context.mobile) {
+        aiState.target = findOpenPoint(grid, enemy.body.position, {
+            maxDistance: COVER_SEARCH_RADIUS,
+            accept: point => !hasLineOfSight(entities, point, tank.body.position)
+        });
+    }
+
+    if (isNear(enemy.body.position, aiState.target, grid)) {
+        if (aiState.holdSince === undefined) aiState.holdSince = currentTime;
+        aimAndFire(enemy, context);
+    } else {
+        driveTo(enemy, aiState.target, context);
+    }
+};
+
+// Regroup: gather at the squad's rally point and watch out from there
+const regroup = (enemy, aiState, context) => {
+    const squad = context.entities.squad;
+    if (!aiState.target && squad && squad.rallyPoint) aiState.target = {...squad.rallyPoint};
+
+    if (!context.mobile || isNear(enemy.body.position, aiState.target, context.grid)) {
+        scan(enemy);
+    } else {
+        driveTo(enemy, aiState.target, context);
+    }
+};
+
+// Drift away from squadmates that came too close
+const keepSpacing = (enemy, step) => {
+    const push = enemy.separation;
+    if (!push || step <= 0) return;
+    const length = Math.hypot(push.x, push.y);
+    if (length < 1e-6) return;
+    const distance = Math.min(1, length) * step;
+    Matter.Body.translate(enemy.body, {x: (push.x / length) * distance, y: (push.y / length) * distance});
+};
+
+// Move an enemy along its motion for one step
+/**
+ * Applies an enemy's motion (see `setMotion`) for the game time of one step, then keeps it
+ * apart from its squadmates. A charging boss follows its charge instead, and an enemy dodging
+ * a shot (see `system/enemyDodge.js`) heads for its dodge target at `DODGE_SPEED`.
+ *
+ * @param {Object} enemy - The enemy entity.
+ * @param {Object} context - The step context: `entities`, `tank`, `grid`, `currentTime` and `elapsed`.
+ */
+const moveEnemy = (enemy, context) => {
+    if (isCharging(enemy)) {
+        updateCharge(enemy, context);
+        return;
+    }
+    if (isDodging(enemy, context.currentTime)) {
+        moveTowards(enemy, enemy.dodge.target, context.grid, perStep(DODGE_SPEED, context.elapsed), context.currentTime);
+        return;
+    }
+
+    const motion = enemy.motion;
+    const step = perStep(enemy.aiSpeed || 0, context.elapsed);
+    if (motion && motion.scan) {
+        Matter.Body.rotate(enemy.body, perStep(SCAN_SPEED, context.elapsed));
+    } else if (motion && step > 0) {
+        const target = motion.followTank ? context.tank.body.position : motion.target;
+        const angle = target ? moveTowards(enemy, target, context.grid, step, context.currentTime) : null;
+        if (motion.face && angle !== null) Matter.Body.setAngle(enemy.body, angle);
+    }
+    keepSpacing(enemy, step);
+};
+
+/**
+ * What an enemy does in each behavior state, keyed by the names in `ENEMY_STATES`.
+ */
+const STATE_ACTIONS = {
+    [ENEMY_STATES.PATROL]: patrol,
+    [ENEMY_STATES.CHASE]: chase,
+    [ENEMY_STATES.FLANK]: flank,
+    [ENEMY_STATES.INVESTIGATE]: investigate,
+    [ENEMY_STATES.RETREAT]: retreat,
+    [ENEMY_STATES.REGROUP]: regroup
+};
+
+// Work out the level-scaled AI stats, once per level
+/**
+ * Returns the AI stats of the current level, before the multipliers of each enemy type.
+ *
+ * The stats grow with the level along the curve of the run's difficulty preset (see
+ * `utils/difficulty.js`). They only change with the level, the difficulty and the screen size,
+ * so they are kept on the entities object as `aiLevelStats` and recomputed when any changes.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {number} currentLevel - The current level of the game, affecting difficulty.
+ * @param {Object} appDimensions - The dimensions of the application screen.
+ * @returns {Object} The speed, detection and shooting radii, shot delay, accuracy, dodge chance, reaction time and minimum distance from the tank, also squared.
+ */
+const getLevelStats = (entities, currentLevel, appDimensions) => {
+    const difficulty = getDifficulty(entities);
+    const cached = entities.aiLevelStats;
+    if (cached && cached.level === currentLevel && cached.difficulty === difficulty && cached.width === appDimensions.width && cached.height === appDimensions.height) {
+        return cached;
+    }
+
+    // Dynamic minimum distance calculation
+    const maxDistanceFromTank = Math.min(appDimensions.width, appDimensions.height) * 0.95;
+    const distanceReduction = Math.floor((currentLevel - 1) / 3) * 0.02 * Math.min(appDimensions.width, appDimensions.height);
+    let minDistanceFromTank = maxDistanceFromTank - distanceReduction;
+    minDistanceFromTank = Math.max(minDistanceFromTank, 0.55 * Math.min(appDimensions.width, appDimensions.height));
+
+    // Difficulty scaling factors (speed in pixels per second)
+    const baseSpeed = 3.2;
+    const baseDetectionRadius = 200;
+    const baseShootingRadius = 200;
+    const baseShotDelay = 3000;
+    const baseAccuracy = 0.35;
+    const baseDodgeChance = 0.2;
+    const baseReactionTime = 300;
+
+    const difficultyFactor = Math.floor((currentLevel - 1) / 3) * difficulty.difficultyRate;
+    const stats = {
+        level: currentLevel,
+        difficulty,
+        width: appDimensions.width,
+        height: appDimensions.height,
+        minDistanceFromTank,
+        minDistanceFromTankSquared: minDistanceFromTank * minDistanceFromTank,
+        speed: baseSpeed * (1 + difficultyFactor * 0.31) * difficulty.enemySpeed,
+        detectionRadius: baseDetectionRadius * (1 + difficultyFactor * 0.33) * difficulty.detectionRadius,
+        shootingRadius: baseShootingRadius * (1 + difficultyFactor * 0.31) * difficulty.shootingRadius,
+        shotDelay: baseShotDelay / (1 + difficultyFactor * 1.31) * difficulty.shotDelay,
+        // Aim improves with difficulty: early enemies barely lead the tank and miss on purpose
+        accuracy: Math.min(1, (baseAccuracy + difficultyFactor * 0.15) * difficulty.accuracy),
+        // Later enemies see the player's shots coming more often and react to them sooner
+        dodgeChance: Math.min(0.8, baseDodgeChance + difficultyFactor * 0.1),
+        reactionTime: baseReactionTime / (1 + difficultyFactor * 0.25)
+    };
+    entities.aiLevelStats = stats;
+    return stats;
+};
+
+// Let one enemy perceive the player and decide what to do until its next decision
+const think = (enemy, key, levelStats, context) => {
+    const {entities, tank, grid, currentTime} = context;
+
+    // Stats declared by a level definition override the level-scaled values of the enemy's type
+    const stats = enemy.stats || {};
+    const archetype = getEnemyType(enemy.enemyType);
+    const enemySpeed = stats.speed !== undefined ? stats.speed : levelStats.speed * archetype.speed;
+    const enemyDetectionRadius = stats.detectionRadius !== undefined ? stats.detectionRadius : levelStats.detectionRadius * archetype.detectionRadius;
+    const enemyShootingRadius = stats.shootingRadius !== undefined ? stats.shootingRadius : levelStats.shootingRadius * archetype.shootingRadius;
+    const enemyShotDelay = stats.shotDelay !== undefined ? stats.shotDelay : levelStats.shotDelay * archetype.shotDelay;
+    const enemyAccuracy = Math.min(1, stats.accuracy !== undefined ? stats.accuracy : levelStats.accuracy * archetype.accuracy);
+    const engageDistanceSquared = levelStats.minDistanceFromTankSquared * archetype.engageDistance * archetype.engageDistance;
+    const mobile = enemySpeed > 0;
+    enemy.aiSpeed = enemySpeed;
+    enemy.dodgeChance = Math.min(1, stats.dodgeChance !== undefined ? stats.dodgeChance : levelStats.dodgeChance * archetype.dodgeChance);
+    enemy.reactionTime = stats.reactionTime !== undefined ? stats.reactionTime : levelStats.reactionTime * archetype.reactionTime;
+    // Kept on the enemy for the AI debug overlay
+    enemy.detectionRadius = enemyDetectionRadius;
+    enemy.shootingRadius = enemyShootingRadius;
+    enemy.engageDistance = Math.sqrt(engageDistanceSquared);
+
+    const squaredDistanceToTank = calculateSquaredDistance(
+        tank.body.position.x, tank.body.position.y,
+        enemy.body.position.x, enemy.body.position.y
+    );
+
+    // Walls block the view: the tank is only seen within the detection radius and with a clear line
+    const inDetectionRange = squaredDistanceToTank <= enemyDetectionRadius * enemyDetectionRadius;
+    enemy.hasLineOfSight = inDetectionRange && hasLineOfSight(entities, enemy.body.position, tank.body.position);
+    if (enemy.hasLineOfSight) {
+        enemy.lastSeenPosition = {x: tank.body.position.x, y: tank.body.position.y};
+        enemy.lastSeenTime = currentTime;
+    }
+
+    // Let the perception of this decision drive the enemy's behavior state
+    const behavior = resolveBehavior(archetype.behavior);
+    const previous = getEnemyState(enemy, currentTime);
+    const aiState = updateEnemyState(enemy, {
+        sees: enemy.hasLineOfSight,
+        healthRatio: enemy.maxHealth ? enemy.health / enemy.maxHealth : 1,
+        reachedTarget: isNear(enemy.body.position, previous.target, grid),
+        hasLastSeen: !!enemy.lastSeenPosition && currentTime - (enemy.lastSeenTime || 0) <= LOST_SIGHT_MEMORY,
+        squadRole: enemy.squadRole || null,
+        regrouping: context.regrouping
+    }, behavior, currentTime);
+
+    const act = STATE_ACTIONS[aiState.state] || patrol;
+    const boss = !!archetype.boss;
+    const thinkContext = {
+        ...context,
+        mobile,
+        squaredDistanceToTank,
+        engageDistanceSquared,
+        shootingRadius: enemyShootingRadius,
+        shotDelay: enemyShotDelay,
+        accuracy: enemyAccuracy,
+        holdFire: boss
+    };
+
+    // Actions that do not set a motion leave the enemy standing still until its next decision
+    setMotion(enemy);
+    // A charging boss is driven by its attack pattern alone
+    if (!(boss && isCharging(enemy))) act(enemy, aiState, thinkContext);
+    if (boss) updateBoss(enemy, key, thinkContext);
+};
+
+// Pick the enemies whose turn it is to think
+/**
+ * Schedules the decisions of the enemies and returns the ones that decide during this step.
+ *
+ * Every enemy decides once per `THINK_INTERVAL` (`nextThinkTime`). Enemies that are new to the
+ * schedule get their first decision spread over the interval, so the enemies do not all think
+ * in the same step. At most `AI_THINK_BUDGET` enemies decide per step, the most overdue first;
+ * the others wait for the next step.
+ *
+ * @param {Array<[string, Object]>} enemies - The living enemies with their keys.
+ * @param {number} currentTime - The current game time.
+ * @returns {Array<[string, Object]>} The enemies that decide during this step.
+ */
+const scheduleThinking = (enemies, currentTime) => {
+    // A clock that went back (a new game loop) reschedules everyone
+    const unscheduled = enemies.filter(([, enemy]) => (
+        enemy.nextThinkTime === undefined || enemy.nextThinkTime - currentTime > THINK_INTERVAL
+    ));
+    unscheduled.forEach(([, enemy], index) => {
+        enemy.nextThinkTime = currentTime + (index * THINK_INTERVAL) / unscheduled.length;
+    });
+
+    return enemies
+        .filter(([, enemy]) => enemy.nextThinkTime <= currentTime)
+        .sort((a, b) => a[1].nextThinkTime - b[1].nextThinkTime)
+        .slice(0, AI_THINK_BUDGET);
+};
 
 /**
  * Updates the AI behavior of enemies within the game.
  *
  * This function is responsible for managing enemy movements, interactions, and decision-making processes
- * based on the player's position, difficulty level, and other game parameters. It includes logic to avoid
- * frequent updates to reduce computational load, adjusts difficulty as levels progress, and ensures that
- * enemies behave in a manner consistent with the game's mechanics.
+ * based on the player's position, difficulty level, and other game parameters. Each enemy makes a
+ * decision every `THINK_INTERVAL` on its own timer, staggered so the enemies do not think in lockstep,
+ * and no more than `AI_THINK_BUDGET` enemies decide in the same step. Between decisions, every enemy
+ * keeps moving along the motion it decided on at every step, so movement stays smooth.
+ * Enemy speeds are in pixels per second and enemies move for the game time of each step. Chasing
+ * and patrolling enemies drive around walls along A* paths on the navigation grid, which is rebuilt
+ * whenever a wall is destroyed.
+ * Walls block an enemy's view: it only detects the player within its detection radius and with
+ * a clear line of sight, and only fires when a shot would get past every wall.
+ * Each enemy runs a behavior state machine (see `system/enemyBehavior.js`): it patrols its route,
+ * chases and flanks the player it sees, investigates where it lost them and retreats to cover
+ * when its health runs low. The current state is kept on the enemy as `aiState`.
+ * The enemies fight as a squad (see `system/squadCoordinator.js`): one suppresses while the others
+ * flank from both sides, they keep their distance from each other and do not fire through a
+ * squadmate, and the survivors regroup after a loss.
+ * Each enemy's stats are the level-scaled values multiplied by those of its type in `ENEMY_TYPES`;
+ * types without speed (turrets) hold their position and scan around instead of driving.
+ * Bosses move like any enemy but attack in phases (see `system/bossAI.js`); their minions are
+ * destroyed with them.
+ * Enemies watch the player's shots at every step and may sidestep or duck behind cover when one
+ * is about to hit them (see `system/enemyDodge.js`), more often and sooner on later levels.
+ * The radii, engage distance and last movement of every enemy are kept on it, for the AI debug
+ * overlay (see `utils/aiDebug.js`).
  *
  * @param {Object} entities - The game entities, including enemies and the player tank.
  * @param {Object} param1 - An object containing the current time.
  * @param {Object} engine - The physics engine for handling movements.
- * @param {number} total - The total number of enemy entities.
  * @param {number} currentLevel - The current level of the game, affecting difficulty.
  * @param {boolean} soundOn - Flag indicating whether sound effects are enabled.
  */
-const updateEnemyAI = (entities, {time}, engine, total, currentLevel, soundOn) => {
+const updateEnemyAI = (entities, {time}, engine, currentLevel, soundOn) => {
     try {
-        const currentTime = time ? time.current : Date.now();
-
-        // Debounce logic (adjust DEBOUNCE_INTERVAL directly here if needed)
-        const DEBOUNCE_INTERVAL = 150;
-        if (currentTime - lastUpdate < DEBOUNCE_INTERVAL) {
-            return;
-        }
-        lastUpdate = currentTime;
-
         if (!entities || !entities.tank || typeof entities.getScreenDimension !== 'function') {
             console.error('Invalid entities object or required properties are missing');
             return;
         }
 
+        const currentTime = time ? time.current : Date.now();
+        const elapsed = {delta: time && time.delta !== undefined ? time.delta : FIXED_TIME_STEP};
         const tank = entities.tank;
-        const appDimensions = entities.getScreenDimension();
-
-        // Dynamic minimum distance calculation
-        const maxDistanceFromTank = Math.min(appDimensions.width, appDimensions.height) * 0.95;
-        const distanceReduction = Math.floor((currentLevel - 1) / 3) * 0.02 * Math.min(appDimensions.width, appDimensions.height);
-        let minDistanceFromTank = maxDistanceFromTank - distanceReduction;
-        minDistanceFromTank = Math.max(minDistanceFromTank, 0.55 * Math.min(appDimensions.width, appDimensions.height));
-        const minDistanceFromTankSquared = minDistanceFromTank * minDistanceFromTank;
-
-        // Log the calculated minimum distance
-        const minDistancePercentage = (minDistanceFromTank / Math.min(appDimensions.width, appDimensions.height)) * 100;
-        console.log(`Level ${currentLevel}: Minimum distance for AI is set to ${minDistanceFromTank} pixels (${minDistancePercentage.toFixed(2)}% of screen size).`);
-
-        // Difficulty scaling factors
-        const baseSpeed = 0.95 * 0.5;
-        const baseDetectionRadius = 200;
-        const baseShootingRadius = 200;
-        const baseShotDelay = 3000;
-
-        const difficultyFactor = Math.floor((currentLevel - 1) / 3);
-        const speed = baseSpeed * (1 + difficultyFactor * 0.31);
-        const detectionRadius = baseDetectionRadius * (1 + difficultyFactor * 0.33);
-        const shootingRadius = baseShootingRadius * (1 + difficultyFactor * 0.31);
-        const shotDelay = baseShotDelay / (1 + difficultyFactor * 1.31);
-
-        const detectionRadiusSquared = detectionRadius * detectionRadius;
-        const shootingRadiusSquared = shootingRadius * shootingRadius;
-
-        // List to keep track of entities to remove
-        let entitiesToRemove = [];
+        const grid = getNavGrid(entities);
+
+        // Minions do not outlive their boss
+        releaseMinions(entities);
+
+        // Remove the enemies destroyed since the last step
+        const enemies = [];
+        queryEntities(entities, {type: ENTITY_TYPES.ENEMY}).forEach(([key, enemy]) => {
+            if (!enemy.body || !enemy.body.position) return;
+            if (enemy.health <= 0) {
+                Matter.World.remove(engine.world, enemy.body);
+                delete entities[key];
+                playSound(entities, 'explosion');  // Play explosion sound when enemy is removed
+                return;
+            }
+            enemies.push([key, enemy]);
+        });
 
-        for (let i = 0; i <= total; i++) {
-            try {
-                let enemy = entities[`enemy_${i}`];
+        const context = {entities, tank, grid, engine, soundOn, currentTime, elapsed};
 
-                if (!enemy || !enemy.body || !enemy.body.position) continue;
+        const thinkers = scheduleThinking(enemies, currentTime);
+        if (thinkers.length > 0) {
+            const levelStats = getLevelStats(entities, currentLevel, entities.getScreenDimension());
 
-                if (enemy.health <= 0) {
-                    entitiesToRemove.push(`enemy_${i}`);
-                    soundManager.playSound('explosion');  // Play explosion sound when enemy is removed
-                    continue;
-                }
+            // Coordinate the squad before each enemy decides what to do
+            updateSquad(entities, grid, currentTime);
+            context.regrouping = isRegrouping(entities, currentTime);
 
-                const squaredDistanceToTank = calculateSquaredDistance(
-                    tank.body.position.x, tank.body.position.y,
-                    enemy.body.position.x, enemy.body.position.y
-                );
-
-                if (!enemy.lastShotTime) enemy.lastShotTime = 0;
-
-                if (squaredDistanceToTank <= detectionRadiusSquared) {
-                    const dx = tank.body.position.x - enemy.body.position.x;
-                    const dy = tank.body.position.y - enemy.body.position.y;
-                    const angle = Math.atan2(dy, dx);
-
-                    const cosAngle = Math.cos(angle);
-                    const sinAngle = Math.sin(angle);
-
-                    Matter.Body.setAngle(enemy.body, angle);
-
-                    if (squaredDistanceToTank <= shootingRadiusSquared && currentTime - enemy.lastShotTime > shotDelay) {
-                        enemy.lastShotTime = currentTime;
-                        handleShot(enemy, entities, currentTime, shotDelay, 'enemyShot', angle, engine, soundOn);
-                    }
-
-                    // Move towards the tank if distance is greater than minDistanceFromTank
-                    const movementDirection = squaredDistanceToTank > minDistanceFromTankSquared ? 1 : 0;
-                    Matter.Body.translate(enemy.body, {
-                        x: movementDirection * speed * cosAngle,
-                        y: movementDirection * speed * sinAngle
-                    });
-                } else {
-                    if (!enemy.direction || calculateBoundaryLimit(appDimensions, enemy) || currentTime - (enemy.lastDirectionChangeTime || 0) > 5000) {
-                        enemy.direction = randomDirection();
-                        enemy.lastDirectionChangeTime = currentTime;
-                    }
-
-                    if (enemy.direction) {
-                        const angle = Math.atan2(enemy.direction.y, enemy.direction.x);
-                        const cosAngle = Math.cos(angle);
-                        const sinAngle = Math.sin(angle);
-
-                        Matter.Body.setAngle(enemy.body, angle);
-                        Matter.Body.translate(enemy.body, {
-                            x: speed * cosAngle,
-                            y: speed * sinAngle
-                        });
-                    }
+            thinkers.forEach(([key, enemy]) => {
+                try {
+                    enemy.nextThinkTime = currentTime + THINK_INTERVAL;
+                    think(enemy, key, levelStats, context);
+                } catch (error) {
+                    console.error(`Error updating ${key}:`, error);
                 }
+            });
+        }
 
+        // Every enemy moves at every step, whether it decided or not, and watches for the player's shots
+        const appDimensions = entities.getScreenDimension();
+        const shots = getPlayerShots(entities);
+        enemies.forEach(([key, enemy]) => {
+            try {
+                const {x, y} = enemy.body.position;
+                updateDodge(enemy, shots, context);
+                moveEnemy(enemy, context);
                 keepWithinBounds(enemy.body, appDimensions);
+                enemy.lastMove = {x: enemy.body.position.x - x, y: enemy.body.position.y - y};
             } catch (error) {
-                console.error(`Error updating enemy ${i}:`, error);
+                console.error(`Error moving ${key}:`, error);
             }
-        }
-
-        // Remove entities marked for deletion
-        entitiesToRemove.forEach(entityKey => {
-            Matter.World.remove(engine.world, entities[entityKey].body);
-            delete entities[entityKey];
         });
-
     } catch (error) {
         console.error('Error in updateEnemyAI:', error);
     }
 };
 
-export {keepWithinBounds, updateEnemyAI};
+export {keepWithinBounds, moveTowards, updateEnemyAI};
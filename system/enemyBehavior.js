@@ -0,0 +1,159 @@
+/**
+ * The states of the enemy behavior state machine.
+ *
+ * - `patrol`: follow the enemy's patrol route until the player is seen.
+ * - `chase`: face the player, fire when the shot is clear and close in to the engage distance.
+ * - `flank`: after chasing for a while, drive to the player's side to attack from another angle.
+ * - `investigate`: the player was lost from sight; drive to where they were last seen and look around.
+ * - `retreat`: health is low; drive to a spot the player cannot see and hold there before fighting again.
+ * - `regroup`: the squad lost a member; gather with the survivors at the squad's rally point.
+ *
+ * @type {{PATROL: string, CHASE: string, FLANK: string, INVESTIGATE: string, RETREAT: string, REGROUP: string}}
+ */
+const ENEMY_STATES = {
+    PATROL: 'patrol',
+    CHASE: 'chase',
+    FLANK: 'flank',
+    INVESTIGATE: 'investigate',
+    RETREAT: 'retreat',
+    REGROUP: 'regroup'
+};
+
+/**
+ * The roles the squad coordinator hands out to the enemies fighting the player.
+ *
+ * - `suppress`: hold the line closest to the player and keep firing.
+ * - `flank`: work around the player's side while the suppressor keeps them busy.
+ *
+ * @type {{SUPPRESS: string, FLANK: string}}
+ */
+const SQUAD_ROLES = {
+    SUPPRESS: 'suppress',
+    FLANK: 'flank'
+};
+
+/**
+ * The behavior used by enemy types that do not configure their own.
+ *
+ * - `transitions` lists, for every state, the states the enemy may switch to.
+ * - `retreatHealth` is the share of its starting health below which the enemy retreats, once.
+ * - `flankAfter` is how long the enemy chases before flanking, in milliseconds. In a squad, only
+ *   the enemies given the flank role flank; the suppressor keeps chasing.
+ * - `flankTimeout` is how long a flank may take before the enemy goes back to chasing, in milliseconds.
+ * - `investigateTime` is how long the enemy searches for a player it lost, in milliseconds.
+ * - `retreatHold` is how long the enemy stays in cover before fighting again, in milliseconds.
+ *
+ * @type {Object}
+ */
+const DEFAULT_BEHAVIOR = {
+    transitions: {
+        [ENEMY_STATES.PATROL]: [ENEMY_STATES.CHASE, ENEMY_STATES.REGROUP],
+        [ENEMY_STATES.CHASE]: [ENEMY_STATES.RETREAT, ENEMY_STATES.FLANK, ENEMY_STATES.INVESTIGATE, ENEMY_STATES.PATROL],
+        [ENEMY_STATES.FLANK]: [ENEMY_STATES.RETREAT, ENEMY_STATES.CHASE, ENEMY_STATES.INVESTIGATE],
+        [ENEMY_STATES.INVESTIGATE]: [ENEMY_STATES.RETREAT, ENEMY_STATES.CHASE, ENEMY_STATES.REGROUP, ENEMY_STATES.PATROL],
+        [ENEMY_STATES.RETREAT]: [ENEMY_STATES.CHASE, ENEMY_STATES.INVESTIGATE, ENEMY_STATES.PATROL],
+        [ENEMY_STATES.REGROUP]: [ENEMY_STATES.RETREAT, ENEMY_STATES.CHASE, ENEMY_STATES.PATROL]
+    },
+    retreatHealth: 0.3,
+    flankAfter: 3000,
+    flankTimeout: 4000,
+    investigateTime: 3000,
+    retreatHold: 3000
+};
+
+/**
+ * Merges the behavior configured by an enemy type over `DEFAULT_BEHAVIOR`.
+ *
+ * @param {Object} [behavior] - The `behavior` of an enemy type.
+ * @returns {Object} The complete behavior.
+ */
+const resolveBehavior = (behavior) => ({
+    ...DEFAULT_BEHAVIOR,
+    ...(behavior || {}),
+    transitions: {...DEFAULT_BEHAVIOR.transitions, ...((behavior && behavior.transitions) || {})}
+});
+
+/**
+ * Returns the current behavior state of an enemy, starting it on patrol.
+ *
+ * The state lives on the enemy as `aiState`: the `state` name, the game time it was entered
+ * (`since`) and the point the state drives to, if any (`target`). It can be read for debugging.
+ *
+ * @param {Object} enemy - The enemy entity.
+ * @param {number} currentTime - The current game time.
+ * @returns {{state: string, since: number, target: ({x: number, y: number}|null)}} The state.
+ */
+const getEnemyState = (enemy, currentTime) => {
+    if (!enemy.aiState) enemy.aiState = {state: ENEMY_STATES.PATROL, since: currentTime, target: null};
+    return enemy.aiState;
+};
+
+// The states an enemy would like to be in, most wanted first
+const desiredStates = (enemy, aiState, perception, behavior, currentTime) => {
+    const {sees, healthRatio, reachedTarget, hasLastSeen, squadRole, regrouping} = perception;
+    const inState = currentTime - aiState.since;
+    const lost = hasLastSeen ? [ENEMY_STATES.INVESTIGATE, ENEMY_STATES.PATROL] : [ENEMY_STATES.PATROL];
+
+    if (aiState.state !== ENEMY_STATES.RETREAT && !enemy.hasRetreated && sees && healthRatio <= behavior.retreatHealth) {
+        return [ENEMY_STATES.RETREAT];
+    }
+
+    switch (aiState.state) {
+        case ENEMY_STATES.CHASE:
+            if (!sees) return lost;
+            // A squad's suppressor holds its line; lone enemies and flankers flank after a while
+            if (squadRole === SQUAD_ROLES.SUPPRESS) return [];
+            return inState >= behavior.flankAfter ? [ENEMY_STATES.FLANK] : [];
+        case ENEMY_STATES.FLANK:
+            if (!sees) return lost;
+            return reachedTarget || inState >= behavior.flankTimeout ? [ENEMY_STATES.CHASE] : [];
+        case ENEMY_STATES.INVESTIGATE:
+            if (sees) return [ENEMY_STATES.CHASE];
+            if (regrouping) return [ENEMY_STATES.REGROUP];
+            return inState >= behavior.investigateTime ? [ENEMY_STATES.PATROL] : [];
+        case ENEMY_STATES.REGROUP:
+            if (sees) return [ENEMY_STATES.CHASE];
+            return regrouping ? [] : [ENEMY_STATES.PATROL];
+        case ENEMY_STATES.RETREAT:
+            // Hold in cover, then fight on; an enemy with nowhere to hide fights on at once
+            if (aiState.target && !(reachedTarget && currentTime - (aiState.holdSince || currentTime) >= behavior.retreatHold)) return [];
+            return sees ? [ENEMY_STATES.CHASE] : lost;
+        default:
+            if (sees) return [ENEMY_STATES.CHASE];
+            return regrouping ? [ENEMY_STATES.REGROUP] : [];
+    }
+};
+
+// Advance an enemy's behavior state machine
+/**
+ * Moves an enemy to its next behavior state.
+ *
+ * The enemy's perception decides which states it wants to be in; it switches to the first
+ * one its behavior allows from the current state (`behavior.transitions`), or stays where it
+ * is. Entering a state resets its timer and target.
+ *
+ * @param {Object} enemy - The enemy entity.
+ * @param {Object} perception - What the enemy knows this update.
+ * @param {boolean} perception.sees - Whether the player is in sight.
+ * @param {number} perception.healthRatio - The enemy's health as a share of its starting health.
+ * @param {boolean} perception.reachedTarget - Whether the enemy reached the target of its state.
+ * @param {boolean} perception.hasLastSeen - Whether the enemy remembers where it last saw the player.
+ * @param {string|null} [perception.squadRole] - The role the squad coordinator gave the enemy.
+ * @param {boolean} [perception.regrouping] - Whether the enemy's squad is regrouping.
+ * @param {Object} behavior - The enemy's behavior, from `resolveBehavior`.
+ * @param {number} currentTime - The current game time.
+ * @returns {{state: string, since: number, target: ({x: number, y: number}|null)}} The state after the update.
+ */
+const updateEnemyState = (enemy, perception, behavior, currentTime) => {
+    const aiState = getEnemyState(enemy, currentTime);
+    const allowed = behavior.transitions[aiState.state] || [];
+    const next = desiredStates(enemy, aiState, perception, behavior, currentTime).find(state => allowed.includes(state));
+
+    if (next && next !== aiState.state) {
+        enemy.aiState = {state: next, since: currentTime, target: null};
+        if (next === ENEMY_STATES.RETREAT) enemy.hasRetreated = true;
+    }
+    return enemy.aiState;
+};
+
+export {DEFAULT_BEHAVIOR, ENEMY_STATES, SQUAD_ROLES, getEnemyState, resolveBehavior, updateEnemyState};
@@ -0,0 +1,165 @@
+import {ENTITY_TYPES, TEAMS, queryEntities} from '../utils/entityRegistry';
+import {hasLineOfSight} from '../utils/lineOfSight';
+import {findOpenPoint, isLineWalkable} from '../utils/navigation';
+import {getRandom} from '../utils/random';
+
+/**
+ * How far ahead enemies watch for incoming shots, in milliseconds: a shot that would reach an
+ * enemy later than that is not a threat yet.
+ *
+ * @type {number}
+ */
+const DODGE_WINDOW = 700;
+
+/**
+ * How fast an enemy moves out of the way of a shot, in pixels per second.
+ *
+ * @type {number}
+ */
+const DODGE_SPEED = 120;
+
+/**
+ * The room an enemy leaves between itself and the path of a shot it dodges, in pixels.
+ *
+ * @type {number}
+ */
+const DODGE_MARGIN = 6;
+
+/**
+ * How far an enemy looks for cover to duck behind when a shot comes in, in pixels.
+ *
+ * @type {number}
+ */
+const DUCK_DISTANCE = 60;
+
+// Work out when and how close a shot passes an enemy
+/**
+ * Predicts the closest approach of a shot to an enemy, assuming both keep going as they are.
+ *
+ * @param {Object} enemy - The enemy entity.
+ * @param {Object} shot - The projectile entity, with its `velocity` in pixels per second.
+ * @returns {{time: number, miss: number, side: {x: number, y: number}}|null} When the shot passes
+ *   closest, in milliseconds from now, how far from the enemy's centre it passes, and the unit
+ *   vector from the shot's path to the enemy; or null if the shot is not coming closer.
+ */
+const predictClosestApproach = (enemy, shot) => {
+    const {velocity} = shot;
+    const speedSquared = velocity.x * velocity.x + velocity.y * velocity.y;
+    if (speedSquared < 1e-9) return null;
+
+    const rx = enemy.body.position.x - shot.body.position.x;
+    const ry = enemy.body.position.y - shot.body.position.y;
+    const t = (rx * velocity.x + ry * velocity.y) / speedSquared;
+    if (t <= 0) return null;
+
+    const offsetX = rx - velocity.x * t;
+    const offsetY = ry - velocity.y * t;
+    const miss = Math.hypot(offsetX, offsetY);
+    const speed = Math.sqrt(speedSquared);
+    // A shot headed straight at the centre leaves the enemy free to pick either side
+    const side = miss > 1e-6 ? {x: offsetX / miss, y: offsetY / miss} : {x: -velocity.y / speed, y: velocity.x / speed};
+    return {time: t * 1000, miss, side};
+};
+
+// How far from its centre a shot has to pass to miss the enemy
+const getClearance = (enemy, shot) => {
+    const {min, max} = enemy.body.bounds;
+    return Math.max(max.x - min.x, max.y - min.y) / 2 + (shot.body.circleRadius || 5);
+};
+
+// Find the player shot that will hit the enemy first, within the dodge window
+const findThreat = (enemy, shots) => {
+    let threat = null;
+    shots.forEach(([, shot]) => {
+        const approach = predictClosestApproach(enemy, shot);
+        if (!approach || approach.time > DODGE_WINDOW) return;
+        if (approach.miss >= getClearance(enemy, shot)) return;
+        if (!threat || approach.time < threat.approach.time) threat = {shot, approach};
+    });
+    return threat;
+};
+
+// Pick where to get out of the line of fire: behind cover when there is some close by, otherwise to the side
+const chooseDodgeTarget = (enemy, threat, available, context) => {
+    const {entities, tank, grid} = context;
+    const position = enemy.body.position;
+    const reach = DODGE_SPEED * available / 1000;
+
+    const cover = grid ? findOpenPoint(grid, position, {
+        maxDistance: Math.min(DUCK_DISTANCE, reach),
+        accept: point => !hasLineOfSight(entities, point, tank.body.position)
+    }) : null;
+    if (cover && isLineWalkable(grid, position, cover)) return cover;
+
+    // Step away from the shot's path, or across it when that side is blocked
+    const {miss, side} = threat.approach;
+    const clearance = getClearance(enemy, threat.shot) + DODGE_MARGIN;
+    const options = [
+        {direction: side, distance: clearance - miss},
+        {direction: {x: -side.x, y: -side.y}, distance: clearance + miss}
+    ];
+    for (const {direction, distance} of options) {
+        const target = {x: position.x + direction.x * distance, y: position.y + direction.y * distance};
+        if (!grid || isLineWalkable(grid, position, target)) return target;
+    }
+    return null;
+};
+
+// React to the player's shots
+/**
+ * Lets an enemy react to the shots of the player's team, the allied tank's included, at every step.
+ *
+ * An enemy notices a shot that would hit it within `DODGE_WINDOW`. It decides once per shot
+ * whether to dodge it, with a chance of its `dodgeChance`, and starts to move `reactionTime`
+ * milliseconds later: to a spot the player cannot see within `DUCK_DISTANCE`, or else just far
+ * enough to the side of the shot's path. Shots that arrive before the enemy can react, and
+ * enemies that cannot move, are not dodged. The dodge is kept on the enemy as `dodge` and
+ * `moveEnemy` in `system/enemyAI.js` follows it instead of the enemy's motion.
+ *
+ * @param {Object} enemy - The enemy entity, with the `aiSpeed`, `dodgeChance` and `reactionTime` of its last decision.
+ * @param {Array<[string, Object]>} shots - The shots of the player's team in flight, with their keys.
+ * @param {Object} context - The step context: `entities`, `tank`, `grid` and `currentTime`.
+ */
+const updateDodge = (enemy, shots, context) => {
+    try {
+        const {currentTime} = context;
+        if (enemy.dodge && currentTime >= enemy.dodge.until) enemy.dodge = null;
+        if (enemy.dodge || !(enemy.aiSpeed > 0) || !(enemy.dodgeChance > 0) || shots.length === 0) return;
+
+        const threat = findThreat(enemy, shots);
+        if (!threat || threat.shot === enemy.lastThreat) return;
+        enemy.lastThreat = threat.shot;
+
+        const reactionTime = enemy.reactionTime || 0;
+        const available = threat.approach.time - reactionTime;
+        if (available <= 0 || getRandom(context.entities).next() >= enemy.dodgeChance) return;
+
+        const target = chooseDodgeTarget(enemy, threat, available, context);
+        if (!target) return;
+
+        const distance = Math.hypot(target.x - enemy.body.position.x, target.y - enemy.body.position.y);
+        const start = currentTime + reactionTime;
+        enemy.dodge = {target, start, until: start + (distance / DODGE_SPEED) * 1000};
+    } catch (error) {
+        console.error('Error dodging shot:', error);
+    }
+};
+
+/**
+ * Checks whether an enemy is getting out of the way of a shot at this moment.
+ *
+ * @param {Object} enemy - The enemy entity.
+ * @param {number} currentTime - The current game time.
+ * @returns {boolean} True while the enemy dodges.
+ */
+const isDodging = (enemy, currentTime) => !!enemy.dodge && currentTime >= enemy.dodge.start && currentTime < enemy.dodge.until;
+
+/**
+ * Returns the shots of the player's team in flight, the threats enemies may dodge.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @returns {Array<[string, Object]>} The shots with their keys.
+ */
+const getPlayerShots = (entities) => queryEntities(entities, {type: ENTITY_TYPES.PROJECTILE, team: TEAMS.PLAYER});
+
+export {DODGE_SPEED, getPlayerShots, isDodging, predictClosestApproach, updateDodge};
@@ -0,0 +1,138 @@
+import {queryEntities} from '../utils/entityRegistry';
+
+/**
+ * The duration of a single game step in milliseconds (60 steps per second).
+ *
+ * @type {number}
+ */
+const FIXED_TIME_STEP = 1000 / 60;
+
+/**
+ * The most steps a single frame may run. Time beyond that is dropped, so a long stall (the app
+ * coming back from the background, a slow device) slows the game down instead of freezing it.
+ *
+ * @type {number}
+ */
+const MAX_STEPS_PER_FRAME = 5;
+
+// Tolerance for the floating point error of summing frame durations
+const STEP_EPSILON = 1e-6;
+
+// Remember where every body was before a step, for interpolation
+const capturePreviousTransforms = (entities) => {
+    queryEntities(entities, {with: ['collider']}).forEach(([, entity]) => {
+        entity.previousTransform = {
+            x: entity.body.position.x,
+            y: entity.body.position.y,
+            angle: entity.body.angle
+        };
+    });
+};
+
+// Blend every body between its previous and current step
+/**
+ * Sets the `render` transform of every entity with a body, blended between its position before
+ * the last step and its current position. Entities created during the last step are drawn where
+ * they are.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {number} alpha - How far the frame is between the last step and the next one, from 0 to 1.
+ */
+const interpolateTransforms = (entities, alpha) => {
+    queryEntities(entities, {with: ['collider']}).forEach(([, entity]) => {
+        const {position, angle} = entity.body;
+        const previous = entity.previousTransform;
+        entity.render = previous ? {
+            x: previous.x + (position.x - previous.x) * alpha,
+            y: previous.y + (position.y - previous.y) * alpha,
+            angle: previous.angle + (angle - previous.angle) * alpha
+        } : {x: position.x, y: position.y, angle};
+    });
+};
+
+// Decouple the game's step rate from the device's frame rate
+/**
+ * Creates a fixed-timestep loop.
+ *
+ * Each frame adds its duration to an accumulator and the game systems run once for every whole
+ * `timeStep` collected, always with the same `time.delta`. Movement, cooldowns and timers therefore
+ * advance identically on a 30 Hz and a 120 Hz screen. The time left over in the accumulator is
+ * used to interpolate the drawn position of every body (`entity.render`) between the last two
+ * steps, so motion stays smooth when frames and steps do not line up.
+ *
+ * The loop owns the game clock: the systems see `time.current` advance by `timeStep` per step,
+ * starting at `startTime`.
+ *
+ * @param {Object} [options={}] - Loop options.
+ * @param {number} [options.timeStep=FIXED_TIME_STEP] - The duration of a step in milliseconds.
+ * @param {number} [options.maxSteps=MAX_STEPS_PER_FRAME] - The most steps a single frame may run.
+ * @param {number} [options.startTime=0] - The game time before the first step.
+ * @returns {Object} The loop, exposing `run`, `getTime` and `getAlpha`.
+ */
+const createFixedStepLoop = ({timeStep = FIXED_TIME_STEP, maxSteps = MAX_STEPS_PER_FRAME, startTime = 0} = {}) => {
+    const time = {current: startTime, previous: startTime, delta: timeStep};
+    let accumulator = 0;
+    let alpha = 0;
+
+    /**
+     * Runs as many steps as the frame's duration allows.
+     *
+     * @param {Object} entities - The current state of all game entities.
+     * @param {Object} args - The arguments the game loop passed to the systems; `args.time.delta` is the frame duration.
+     * @param {Function} update - Runs the game systems for one step: `(entities, args) => entities`.
+     * @returns {Object} The entities after the last step.
+     */
+    const run = (entities, args, update) => {
+        const frameDelta = args && args.time ? Number(args.time.delta) : timeStep;
+        accumulator = Math.min(accumulator + (Number.isFinite(frameDelta) ? Math.max(0, frameDelta) : 0), maxSteps * timeStep);
+
+        let next = entities;
+        while (accumulator >= timeStep - STEP_EPSILON) {
+            accumulator = Math.max(0, accumulator - timeStep);
+            capturePreviousTransforms(next);
+            time.previous = time.current;
+            time.current = time.previous + timeStep;
+            time.delta = timeStep;
+            next = update(next, {...args, time});
+        }
+
+        alpha = accumulator / timeStep;
+        interpolateTransforms(next, alpha);
+        return next;
+    };
+
+    return {
+        run,
+        getTime: () => time,
+        getAlpha: () => alpha
+    };
+};
+
+/**
+ * Measures how fast an entity moved during the last step, from its position before the step.
+ * Bodies are moved directly rather than by the physics engine, so their own velocity stays zero.
+ *
+ * @param {Object} entity - The entity, with a Matter.js `body`.
+ * @param {Object} time - The time object passed to the systems.
+ * @returns {{x: number, y: number}} The velocity, in pixels per second.
+ */
+const measureVelocity = (entity, time) => {
+    const previous = entity.previousTransform;
+    const delta = time && time.delta !== undefined ? time.delta : FIXED_TIME_STEP;
+    if (!previous || !(delta > 0)) return {x: 0, y: 0};
+    return {
+        x: (entity.body.position.x - previous.x) * 1000 / delta,
+        y: (entity.body.position.y - previous.y) * 1000 / delta
+    };
+};
+
+/**
+ * Converts a rate in units per second into the amount covered during one step.
+ *
+ * @param {number} perSecond - The rate, e.g. pixels or radians per second.
+ * @param {Object} time - The time object passed to the systems.
+ * @returns {number} The amount covered during `time.delta`.
+ */
+const perStep = (perSecond, time) => perSecond * ((time && time.delta !== undefined ? time.delta : FIXED_TIME_STEP) / 1000);
+
+export {FIXED_TIME_STEP, MAX_STEPS_PER_FRAME, createFixedStepLoop, measureVelocity, perStep};
@@ -1,37 +1,58 @@
 import Matter from 'matter-js';
-import {Dimensions} from 'react-native';
-import Sound from 'react-native-sound';
 import {spawnBoost} from '../utils/boost';
-import {generateBoundaryWalls} from '../utils/boundaries_walls';
-import generateEnemies from '../utils/levels';
+import {getDifficulty} from '../utils/difficulty';
+import {createLevelMetrics} from '../utils/director';
+import {getEntityFactory} from '../utils/entityFactory';
+import {ENTITY_TYPES, queryEntities, removeEntity} from '../utils/entityRegistry';
+import {playSound} from '../utils/gameEvents';
+import {
+    checkWinConditions,
+    generateLevel,
+    generateLevelWalls,
+    getLevelDefinition,
+    getPlayerStart,
+    getScheduledBoost,
+    isTimeUp
+} from '../utils/levelLoader';
+import {getRandom} from '../utils/random';
 import {handleShot} from '../utils/shooting';
+import {buildBroadphase, expandBounds, getBroadphase} from '../utils/spatialHash';
 import collisionSystem from '../utils/wallColision';
+import {getEntityWeapon, resolveWeapon} from '../utils/weapons';
+import {placeAlly, updateAllyAI} from './allyAI';
 import {updateEnemyAI} from './enemyAI';
+import {measureVelocity, perStep} from './fixedStep';
 
-// Initialize screen dimensions
-const {width, height} = Dimensions.get('window');
+/**
+ * Screen dimensions used when the entities object cannot report the real ones.
+ * Physics no longer queries the device window itself so it can run outside React Native.
+ *
+ * @type {{width: number, height: number}}
+ */
+const DEFAULT_SCREEN_DIMENSIONS = {width: 800, height: 400};
+const {width, height} = DEFAULT_SCREEN_DIMENSIONS;
 
-// Initialize sounds
 /**
- * A collection of sound effects used in the application.
- * Each sound is loaded from the specified path and logs an error if loading fails.
+ * How far around a tank walls are looked up when keeping it out of them. A tank can be pushed
+ * a few pixels by one wall and touch the next one within the same step.
  *
- * @type {Object}
- * @property {Sound} explosion - The sound effect triggered by explosions.
- * @property {Sound} collision - The sound effect triggered by collisions.
+ * @type {number}
  */
-const sounds = {
-    explosion: new Sound(require('../assets/sounds/explode.wav'), (error) => {
-        if (error) {
-            console.error('Failed to load explosion sound:', error);
-        }
-    }),
-    collision: new Sound(require('../assets/sounds/hit.wav'), (error) => {
-        if (error) {
-            console.error('Failed to load collision sound:', error);
-        }
-    }),
-};
+const WALL_QUERY_MARGIN = 10;
+
+/**
+ * How fast the player's tank drives, in pixels per second.
+ *
+ * @type {number}
+ */
+const TANK_SPEED = 78;
+
+/**
+ * How fast the player's tank turns, in radians per second.
+ *
+ * @type {number}
+ */
+const TANK_ROTATION_SPEED = Math.PI;
 
 // Setup screen dimensions for the game world
 /**
@@ -134,6 +155,39 @@ const handleCollision = (event, entities, engine) => {
     });
 };
 
+// Spawn the next boost scheduled by a level definition
+/**
+ * Spawns the next boost declared by a level definition once its delay has passed.
+ *
+ * Boosts are spawned one at a time in the order they are declared; the next one waits until
+ * the current boost has been collected or has expired. The `boostFrequency` of the run's
+ * difficulty shortens or stretches their delays and lifetimes.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {Object} currentLevel - The current level object, tracking the index of the next boost.
+ * @param {Object} levelDefinition - The level definition.
+ * @param {number} elapsed - The time spent in the level, in milliseconds.
+ * @param {Object} time - Time-related information.
+ */
+const spawnScheduledBoost = (entities, currentLevel, levelDefinition, elapsed, time) => {
+    try {
+        if (!currentLevel.generated || entities['boost']) return;
+
+        const nextBoost = currentLevel.nextBoost || 0;
+        const scheduled = getScheduledBoost(levelDefinition, nextBoost, entities.getScreenDimension());
+        const {boostFrequency} = getDifficulty(entities);
+        if (!scheduled || elapsed < scheduled.delay / boostFrequency) return;
+
+        const boost = getEntityFactory(entities).boost({position: scheduled.position, size: scheduled.size});
+        boost.spawnTime = time.current;
+        boost.lifetime = scheduled.lifetime * boostFrequency;
+        entities['boost'] = boost;
+        entities.setCurrentLevel({...currentLevel, boostSpawned: true, nextBoost: nextBoost + 1});
+    } catch (error) {
+        console.error("Error in spawnScheduledBoost:", error);
+    }
+};
+
 // Main physics loop for the game
 /**
  * Applies the physics logic and updates the state of various entities within the game.
@@ -141,18 +195,21 @@ const handleCollision = (event, entities, engine) => {
  * entity generation, collision, and user controls.
  *
  * @param {Object} entities - The current state of all game entities.
- * @param {Object} param1 - Time-related information.
+ * @param {Object} param1 - Time-related information. `Physics` runs once per fixed step, so `time.delta` is the step duration.
  * @param {boolean} soundOn - Flag indicating if sound effects should be enabled.
  * @returns {Object} - The updated state of all game entities.
  *
+ * Speeds are in units per second and scaled by `time.delta`.
+ *
  * Updates included:
  * - Physics engine updates.
  * - Boundary and screen dimension handling.
  * - Orientation change handling.
- * - Enemy and boost generation logic.
+ * - Enemy and boost generation logic, from a level definition when the level has one.
  * - Boost removal after a specific time.
- * - Enemy AI update.
- * - Control state handling for tank movement and actions.
+ * - Win conditions and time limits.
+ * - Enemy AI and allied tank updates.
+ * - Control state handling for tank movement and actions, firing the weapon the player picked.
  * - Collision event setup.
  * - Boundary checks for tanks and enemies.
  * - Collision system integration.
@@ -168,8 +225,11 @@ const Physics = (entities, {time}, soundOn) => {
         const bounds = entities.bounds || setupScreenDimensions(entities);
         entities.bounds = bounds;
 
+        const currentLevel = entities.getCurrentLevel ? entities.getCurrentLevel() : null;
+        const levelDefinition = currentLevel ? getLevelDefinition(entities, currentLevel.level) : null;
+
         if (entities.getOrientationChange && entities.getOrientationChange()) {
-            const generatedBoundaryWalls = generateBoundaryWalls(entities.getScreenDimension());
+            const generatedBoundaryWalls = generateLevelWalls(entities.getScreenDimension(), undefined, levelDefinition, getEntityFactory(entities), getRandom(entities));
             entities.setOrientationChange(false);
             if (generatedBoundaryWalls) {
                 entities.setBoundaryWalls(generatedBoundaryWalls, entities?.tank);
@@ -177,33 +237,43 @@ const Physics = (entities, {time}, soundOn) => {
             }
         }
 
-
-        const currentLevel = entities.getCurrentLevel ? entities.getCurrentLevel() : null;
+        // Hand-authored levels are built from their definition, all others are generated procedurally
         if (currentLevel && !currentLevel.generated) {
-            const generatedEnemies = generateEnemies(currentLevel.level, entities.getScreenDimension(), engine, entities.onBoostCollected);
+            const playerStart = getPlayerStart(levelDefinition, entities.getScreenDimension());
+            if (playerStart && entities.tank) {
+                Matter.Body.setPosition(entities.tank.body, playerStart);
+            }
+            placeAlly(entities);
+            const {enemies: generatedEnemies, walls: generatedBoundaryWalls} = generateLevel(currentLevel.level, entities.getScreenDimension(), engine, entities?.tank, levelDefinition, getEntityFactory(entities), getRandom(entities), getDifficulty(entities));
             if (generatedEnemies) {
                 entities.setCurrentEnemies(generatedEnemies);
-                const generatedBoundaryWalls = generateBoundaryWalls(entities.getScreenDimension(), entities?.tank);
                 if (generatedBoundaryWalls) {
                     entities.setBoundaryWalls(generatedBoundaryWalls);
-                    entities.setCurrentLevel({...currentLevel, generated: true, boostSpawned: false});
+                    entities.setCurrentLevel({...currentLevel, generated: true, boostSpawned: false, elapsed: 0, nextBoost: 0, metrics: createLevelMetrics(Object.keys(generatedEnemies).length)});
                 }
             }
         }
 
-        // Spawn boost only once per level
-        if (currentLevel && currentLevel.generated && !currentLevel.boostSpawned && !currentLevel.permanentRemoved) {
+        // Time spent in the level drives scheduled boosts, survival goals and time limits
+        const elapsed = currentLevel && currentLevel.generated ? (currentLevel.elapsed || 0) + time.delta : 0;
+        if (currentLevel && currentLevel.generated) currentLevel.elapsed = elapsed;
+
+        if (levelDefinition && levelDefinition.boosts) {
+            spawnScheduledBoost(entities, currentLevel, levelDefinition, elapsed, time);
+        } else if (currentLevel && currentLevel.generated && !currentLevel.boostSpawned && !currentLevel.permanentRemoved) {
+            // Spawn boost only once per level
             const boost = spawnBoost(engine, entities.getScreenDimension(), entities);
             if (boost) {
                 entities['boost'] = boost;
                 entities['boost'].spawnTime = time.current;
+                entities['boost'].lifetime = 20000 * getDifficulty(entities).boostFrequency; // 20 seconds on normal difficulty
                 entities.setCurrentLevel({...currentLevel, boostSpawned: true, permanentRemoved: false});
                 console.log("Boost spawned:", boost);
             }
         }
 
         // remove booost ater given time
-        if (entities['boost'] && time.current - entities['boost'].spawnTime > 20000) { // 20 seconds
+        if (entities['boost'] && time.current - entities['boost'].spawnTime > (entities['boost'].lifetime || 20000)) { // 20 seconds unless the level says otherwise
             Matter.World.remove(engine.world, entities['boost'].body);
             delete entities['boost'];
             entities.setCurrentLevel({...entities.getCurrentLevel(), boostSpawned: false, permanentRemoved: true});
@@ -215,21 +285,29 @@ const Physics = (entities, {time}, soundOn) => {
 
         entities = {...entities, ...entities.getCurrentEnemies(), ...entities.getBoundaryWalls()};
 
-        if (checkAllEnemiesDefeated(entities)) {
+        if (levelDefinition ? checkWinConditions(entities, levelDefinition, elapsed) : checkAllEnemiesDefeated(entities)) {
             entities.setWin(true);
+        } else if (isTimeUp(levelDefinition, elapsed) && entities.getUserHealth && entities.getUserHealth() > 0) {
+            playSound(entities, 'explosion');
+            entities.setUserHealth(0);
         }
 
         checkAndRemoveDepletedEnemies(entities);
         checkAndRemoveDepletedWalls(entities);
 
-        updateEnemyAI(entities, {time}, engine, currentLevel ? currentLevel.level : 0, currentLevel ? currentLevel.level : 0, soundOn);
+        // Index tanks and walls once per step so collision and sight checks only test nearby pairs
+        const broadphase = buildBroadphase(entities);
+        entities.physics.broadphase = broadphase;
+
+        updateEnemyAI(entities, {time}, engine, currentLevel ? currentLevel.level : 0, soundOn);
+        updateAllyAI(entities, {time}, engine, soundOn);
 
         const controlState = entities.getControlState ? entities.getControlState() : null;
         const bulletState = entities.getBulletState ? entities.getBulletState() : null;
         const tank = entities.tank;
 
-        const moveSpeed = 1.3;
-        const rotationSpeed = Math.PI / 60;
+        const moveSpeed = perStep(TANK_SPEED, time);
+        const rotationSpeed = perStep(TANK_ROTATION_SPEED, time);
 
         if (controlState && tank) {
             if (controlState.type === 'move') {
@@ -263,26 +341,29 @@ const Physics = (entities, {time}, soundOn) => {
             }
         }
 
+        // The player's weapon is picked in the HUD; its cooldown paces the tank's shots
+        if (tank && entities.getPlayerWeapon) tank.weapon = resolveWeapon(entities.getPlayerWeapon());
         if (bulletState === "create-bullet" && tank) {
             const angle = tank.body.angle;
-            handleShot(tank, entities, new Date().getTime(), 500, 'shot', angle, engine, soundOn);
+            handleShot(tank, entities, time.current, getEntityWeapon(tank).cooldown, 'shot', angle, engine, soundOn);
         }
 
         setupCollisionEvents(engine, entities);
 
-        Object.keys(entities).forEach((key) => {
-            if (key.startsWith('tank')) {
-                checkBoundaries(entities[key], bounds, false);
-                checkBoundariesObject(entities[key], entities, controlState);
-            }
-            if (key.startsWith('enemy')) {
-                checkBoundaries(entities[key], bounds, false);
-                checkBoundariesObject(entities[key], entities, controlState, true);
-            }
+        // The allied tank is steered by its AI, so it is pushed out of walls like the enemies
+        const tanks = queryEntities(entities, {type: [ENTITY_TYPES.PLAYER, ENTITY_TYPES.ALLY, ENTITY_TYPES.ENEMY]});
+        tanks.forEach(([, entity]) => {
+            checkBoundaries(entity, bounds, false);
+            checkBoundariesObject(entity, entities, controlState, entity.type !== ENTITY_TYPES.PLAYER);
         });
 
         entities = collisionSystem(entities);
 
+        // Tanks moved and were pushed out of walls above; keep their cells current for the projectile system
+        tanks.forEach(([key]) => broadphase.update(key));
+
+        // Remember how fast the tank is moving, so enemies can lead their shots
+        if (entities.tank && entities.tank.body) entities.tank.velocity = measureVelocity(entities.tank, time);
 
         return entities;
     } catch (error) {
@@ -295,9 +376,8 @@ const Physics = (entities, {time}, soundOn) => {
 /**
  * Checks and removes enemies with depleted health from the game entities.
  *
- * This function iterates through the given entities and identifies those
- * that represent enemies based on their keys starting with 'enemy_'. If
- * an enemy's health is found to be zero or less, it is removed from the
+ * This function queries the given entities for those of the enemy type.
+ * If an enemy's health is found to be zero or less, it is removed from the
  * physics engine world and deleted from the entities object.
  *
  * @param {Object} entities - The collection of game entities, where each key is a unique identifier
@@ -307,10 +387,9 @@ const checkAndRemoveDepletedEnemies = (entities) => {
     try {
         if (!entities) return;
 
-        Object.keys(entities).forEach(key => {
-            if (key.startsWith('enemy_') && entities[key].health <= 0) {
-                Matter.Composite.remove(entities.physics.engine.world, entities[key].body);
-                delete entities[key];
+        queryEntities(entities, {type: ENTITY_TYPES.ENEMY}).forEach(([key, enemy]) => {
+            if (enemy.health <= 0) {
+                removeEntity(entities, key);
             }
         });
     } catch (error) {
@@ -322,9 +401,9 @@ const checkAndRemoveDepletedEnemies = (entities) => {
 /**
  * Function to check and remove walls with depleted health from the game entities.
  *
- * Iterates through the provided entities object, identifies keys that start with
- * 'random_wall' and removes the corresponding entity from the physics engine and
- * the entities object if their health is less than or equal to zero.
+ * Queries the provided entities object for destructible walls and removes the
+ * corresponding entity from the physics engine and the entities object if their
+ * health is less than or equal to zero.
  *
  * @param {Object} entities - An object containing all game entities.
  * @throws Will log an error message if an exception is encountered during the process.
@@ -333,10 +412,9 @@ const checkAndRemoveDepletedWalls = (entities) => {
     try {
         if (!entities) return;
 
-        Object.keys(entities).forEach(key => {
-            if (key.startsWith('random_wall') && entities[key].health <= 0) {
-                Matter.Composite.remove(entities.physics.engine.world, entities[key].body);
-                delete entities[key];
+        queryEntities(entities, {type: ENTITY_TYPES.WALL}).forEach(([key, wall]) => {
+            if (wall.health <= 0) {
+                removeEntity(entities, key);
             }
         });
     } catch (error) {
@@ -348,19 +426,19 @@ const checkAndRemoveDepletedWalls = (entities) => {
 /**
  * Check if all enemies in a given set of entities have been defeated.
  *
- * This function checks if any entity within the provided collection has a key
- * that starts with 'enemy_' and a health value greater than 0. If such an entity
- * is found, the function returns false indicating not all enemies are defeated.
+ * This function checks if any entity within the provided collection is an enemy
+ * with a health value greater than 0. If such an entity is found, the function
+ * returns false indicating not all enemies are defeated.
  * If no such entity is found, it returns true indicating all enemies are defeated.
  *
- * @param {Object} entities - The collection of entities to check. Each entity is expected to have a key and a health property.
+ * @param {Object} entities - The collection of entities to check. Each entity is expected to have a type and a health property.
  * @returns {boolean} - Returns true if all enemies have been defeated, false otherwise.
  */
 const checkAllEnemiesDefeated = (entities) => {
     try {
         if (!entities) return false;
 
-        return !Object.keys(entities).some(key => key.startsWith('enemy_') && entities[key].health > 0);
+        return queryEntities(entities, {type: ENTITY_TYPES.ENEMY, alive: true}).length === 0;
     } catch (error) {
         console.error("Error in checkAllEnemiesDefeated:", error);
         return false;
@@ -439,6 +517,7 @@ const checkBoundaries = (entity, bounds, randomWalls, controlState, enemyTank) =
 // Check boundaries for all relevant objects in the game world
 /**
  * Checks the boundaries of a given entity against other entities and handles collisions.
+ * Only the walls the broadphase finds around the entity are tested.
  *
  * @param {Object} entity - The entity to check.
  * @param {Object} entities - A collection of all entities in the environment.
@@ -447,12 +526,10 @@ const checkBoundaries = (entity, bounds, randomWalls, controlState, enemyTank) =
  */
 const checkBoundariesObject = (entity, entities, controlState, enemyTank) => {
     try {
-        if (!entity || !entities) return;
+        if (!entity || !entity.body || !entities) return;
 
-        Object.keys(entities).forEach((key) => {
-            if (key.startsWith('random_wall')) {
-                checkBoundaries(entity, entities[key], true, controlState, enemyTank);
-            }
+        getBroadphase(entities).query(expandBounds(entity.body.bounds, WALL_QUERY_MARGIN), {type: ENTITY_TYPES.WALL}).forEach(([, wall]) => {
+            checkBoundaries(entity, wall, true, controlState, enemyTank);
         });
     } catch (error) {
         console.error("Error in checkBoundariesObject:", error);
@@ -0,0 +1,435 @@
+import Matter from 'matter-js';
+import {getDifficulty} from '../utils/difficulty';
+import {recordMetric} from '../utils/director';
+import {ENTITY_TYPES, matchesQuery, queryEntities, removeEntity} from '../utils/entityRegistry';
+import {playSound} from '../utils/gameEvents';
+import {expandBounds, getBroadphase} from '../utils/spatialHash';
+import {perStep} from './fixedStep';
+
+/**
+ * How long a projectile may stay in flight before it is removed, in milliseconds.
+ *
+ * @type {number}
+ */
+const DEFAULT_PROJECTILE_LIFETIME = 3000;
+
+/**
+ * Damage dealt by a shot to an enemy tank or a destructible wall, unless the shot carries its own `damage`.
+ *
+ * @type {number}
+ */
+const SHOT_DAMAGE = 50;
+
+/**
+ * Damage dealt by a shot to the player's tank, unless the shot carries its own `damage`.
+ *
+ * @type {number}
+ */
+const PLAYER_DAMAGE = 25;
+
+/**
+ * How many times a bouncing projectile may bounce within a single step, so a projectile caught
+ * in a corner cannot bounce forever.
+ *
+ * @type {number}
+ */
+const MAX_BOUNCES_PER_STEP = 4;
+
+/**
+ * How far a bouncing projectile is set back from the surface it bounced off, in pixels, so the
+ * next sweep does not find the same surface again.
+ *
+ * @type {number}
+ */
+const BOUNCE_CLEARANCE = 0.01;
+
+// Swept hit test of a projectile against a body
+/**
+ * Tests whether the segment travelled by a projectile during this step crosses the bounds of a body.
+ *
+ * Uses the slab method against the body's axis-aligned bounds, grown by the projectile radius,
+ * so fast projectiles cannot tunnel through thin walls between two steps.
+ *
+ * @param {Object} start - The position of the projectile at the start of the step.
+ * @param {Object} end - The position of the projectile at the end of the step.
+ * @param {Object} bounds - The bounds of the target body, with `min` and `max` corners.
+ * @param {number} padding - The radius of the projectile.
+ * @returns {boolean} - True if the projectile touched the bounds during the step.
+ */
+const sweepHitsBounds = (start, end, bounds, padding) => {
+    let tMin = 0;
+    let tMax = 1;
+    const axes = [['x', end.x - start.x], ['y', end.y - start.y]];
+
+    for (const [axis, delta] of axes) {
+        const min = bounds.min[axis] - padding;
+        const max = bounds.max[axis] + padding;
+        if (Math.abs(delta) < 1e-9) {
+            if (start[axis] < min || start[axis] > max) return false;
+        } else {
+            let t1 = (min - start[axis]) / delta;
+            let t2 = (max - start[axis]) / delta;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            tMin = Math.max(tMin, t1);
+            tMax = Math.min(tMax, t2);
+            if (tMin > tMax) return false;
+        }
+    }
+    return true;
+};
+
+// Where a projectile first touches a body, and which way the face it touches looks
+/**
+ * Finds where the segment travelled by a projectile during this step first touches the bounds
+ * of a body, with the same slab method as `sweepHitsBounds`.
+ *
+ * The normal is the one of the face the projectile crosses. A projectile that starts inside the
+ * bounds, or moves away from them, does not touch them.
+ *
+ * @param {Object} start - The position of the projectile at the start of the step.
+ * @param {Object} end - The position of the projectile at the end of the step.
+ * @param {Object} bounds - The bounds of the body, with `min` and `max` corners.
+ * @param {number} padding - The radius of the projectile.
+ * @returns {{t: number, normal: {x: number, y: number}}|null} How far along the segment the
+ * contact is, from 0 to 1, and the surface normal there; or null without a contact.
+ */
+const sweepContact = (start, end, bounds, padding) => {
+    let tMin = 0;
+    let tMax = 1;
+    let normal = null;
+    const axes = [['x', end.x - start.x], ['y', end.y - start.y]];
+
+    for (const [axis, delta] of axes) {
+        const min = bounds.min[axis] - padding;
+        const max = bounds.max[axis] + padding;
+        if (Math.abs(delta) < 1e-9) {
+            if (start[axis] < min || start[axis] > max) return null;
+        } else {
+            let t1 = (min - start[axis]) / delta;
+            let t2 = (max - start[axis]) / delta;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            if (t1 >= tMin) {
+                tMin = t1;
+                normal = axis === 'x' ? {x: -Math.sign(delta), y: 0} : {x: 0, y: -Math.sign(delta)};
+            }
+            tMax = Math.min(tMax, t2);
+            if (tMin > tMax) return null;
+        }
+    }
+    return normal ? {t: tMin, normal} : null;
+};
+
+// Whether a wall turns bouncing projectiles back
+const isBounceSurface = (entity) => entity.type === ENTITY_TYPES.BOUNDARY || (entity.type === ENTITY_TYPES.WALL && !!entity.indestructible);
+
+// Apply a shot hit to an enemy tank
+/**
+ * Damages an enemy hit by a shot from another team, awarding score when the enemy is destroyed.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {Object} enemy - The enemy entity that was hit.
+ * @param {number} [damage=SHOT_DAMAGE] - The damage dealt by the shot.
+ */
+const hitEnemy = (entities, enemy, damage = SHOT_DAMAGE) => {
+    playSound(entities, 'collision');
+    enemy.health -= damage;
+
+    if (enemy.health <= 0) {
+        if (typeof entities.updateScore === 'function') entities.updateScore();
+        playSound(entities, 'explosion');
+    }
+};
+
+// Apply a shot hit to a destructible wall
+/**
+ * Damages a destructible wall, removing it once its health is depleted. Indestructible walls
+ * stop shots but take no damage.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {string} key - The key of the wall entity.
+ * @param {number} [damage=SHOT_DAMAGE] - The damage dealt by the shot.
+ */
+const hitWall = (entities, key, damage = SHOT_DAMAGE) => {
+    const wall = entities[key];
+    if (wall.indestructible) return;
+    wall.health -= damage;
+
+    if (wall.health <= 0) {
+        removeEntity(entities, key);
+        playSound(entities, 'explosion');
+    }
+};
+
+// Apply a shot hit to the player's tank
+/**
+ * Damages the player's tank hit by a shot from another team.
+ *
+ * The damage is scaled by the `playerDamage` of the run's difficulty and rounded to whole points.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {number} [damage=PLAYER_DAMAGE] - The damage dealt by the shot.
+ */
+const hitPlayer = (entities, damage = PLAYER_DAMAGE) => {
+    if (entities.getUserHealth() > 0) {
+        const taken = Math.round(damage * getDifficulty(entities).playerDamage);
+        playSound(entities, 'collision');
+        entities.setUserHealth(entities.getUserHealth() - taken);
+        entities.tank.health -= taken;
+        recordMetric(entities, 'healthLost', taken);
+    } else {
+        playSound(entities, 'explosion');
+        if (typeof entities.onPlayerDestroyed === 'function') entities.onPlayerDestroyed();
+    }
+};
+
+// Apply a shot hit to the allied tank
+/**
+ * Damages the allied tank hit by a shot from another team, scaled like the damage the player takes.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {Object} ally - The ally entity that was hit.
+ * @param {number} [damage=PLAYER_DAMAGE] - The damage dealt by the shot.
+ */
+const hitAlly = (entities, ally, damage = PLAYER_DAMAGE) => {
+    ally.health -= Math.round(damage * getDifficulty(entities).playerDamage);
+    playSound(entities, ally.health > 0 ? 'collision' : 'explosion');
+};
+
+// Apply a hit to any tank, by its type
+const hitTank = (entities, target, damage) => {
+    if (target.type === ENTITY_TYPES.PLAYER) {
+        hitPlayer(entities, damage);
+    } else if (target.type === ENTITY_TYPES.ALLY) {
+        hitAlly(entities, target, damage);
+    } else {
+        hitEnemy(entities, target, damage);
+    }
+};
+
+// How far a point lies from the bounds of a body
+const distanceToBounds = (point, bounds) => Math.hypot(
+    Math.max(bounds.min.x - point.x, 0, point.x - bounds.max.x),
+    Math.max(bounds.min.y - point.y, 0, point.y - bounds.max.y)
+);
+
+// Blow up a projectile with splash damage
+/**
+ * Explodes a projectile with a `splashRadius`, like a rocket, where it landed.
+ *
+ * Every tank of another team and every destructible wall whose bounds lie within the radius
+ * takes the projectile's `splashDamage`, except the target the projectile hit directly, which
+ * already took its full damage.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {Object} projectile - The projectile entity.
+ * @param {{x: number, y: number}} point - Where the projectile exploded.
+ * @param {Object} [directTarget] - The tank or wall the projectile hit, if any.
+ */
+const explode = (entities, projectile, point, directTarget = null) => {
+    const radius = projectile.splashRadius;
+    const damage = projectile.splashDamage || 0;
+    playSound(entities, 'explosion');
+    if (damage <= 0) return;
+
+    const tanks = queryEntities(entities, {type: [ENTITY_TYPES.ENEMY, ENTITY_TYPES.ALLY, ENTITY_TYPES.PLAYER], notTeam: projectile.team});
+    tanks.forEach(([, target]) => {
+        if (target === directTarget || !target.body) return;
+        if (target.type !== ENTITY_TYPES.PLAYER && !(target.health > 0)) return;
+        if (distanceToBounds(point, target.body.bounds) <= radius) hitTank(entities, target, damage);
+    });
+
+    queryEntities(entities, {type: ENTITY_TYPES.WALL}).forEach(([key, wall]) => {
+        if (wall === directTarget || !entities[key]) return;
+        if (distanceToBounds(point, wall.body.bounds) <= radius) hitWall(entities, key, damage);
+    });
+};
+
+// Resolve what, if anything, a projectile hit during this step
+/**
+ * Resolves the first hit of a projectile travelling from `start` to `end`.
+ *
+ * Projectiles damage tanks of any other team and destructible walls, so the shots of the player
+ * and of the allied tank never hurt each other; a bouncing projectile that has bounced at least
+ * once may hit its own shooter too. Walls that bounce the projectile (see `moveBouncing`) are
+ * left to it, and boundary walls are otherwise left to the off-screen check.
+ * A hit deals the projectile's `damage`, and a projectile with a `splashRadius` then explodes.
+ * Only the tanks and walls the broadphase finds along the path are
+ * tested; entities removed earlier in the step are skipped.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {Object} broadphase - The spatial hash of tanks and walls.
+ * @param {Object} projectile - The projectile entity.
+ * @param {Object} start - The position of the projectile at the start of the step.
+ * @param {Object} end - The position of the projectile at the end of the step.
+ * @returns {boolean} - True if the projectile hit something and should be removed.
+ */
+const resolveHit = (entities, broadphase, projectile, start, end) => {
+    const radius = projectile.body.circleRadius || 5;
+    const path = expandBounds({
+        min: {x: Math.min(start.x, end.x), y: Math.min(start.y, end.y)},
+        max: {x: Math.max(start.x, end.x), y: Math.max(start.y, end.y)}
+    }, radius);
+    const candidates = broadphase.query(path).filter(([key, entity]) => entities[key] === entity);
+
+    const ownShooter = projectile.bounces > 0 ? projectile.shooter : null;
+    const targets = candidates.filter(([, entity]) => matchesQuery(entity, {type: [ENTITY_TYPES.ENEMY, ENTITY_TYPES.ALLY, ENTITY_TYPES.PLAYER]}) &&
+        (entity.team !== projectile.team || entity === ownShooter));
+    for (const [, target] of targets) {
+        if (target.type !== ENTITY_TYPES.PLAYER && !(target.health > 0)) continue;
+        if (sweepHitsBounds(start, end, target.body.bounds, radius)) {
+            hitTank(entities, target, projectile.damage);
+            // Only the direct hit counts towards the player's accuracy, not the tanks caught in a splash
+            if (target.type === ENTITY_TYPES.ENEMY && projectile.shooter && projectile.shooter.type === ENTITY_TYPES.PLAYER) recordMetric(entities, 'hits');
+            if (projectile.splashRadius) explode(entities, projectile, end, target);
+            return true;
+        }
+    }
+
+    const bounces = !!projectile.maxBounces;
+    for (const [key, wall] of candidates.filter(([, entity]) => entity.type === ENTITY_TYPES.WALL && !(bounces && isBounceSurface(entity)))) {
+        if (sweepHitsBounds(start, end, wall.body.bounds, radius)) {
+            hitWall(entities, key, projectile.damage);
+            if (projectile.splashRadius) explode(entities, projectile, end, wall);
+            return true;
+        }
+    }
+
+    return false;
+};
+
+// The first wall along a path that turns a bouncing projectile back
+const findBounce = (entities, broadphase, start, end, radius) => {
+    const path = expandBounds({
+        min: {x: Math.min(start.x, end.x), y: Math.min(start.y, end.y)},
+        max: {x: Math.max(start.x, end.x), y: Math.max(start.y, end.y)}
+    }, radius);
+
+    let first = null;
+    broadphase.query(path).forEach(([key, entity]) => {
+        if (entities[key] !== entity || !isBounceSurface(entity)) return;
+        const contact = sweepContact(start, end, entity.body.bounds, radius);
+        if (contact && (!first || contact.t < first.t)) first = contact;
+    });
+    return first;
+};
+
+// Reflect a projectile off a surface
+const bounce = (projectile, normal) => {
+    const along = projectile.velocity.x * normal.x + projectile.velocity.y * normal.y;
+    projectile.velocity = {
+        x: projectile.velocity.x - 2 * along * normal.x,
+        y: projectile.velocity.y - 2 * along * normal.y
+    };
+    projectile.angle = Math.atan2(projectile.velocity.y, projectile.velocity.x);
+    projectile.bounces += 1;
+    if (projectile.damage !== undefined) projectile.damage = Math.round(projectile.damage * projectile.bounceFalloff);
+};
+
+// Move a bouncing projectile through its step
+/**
+ * Moves a bouncing projectile from `start` to `end`, reflecting it off the boundary walls and
+ * the indestructible walls it meets.
+ *
+ * At every contact the velocity is mirrored about the surface normal, the projectile travels
+ * the rest of the step along its new heading, and its `damage` is multiplied by its
+ * `bounceFalloff`. Hits are resolved along every leg of the path (see `resolveHit`). A projectile
+ * that has used up its `maxBounces` is spent at the next wall it meets.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {Object} broadphase - The spatial hash of tanks and walls.
+ * @param {Object} projectile - The projectile entity.
+ * @param {Object} start - The position of the projectile at the start of the step.
+ * @param {Object} end - The position of the projectile at the end of the step, without bounces.
+ * @returns {boolean} - True if the projectile hit something or is spent, and should be removed.
+ */
+const moveBouncing = (entities, broadphase, projectile, start, end) => {
+    const radius = projectile.body.circleRadius || 5;
+    let from = start;
+    let to = end;
+
+    for (let i = 0; i < MAX_BOUNCES_PER_STEP; i++) {
+        const contact = findBounce(entities, broadphase, from, to, radius);
+        const stop = contact ? {x: from.x + (to.x - from.x) * contact.t, y: from.y + (to.y - from.y) * contact.t} : to;
+        Matter.Body.setPosition(projectile.body, stop);
+
+        if (resolveHit(entities, broadphase, projectile, from, stop)) return true;
+        if (!contact) return false;
+        if (projectile.bounces >= projectile.maxBounces) return true;
+
+        const remaining = Math.hypot(to.x - stop.x, to.y - stop.y);
+        bounce(projectile, contact.normal);
+        const speed = Math.hypot(projectile.velocity.x, projectile.velocity.y) || 1;
+        from = {x: stop.x + contact.normal.x * BOUNCE_CLEARANCE, y: stop.y + contact.normal.y * BOUNCE_CLEARANCE};
+        to = {x: from.x + (projectile.velocity.x / speed) * remaining, y: from.y + (projectile.velocity.y / speed) * remaining};
+    }
+
+    Matter.Body.setPosition(projectile.body, from);
+    return false;
+};
+
+// Projectile system for the game loop
+/**
+ * Moves every projectile, expires old ones and resolves hits for player and enemy shots alike.
+ *
+ * Registered in the `GameEngine` systems array after `Physics`, this system owns all projectile
+ * rules; `ShotRenderer` only draws. Projectiles leave the game when they hit something, leave
+ * the screen, or outlive their `lifetime`; one with a `splashRadius` explodes at the end of its
+ * range too. Projectiles with `maxBounces` bounce off the boundary walls and indestructible walls
+ * instead (see `moveBouncing`). A projectile's `velocity` is in pixels per second.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {Object} param1 - Time-related information.
+ * @returns {Object} - The updated state of all game entities.
+ */
+const Projectiles = (entities, {time}) => {
+    try {
+        if (!entities || !entities.physics || !entities.physics.engine) return entities;
+
+        const currentTime = time ? time.current : Date.now();
+        const appDimensions = typeof entities.getScreenDimension === 'function' ? entities.getScreenDimension() : null;
+        const broadphase = getBroadphase(entities);
+
+        queryEntities(entities, {type: ENTITY_TYPES.PROJECTILE, with: ['collider']}).forEach(([key, projectile]) => {
+            try {
+                if (!entities[key]) return;
+
+                if (projectile.spawnTime === undefined) projectile.spawnTime = currentTime;
+                if (currentTime - projectile.spawnTime > (projectile.lifetime || DEFAULT_PROJECTILE_LIFETIME)) {
+                    if (projectile.splashRadius) explode(entities, projectile, projectile.body.position);
+                    removeEntity(entities, key);
+                    return;
+                }
+
+                const start = {x: projectile.body.position.x, y: projectile.body.position.y};
+                const end = {x: start.x + perStep(projectile.velocity.x, time), y: start.y + perStep(projectile.velocity.y, time)};
+                if (projectile.maxBounces) {
+                    if (moveBouncing(entities, broadphase, projectile, start, end)) {
+                        removeEntity(entities, key);
+                        return;
+                    }
+                } else {
+                    Matter.Body.setPosition(projectile.body, end);
+                    if (resolveHit(entities, broadphase, projectile, start, end)) {
+                        removeEntity(entities, key);
+                        return;
+                    }
+                }
+
+                const {x, y} = projectile.body.position;
+                if (appDimensions && (x < 0 || x > appDimensions.width || y < 0 || y > appDimensions.height)) {
+                    removeEntity(entities, key);
+                }
+            } catch (error) {
+                console.error(`Error updating projectile ${key}:`, error);
+            }
+        });
+
+        return entities;
+    } catch (error) {
+        console.error('Error in Projectiles update:', error);
+        return entities;
+    }
+};
+
+export {Projectiles, hitPlayer, sweepHitsBounds};
+export default Projectiles;
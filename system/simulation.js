@@ -0,0 +1,230 @@
+import Matter from 'matter-js';
+import {DEFAULT_DIFFICULTY} from '../utils/difficulty';
+import {headlessEntityFactory} from '../utils/entityFactory';
+import {ENTITY_TYPES, queryEntities} from '../utils/entityRegistry';
+import {restoreGameState} from '../utils/gameState';
+import {createRandom, deriveSeed} from '../utils/random';
+import {DEFAULT_WEAPON} from '../utils/weapons';
+import {DEFAULT_ALLY_ORDER, createAlly} from './allyAI';
+import {FIXED_TIME_STEP, createFixedStepLoop} from './fixedStep';
+import Physics from './physics';
+import Projectiles from './projectiles';
+
+/**
+ * Creates a headless simulation of the game that drives the same `Physics` and `Projectiles` systems as the app,
+ * without a renderer, device dimensions or audio.
+ *
+ * The simulation owns the state that `App` normally keeps in refs (level, score, health,
+ * enemies, walls, the joystick/shoot inputs, the player's weapon and the orders of the allied tank) and exposes it through the same entity
+ * callbacks `Physics`, `updateEnemyAI`, `handleShot` and `collisionSystem` already use.
+ * Frames go through the same fixed-timestep loop as the app, so a scripted sequence of
+ * inputs and frame durations always produces the same sequence of game steps.
+ *
+ * @param {Object} [options={}] - Simulation options.
+ * @param {{width: number, height: number}} [options.screen] - The size of the battlefield.
+ * @param {number} [options.seed=1] - The run seed; the level layout and AI randomness are derived from it.
+ * @param {string} [options.difficulty] - The difficulty preset of the run. Defaults to the one saved with `gameState`, or `DEFAULT_DIFFICULTY`.
+ * @param {number} [options.director] - The adjustment of the adaptive difficulty director, in steps. Defaults to the one saved with `gameState`, or none.
+ * @param {number} [options.level=1] - The level to simulate.
+ * @param {number} [options.health=100] - The initial health of the player.
+ * @param {number} [options.score=0] - The initial score.
+ * @param {Object} [options.entityFactory] - The factory used to build entities. Defaults to the headless factory.
+ * @param {Object} [options.enemies] - Pre-built enemy entities. When given together with `walls`, level generation is skipped.
+ * @param {Object} [options.walls] - Pre-built wall entities. When given together with `enemies`, level generation is skipped.
+ * @param {Object} [options.gameState] - A saved battlefield to start from instead of generating the level.
+ * @param {Object} [options.levelDefinitions] - Level definitions keyed by level number, taking precedence over the bundled levels.
+ * @param {boolean} [options.boosts=true] - Whether boosts may spawn during the simulation.
+ * @param {boolean} [options.ally=false] - Whether the allied tank fights along, like with the setting in `App`.
+ * @param {number} [options.timeStep] - The default duration of a frame in milliseconds, one game step.
+ * @param {number} [options.startTime=0] - The game time before the first step.
+ * @returns {Object} The simulation API: `step`, `run`, `getEntities`, `getResult` and `getEvents`.
+ */
+const createSimulation = (options = {}) => {
+    const {
+        screen = {width: 800, height: 400},
+        seed = 1,
+        difficulty = (options.gameState && options.gameState.difficulty) || DEFAULT_DIFFICULTY,
+        director = (options.gameState && options.gameState.director) || 0,
+        level = 1,
+        health = 100,
+        score = 0,
+        entityFactory = headlessEntityFactory,
+        enemies,
+        walls,
+        gameState,
+        levelDefinitions,
+        boosts = true,
+        ally = false,
+        timeStep = FIXED_TIME_STEP,
+        startTime = 0
+    } = options;
+
+    const restored = gameState ? restoreGameState(gameState, entityFactory) : null;
+    const preset = !!(enemies && walls);
+    const state = {
+        level: restored ? restored.level : {level, generated: preset, boostSpawned: false, permanentRemoved: !boosts},
+        score,
+        health,
+        enemies: restored ? restored.enemies : enemies || {},
+        walls: restored ? restored.walls : walls || {},
+        screen,
+        orientationChange: false,
+        control: null,
+        bullet: null,
+        allyOrder: DEFAULT_ALLY_ORDER,
+        weapon: restored ? restored.tank.weapon : DEFAULT_WEAPON,
+        won: false,
+        tick: 0
+    };
+    const events = [];
+    const loop = createFixedStepLoop({startTime});
+    const time = loop.getTime();
+
+    const record = (type, data) => {
+        events.push({tick: state.tick, time: time.current, type, ...data});
+    };
+
+    // One game step, as `App` runs it
+    const runSystems = (currentEntities, args) => Projectiles(Physics(currentEntities, args, false), args);
+
+    // Builds the entities object the way `App` hands it to a freshly mounted `GameEngine`
+    const mountEntities = () => {
+        const engine = Matter.Engine.create();
+        const tank = entityFactory.tank({x: 100, y: 100, color: 'blue', health: state.health, ai: false});
+        const allyEntity = ally ? createAlly(entityFactory, state.level, tank.body.position) : null;
+        return {
+            getOrientationChange: () => state.orientationChange,
+            setOrientationChange: (data) => {
+                state.orientationChange = data;
+            },
+            physics: {engine, world: engine.world},
+            tank,
+            ...(allyEntity ? {ally: allyEntity} : {}),
+            getControlState: () => state.control,
+            getBulletState: () => state.bullet,
+            getAllyOrder: () => state.allyOrder,
+            getPlayerWeapon: () => state.weapon,
+            getScreenDimension: () => state.screen,
+            getCurrentLevel: () => state.level,
+            getLevelDefinition: (levelNumber) => (levelDefinitions && levelDefinitions[levelNumber]) || null,
+            setCurrentLevel: (data) => {
+                state.level = data;
+            },
+            getCurrentEnemies: () => state.enemies,
+            setCurrentEnemies: (data) => {
+                state.enemies = data;
+            },
+            setBoundaryWalls: (data) => {
+                state.walls = data;
+            },
+            getBoundaryWalls: () => state.walls,
+            getUserHealth: () => state.health,
+            setUserHealth: (data) => {
+                state.health = data;
+                record('health', {health: data});
+            },
+            updateScore: () => {
+                state.score += 100;
+                record('score', {score: state.score});
+            },
+            setWin: () => {
+                state.won = true;
+            },
+            onBoostCollected: () => {
+                state.health = Math.min(state.health + 50, 400);
+                record('boost', {health: state.health});
+            },
+            playSound: (name) => record('sound', {name}),
+            random: createRandom(deriveSeed(seed, level)),
+            difficulty,
+            director,
+            entityFactory,
+            soundOn: false
+        };
+    };
+    let entities = mountEntities();
+    if (restored) {
+        entities.tank = restored.tank;
+        if (restored.boost) entities.boost = restored.boost;
+        if (ally) {
+            if (restored.ally) entities.ally = restored.ally;
+            else delete entities.ally;
+        }
+    }
+
+    /**
+     * Advances the simulation by one frame.
+     *
+     * @param {Object} [input] - The inputs for this frame. Omitted fields keep their previous value.
+     * @param {Object|string|null} [input.control] - The joystick state, as passed to `controlEngine` in `App`.
+     * @param {string|null} [input.bullet] - The shoot button state, as passed to `controlBullet` in `App`.
+     * @param {string} [input.allyOrder] - The order given to the allied tank, one of `ALLY_ORDERS`.
+     * @param {string} [input.weapon] - The weapon the player picked, one of `PLAYER_WEAPONS`.
+     * @param {number} [input.delta] - The duration of this frame in milliseconds. Defaults to `timeStep`. The frame
+     * runs as many game steps as its duration covers.
+     * @param {boolean} [input.remount] - When true, the entities are rebuilt before the step, like `App` does when
+     * the `GameEngine` is mounted again after a pause. Enemies and walls survive, projectiles do not.
+     * @param {{width: number, height: number}} [input.screen] - A new battlefield size, applied like the layout
+     * change `App` reports through `setOrientationChange`.
+     * @returns {Object} The entities after the frame.
+     */
+    const step = (input) => {
+        if (input && input.control !== undefined) state.control = input.control;
+        if (input && input.bullet !== undefined) state.bullet = input.bullet;
+        if (input && input.allyOrder) state.allyOrder = input.allyOrder;
+        if (input && input.weapon) state.weapon = input.weapon;
+        if (input && input.remount) entities = mountEntities();
+        if (input && input.screen) {
+            state.screen = input.screen;
+            state.orientationChange = true;
+        }
+
+        const delta = input && input.delta !== undefined ? input.delta : timeStep;
+        entities = loop.run(entities, {time: {delta}}, runSystems);
+        state.tick++;
+        return entities;
+    };
+
+    /**
+     * Runs the simulation for a number of steps, stopping early once the level is won or the player is destroyed.
+     *
+     * @param {number} ticks - The maximum number of steps to run.
+     * @param {Function} [script] - Called before every step with the tick number and the simulation; returns the step input.
+     * @returns {Object} The result of the simulation, see `getResult`.
+     */
+    const run = (ticks, script) => {
+        for (let i = 0; i < ticks && !state.won && state.health > 0; i++) {
+            step(script ? script(state.tick, simulation) : undefined);
+        }
+        return getResult();
+    };
+
+    /**
+     * Summarises the current state of the simulation.
+     *
+     * @returns {{seed: number, tick: number, time: number, level: number, score: number, health: number, won: boolean, lost: boolean, enemies: number}}
+     */
+    const getResult = () => ({
+        seed,
+        tick: state.tick,
+        time: time.current,
+        level: state.level.level,
+        score: state.score,
+        health: state.health,
+        won: state.won,
+        lost: state.health <= 0,
+        enemies: queryEntities(entities, {type: ENTITY_TYPES.ENEMY, alive: true}).length
+    });
+
+    const simulation = {
+        step,
+        run,
+        getEntities: () => entities,
+        getResult,
+        getEvents: () => events
+    };
+
+    return simulation;
+};
+
+export {FIXED_TIME_STEP, createSimulation};
@@ -0,0 +1,154 @@
+import {findOpenPoint} from '../utils/navigation';
+import {ENEMY_STATES, SQUAD_ROLES} from './enemyBehavior';
+import {sweepHitsBounds} from './projectiles';
+
+/**
+ * How far apart squad members try to stay, in pixels.
+ *
+ * @type {number}
+ */
+const SQUAD_SPACING = 90;
+
+/**
+ * How long the squad regroups after losing a member, in milliseconds.
+ *
+ * @type {number}
+ */
+const REGROUP_TIME = 4000;
+
+// The states in which an enemy is fighting the player
+const ENGAGED_STATES = [ENEMY_STATES.CHASE, ENEMY_STATES.FLANK];
+
+/**
+ * Returns the living enemies of the level, from the shared list kept by `getCurrentEnemies`.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @returns {Array<[string, Object]>} The enemies with their keys, in list order.
+ */
+const getSquadMembers = (entities) => {
+    const enemies = typeof entities.getCurrentEnemies === 'function' ? entities.getCurrentEnemies() : {};
+    return Object.entries(enemies || {}).filter(([, enemy]) => enemy && enemy.body && enemy.health > 0);
+};
+
+// Push squad members apart when they drive too close to each other
+const updateSeparation = (members) => {
+    members.forEach(([, enemy]) => {
+        const push = {x: 0, y: 0};
+        members.forEach(([, other]) => {
+            if (other === enemy) return;
+            const dx = enemy.body.position.x - other.body.position.x;
+            const dy = enemy.body.position.y - other.body.position.y;
+            const distance = Math.hypot(dx, dy);
+            if (distance >= SQUAD_SPACING || distance < 1e-6) return;
+            const weight = 1 - distance / SQUAD_SPACING;
+            push.x += (dx / distance) * weight;
+            push.y += (dy / distance) * weight;
+        });
+        enemy.separation = push;
+    });
+};
+
+// Pick the suppressor and send the others to alternate sides of the player
+const assignRoles = (squad, members, tank) => {
+    members.forEach(([, enemy]) => {
+        enemy.squadRole = null;
+    });
+
+    const engaged = members.filter(([, enemy]) => enemy.aiState && ENGAGED_STATES.includes(enemy.aiState.state));
+    if (engaged.length < 2) {
+        squad.suppressor = null;
+        return;
+    }
+
+    const tankPosition = tank.body.position;
+    const distanceToTank = ([, enemy]) => Math.hypot(enemy.body.position.x - tankPosition.x, enemy.body.position.y - tankPosition.y);
+
+    // Keep the suppressor while it is still fighting, so roles do not flip every update
+    let suppressor = engaged.find(([key]) => key === squad.suppressor);
+    if (!suppressor) {
+        suppressor = engaged.reduce((closest, member) => (distanceToTank(member) < distanceToTank(closest) ? member : closest));
+    }
+    squad.suppressor = suppressor[0];
+    suppressor[1].squadRole = SQUAD_ROLES.SUPPRESS;
+
+    // Order the flankers by their bearing from the player relative to the suppressor, then split them between both sides
+    const bearing = (enemy) => Math.atan2(enemy.body.position.y - tankPosition.y, enemy.body.position.x - tankPosition.x);
+    const suppressorBearing = bearing(suppressor[1]);
+    const offset = (enemy) => {
+        const angle = bearing(enemy) - suppressorBearing;
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    };
+    const flankers = engaged.filter(member => member !== suppressor).sort((a, b) => offset(a[1]) - offset(b[1]));
+    flankers.forEach(([, enemy], index) => {
+        enemy.squadRole = SQUAD_ROLES.FLANK;
+        enemy.flankSide = index < flankers.length / 2 ? -1 : 1;
+    });
+};
+
+// Coordinate the enemies of a level
+/**
+ * Updates the squad formed by the enemies in `getCurrentEnemies`.
+ *
+ * When two or more enemies are fighting the player, the one closest to them (or the one
+ * already doing it) suppresses while the others flank, split between the player's two sides
+ * (`squadRole`, `flankSide`). Every member gets a `separation` push away from squadmates closer
+ * than `SQUAD_SPACING`. When the squad loses a member, the survivors regroup at their centre for
+ * `REGROUP_TIME`. The squad state is kept on the entities object as `squad`.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {Object} grid - The navigation grid, used to place the rally point on open ground.
+ * @param {number} currentTime - The current game time.
+ * @returns {Object} The squad: its `size`, `suppressor`, `rallyPoint` and `regroupUntil`.
+ */
+const updateSquad = (entities, grid, currentTime) => {
+    try {
+        const members = getSquadMembers(entities);
+        const squad = entities.squad || {size: members.length, suppressor: null, rallyPoint: null, regroupUntil: 0};
+        entities.squad = squad;
+
+        if (members.length < squad.size && members.length > 1) {
+            const centre = members.reduce((sum, [, enemy]) => ({
+                x: sum.x + enemy.body.position.x / members.length,
+                y: sum.y + enemy.body.position.y / members.length
+            }), {x: 0, y: 0});
+            squad.rallyPoint = findOpenPoint(grid, centre) || centre;
+            squad.regroupUntil = currentTime + REGROUP_TIME;
+        }
+        squad.size = members.length;
+
+        assignRoles(squad, members, entities.tank);
+        updateSeparation(members);
+        return squad;
+    } catch (error) {
+        console.error('Error updating squad:', error);
+        return entities.squad || null;
+    }
+};
+
+/**
+ * Checks whether the squad is regrouping after a loss.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {number} currentTime - The current game time.
+ * @returns {boolean} True while the survivors should gather at the rally point.
+ */
+const isRegrouping = (entities, currentTime) => (
+    !!entities.squad && !!entities.squad.rallyPoint && currentTime < entities.squad.regroupUntil
+);
+
+/**
+ * Checks whether a squadmate stands in the line of fire between a shooter and its target.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {Object} shooter - The enemy about to fire.
+ * @param {{x: number, y: number}} target - Where the shot is going.
+ * @param {number} clearance - The radius of the shot, in pixels.
+ * @returns {boolean} True if the shot would pass through a squadmate.
+ */
+const isFriendInLineOfFire = (entities, shooter, target, clearance) => (
+    getSquadMembers(entities).some(([, enemy]) => (
+        enemy !== shooter && sweepHitsBounds(shooter.body.position, target, enemy.body.bounds, clearance)
+    ))
+);
+
+export {REGROUP_TIME, SQUAD_SPACING, getSquadMembers, isFriendInLineOfFire, isRegrouping, updateSquad};
@@ -0,0 +1,59 @@
+import {
+    clearCurrentRun,
+    getCurrentDifficulty,
+    getCurrentSeed,
+    saveCurrentDifficulty,
+    saveCurrentSeed,
+    setUserID
+} from '../async-storage';
+
+// An in-memory AsyncStorage, so the storage helpers run outside the app
+jest.mock('@react-native-async-storage/async-storage', () => {
+    const store = new Map();
+    return {
+        __esModule: true,
+        default: {
+            getItem: async (key) => (store.has(key) ? store.get(key) : null),
+            setItem: async (key, value) => {
+                store.set(key, value);
+            },
+            removeItem: async (key) => {
+                store.delete(key);
+            },
+            clear: () => store.clear()
+        }
+    };
+}, {virtual: true});
+
+const AsyncStorage = jest.requireMock('@react-native-async-storage/async-storage').default;
+
+describe('run storage', () => {
+    beforeEach(() => {
+        AsyncStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps the seed and difficulty of the run when the player dies, so Retry and Continue play the same run', async () => {
+        await saveCurrentSeed(1234);
+        await saveCurrentDifficulty('hard');
+
+        // The player is destroyed, retries the level and later continues from the main menu
+        await setUserID();
+        expect(await getCurrentSeed()).toBe(1234);
+        expect(await getCurrentDifficulty()).toBe('hard');
+    });
+
+    it('forgets the seed and difficulty when the run is abandoned', async () => {
+        await saveCurrentSeed(1234);
+        await saveCurrentDifficulty('hard');
+
+        await setUserID();
+        await clearCurrentRun();
+        expect(await getCurrentSeed()).toBeNull();
+        expect(await getCurrentDifficulty()).toBeNull();
+    });
+});
@@ -0,0 +1,112 @@
+import {isDodging} from '../system/enemyDodge';
+import {ENTITY_TYPES, queryEntities} from './entityRegistry';
+
+/**
+ * The key of the AI debug overlay in the entities object.
+ *
+ * @type {string}
+ */
+const AI_DEBUG_KEY = 'aiDebug';
+
+/**
+ * The smallest movement drawn as a heading, in pixels per step. Enemies that move less are
+ * shown as standing still.
+ *
+ * @type {number}
+ */
+const MIN_HEADING = 0.01;
+
+// Describe what an enemy is doing in a few words
+const describeBehavior = (enemy, currentTime) => {
+    const parts = [enemy.aiState ? enemy.aiState.state : 'idle'];
+    if (enemy.squadRole) parts.push(enemy.squadRole);
+    if (isDodging(enemy, currentTime)) parts.push('dodge');
+    return parts.join(' · ');
+};
+
+// The route an enemy follows: the waypoints left on its A* path, then its motion target
+const getPlannedPath = (enemy, tank, currentTime) => {
+    const motion = enemy.motion;
+    const target = isDodging(enemy, currentTime) ? enemy.dodge.target
+        : motion && motion.followTank && tank ? tank.body.position
+            : motion ? motion.target : null;
+    if (!target) return [];
+
+    const {x, y} = enemy.body.position;
+    const waypoints = enemy.path && enemy.path.length > 0 ? enemy.path : [];
+    return [{x, y}, ...waypoints, target].map(point => ({x: point.x, y: point.y}));
+};
+
+// Build what the AI debug overlay draws
+/**
+ * Captures the state of the enemy AI as plain data for the AI debug overlay.
+ *
+ * For every living enemy it holds the position, the facing and the heading of its last move,
+ * the detection and shooting radii and the engage distance of its last decision, the route it
+ * is driving along, whether it saw the player at its last decision and its behavior label:
+ * its state, its squad role and whether it is dodging a shot. It also holds the level's
+ * minimum distance from the tank (`minDistanceFromTank`), the baseline that every enemy type
+ * scales by its `engageDistance` multiplier, drawn as a ring around the tank.
+ * Values the AI has not computed yet are null.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {number} currentTime - The current game time.
+ * @returns {{tank: Object|null, minDistanceFromTank: number|null, enemies: Object[]}} The debug view.
+ */
+const buildAiDebugView = (entities, currentTime) => {
+    try {
+        const tank = entities.tank && entities.tank.body ? entities.tank : null;
+        const levelStats = entities.aiLevelStats;
+        const enemies = queryEntities(entities, {type: ENTITY_TYPES.ENEMY, alive: true})
+            .filter(([, enemy]) => enemy.body)
+            .map(([key, enemy]) => {
+                const move = enemy.lastMove;
+                return {
+                    key,
+                    x: enemy.body.position.x,
+                    y: enemy.body.position.y,
+                    facing: enemy.body.angle,
+                    heading: move && Math.hypot(move.x, move.y) >= MIN_HEADING ? Math.atan2(move.y, move.x) : null,
+                    detectionRadius: enemy.detectionRadius || null,
+                    shootingRadius: enemy.shootingRadius || null,
+                    engageDistance: enemy.engageDistance || null,
+                    path: getPlannedPath(enemy, tank, currentTime),
+                    lineOfSight: !!enemy.hasLineOfSight,
+                    label: describeBehavior(enemy, currentTime)
+                };
+            });
+
+        return {
+            tank: tank ? {x: tank.body.position.x, y: tank.body.position.y} : null,
+            minDistanceFromTank: levelStats ? levelStats.minDistanceFromTank : null,
+            enemies
+        };
+    } catch (error) {
+        console.error('Error building AI debug view:', error);
+        return {tank: null, minDistanceFromTank: null, enemies: []};
+    }
+};
+
+/**
+ * Adds or refreshes the AI debug overlay in the entities object, or removes it.
+ *
+ * The overlay is an entity without a type, so the gameplay systems never see it; the
+ * `GameEngine` draws it with its renderer on top of the battlefield.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {boolean} enabled - Whether the overlay is shown.
+ * @param {Function} renderer - The component that draws the overlay.
+ * @param {number} currentTime - The current game time.
+ * @returns {Object} The entities object.
+ */
+const updateAiDebug = (entities, enabled, renderer, currentTime) => {
+    if (!entities) return entities;
+    if (enabled) {
+        entities[AI_DEBUG_KEY] = {view: buildAiDebugView(entities, currentTime), renderer};
+    } else if (entities[AI_DEBUG_KEY]) {
+        delete entities[AI_DEBUG_KEY];
+    }
+    return entities;
+};
+
+export {AI_DEBUG_KEY, buildAiDebugView, updateAiDebug};
@@ -0,0 +1,88 @@
+/**
+ * The largest aiming error of a shooter with no accuracy at all, in radians (about 20 degrees).
+ *
+ * @type {number}
+ */
+const MAX_AIM_ERROR = 0.35;
+
+// Wrap an angle into [-π, π)
+/**
+ * Wraps an angle into [-π, π).
+ *
+ * @param {number} angle - The angle, in radians.
+ * @returns {number} The same direction, as an angle from -π up to π.
+ */
+const normalizeAngle = (angle) => {
+    const wrapped = (angle + Math.PI) % (2 * Math.PI);
+    return (wrapped < 0 ? wrapped + 2 * Math.PI : wrapped) - Math.PI;
+};
+
+// Solve where a shot meets a target moving in a straight line
+/**
+ * Calculates the angle a shot must be fired at to meet a target that keeps its velocity.
+ *
+ * Solves `|targetOffset + targetVelocity * t| = shotSpeed * t` for the earliest positive time `t`.
+ *
+ * @param {{x: number, y: number}} from - Where the shot is fired from.
+ * @param {{x: number, y: number}} target - The current position of the target.
+ * @param {{x: number, y: number}} velocity - The velocity of the target, in pixels per second.
+ * @param {number} shotSpeed - The speed of the shot, in pixels per second.
+ * @returns {number|null} The intercept angle, or null if the shot cannot catch the target.
+ */
+const calculateInterceptAngle = (from, target, velocity, shotSpeed) => {
+    try {
+        const rx = target.x - from.x;
+        const ry = target.y - from.y;
+        const a = velocity.x * velocity.x + velocity.y * velocity.y - shotSpeed * shotSpeed;
+        const b = 2 * (rx * velocity.x + ry * velocity.y);
+        const c = rx * rx + ry * ry;
+
+        let time;
+        if (Math.abs(a) < 1e-9) {
+            // The shot is exactly as fast as the target
+            time = Math.abs(b) < 1e-9 ? null : -c / b;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) return null;
+            const root = Math.sqrt(discriminant);
+            const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter(t => t > 0);
+            time = times.length > 0 ? Math.min(...times) : null;
+        }
+        if (time === null || !(time > 0)) return null;
+
+        return Math.atan2(ry + velocity.y * time, rx + velocity.x * time);
+    } catch (error) {
+        console.error('Error calculating intercept angle:', error);
+        return null;
+    }
+};
+
+// Aim a shot with the shooter's accuracy
+/**
+ * Calculates the angle a shooter fires at.
+ *
+ * A perfectly accurate shooter (`accuracy` 1) leads the target to its intercept point. Lower
+ * accuracy leads the target less and adds a random error of up to `(1 - accuracy) * MAX_AIM_ERROR`
+ * to either side; a shooter with no accuracy aims at where the target is now, give or take
+ * `MAX_AIM_ERROR`.
+ *
+ * @param {Object} options - Aiming options.
+ * @param {{x: number, y: number}} options.from - Where the shot is fired from.
+ * @param {{x: number, y: number}} options.target - The current position of the target.
+ * @param {{x: number, y: number}} [options.velocity] - The velocity of the target, in pixels per second.
+ * @param {number} options.shotSpeed - The speed of the shot, in pixels per second.
+ * @param {number} options.accuracy - The accuracy of the shooter, from 0 to 1.
+ * @param {Object} options.random - The seeded random number generator.
+ * @returns {number} The angle to fire at.
+ */
+const calculateAimAngle = ({from, target, velocity, shotSpeed, accuracy, random}) => {
+    const skill = Math.max(0, Math.min(1, accuracy));
+    const direct = Math.atan2(target.y - from.y, target.x - from.x);
+    const intercept = velocity ? calculateInterceptAngle(from, target, velocity, shotSpeed) : null;
+    const lead = intercept === null ? 0 : normalizeAngle(intercept - direct);
+    const error = skill < 1 ? random.range(-1, 1) * (1 - skill) * MAX_AIM_ERROR : 0;
+
+    return direct + lead * skill + error;
+};
+
+export {MAX_AIM_ERROR, calculateAimAngle, calculateInterceptAngle, normalizeAngle};
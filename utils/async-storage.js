@@ -1,5 +1,12 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
+/**
+ * The number of replays kept in storage; older replays are dropped first.
+ *
+ * @type {number}
+ */
+const MAX_REPLAYS = 10;
+
 /**
  * Adds a user's score to the high score list.
  *
@@ -105,6 +112,7 @@ export const getUserID = async () => {
  * - Generates a random user ID in the format 'user_<randomNumber>'.
  * - Resets the latest score to 0.
  * - Initializes the current level and score with level 1 and generated flag set to false.
+ * - Forgets the saved battlefield of the previous run.
  * - Logs the generated user ID to the console.
  * - Attempts to store the generated user ID in AsyncStorage.
  *
@@ -117,6 +125,8 @@ export const setUserID = async () => {
     const randomUserID = `user_${Math.floor(Math.random() * 1000000)}`;
     saveLatestScore(0)
     saveCurrentLevelAndScore({level: 1, generated: false}, 0)
+    clearDirectorState()
+    clearGameState()
     console.log(randomUserID)
     try {
         await AsyncStorage.setItem('user_id', randomUserID);
@@ -182,6 +192,382 @@ export const getCurrentLevelAndScore = async () => {
     }
 };
 
+/**
+ * Asynchronously saves the seed of the current run to AsyncStorage.
+ *
+ * The seed drives level, wall, boost and AI randomness, so continuing a saved game
+ * keeps generating the same maps.
+ *
+ * @param {number} seed - The seed of the current run.
+ * @returns {Promise<void>} A promise that resolves when the seed has been saved.
+ */
+export const saveCurrentSeed = async (seed) => {
+    try {
+        await AsyncStorage.setItem('currentSeed', JSON.stringify(seed));
+    } catch (error) {
+        console.error('Failed to save current seed:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves the seed of the current run from AsyncStorage.
+ *
+ * @returns {Promise<number|null>} The saved seed, or null if there is none or an error occurs.
+ */
+export const getCurrentSeed = async () => {
+    try {
+        const currentSeedString = await AsyncStorage.getItem('currentSeed');
+        return currentSeedString ? JSON.parse(currentSeedString) : null;
+    } catch (error) {
+        console.error('Failed to get current seed:', error);
+        return null;
+    }
+};
+
+/**
+ * Asynchronously removes the seed of the current run from AsyncStorage.
+ *
+ * @returns {Promise<void>} A promise that resolves when the seed has been removed.
+ */
+export const clearCurrentSeed = async () => {
+    try {
+        await AsyncStorage.removeItem('currentSeed');
+    } catch (error) {
+        console.error('Failed to clear current seed:', error);
+    }
+};
+
+/**
+ * Asynchronously forgets the run in progress: its seed, so the next game gets a fresh map, and
+ * its difficulty, so the next game can pick its own.
+ *
+ * The player dying does not end the run: Retry plays the same level on the same seed and
+ * difficulty, and Continue picks the run up from the main menu. The run is only forgotten when
+ * it is abandoned, from the Game Over screen, or when the app starts.
+ *
+ * @returns {Promise<void>} A promise that resolves when the run has been forgotten.
+ */
+export const clearCurrentRun = async () => {
+    await clearCurrentSeed();
+    await clearCurrentDifficulty();
+};
+
+/**
+ * Asynchronously saves the difficulty preset of the current run to AsyncStorage.
+ *
+ * The difficulty is chosen when a run starts and kept for the whole run, so continuing a saved
+ * game plays on the same difficulty.
+ *
+ * @param {string} difficulty - The name of the preset, a key of `DIFFICULTIES`.
+ * @returns {Promise<void>} A promise that resolves when the difficulty has been saved.
+ */
+export const saveCurrentDifficulty = async (difficulty) => {
+    try {
+        await AsyncStorage.setItem('currentDifficulty', difficulty);
+    } catch (error) {
+        console.error('Failed to save current difficulty:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves the difficulty preset of the current run from AsyncStorage.
+ *
+ * @returns {Promise<string|null>} The saved difficulty, or null if there is none or an error occurs.
+ */
+export const getCurrentDifficulty = async () => {
+    try {
+        return await AsyncStorage.getItem('currentDifficulty');
+    } catch (error) {
+        console.error('Failed to get current difficulty:', error);
+        return null;
+    }
+};
+
+/**
+ * Asynchronously removes the difficulty preset of the current run from AsyncStorage.
+ *
+ * @returns {Promise<void>} A promise that resolves when the difficulty has been removed.
+ */
+export const clearCurrentDifficulty = async () => {
+    try {
+        await AsyncStorage.removeItem('currentDifficulty');
+    } catch (error) {
+        console.error('Failed to clear current difficulty:', error);
+    }
+};
+
+/**
+ * Asynchronously saves the state of the adaptive difficulty director for the current run to AsyncStorage.
+ *
+ * @param {Object} state - The director state, from `utils/director.js`.
+ * @returns {Promise<void>} A promise that resolves when the state has been saved.
+ */
+export const saveDirectorState = async (state) => {
+    try {
+        await AsyncStorage.setItem('directorState', JSON.stringify(state));
+    } catch (error) {
+        console.error('Failed to save director state:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves the state of the adaptive difficulty director for the current run from AsyncStorage.
+ *
+ * @returns {Promise<Object|null>} The director state, or null if there is none or an error occurs.
+ */
+export const getDirectorState = async () => {
+    try {
+        const directorStateString = await AsyncStorage.getItem('directorState');
+        return directorStateString ? JSON.parse(directorStateString) : null;
+    } catch (error) {
+        console.error('Failed to get director state:', error);
+        return null;
+    }
+};
+
+/**
+ * Asynchronously removes the state of the adaptive difficulty director from AsyncStorage.
+ *
+ * @returns {Promise<void>} A promise that resolves when the state has been removed.
+ */
+export const clearDirectorState = async () => {
+    try {
+        await AsyncStorage.removeItem('directorState');
+    } catch (error) {
+        console.error('Failed to clear director state:', error);
+    }
+};
+
+/**
+ * Asynchronously saves whether the adaptive difficulty director is switched on.
+ *
+ * @param {boolean} enabled - True to let the director adjust the difficulty.
+ * @returns {Promise<void>} A promise that resolves when the setting has been saved.
+ */
+export const saveAdaptiveDifficulty = async (enabled) => {
+    try {
+        await AsyncStorage.setItem('adaptiveDifficulty', JSON.stringify(enabled));
+    } catch (error) {
+        console.error('Failed to save adaptive difficulty setting:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves whether the adaptive difficulty director is switched on.
+ *
+ * @returns {Promise<boolean>} The setting, true if it was never changed or an error occurs.
+ */
+export const getAdaptiveDifficulty = async () => {
+    try {
+        const adaptiveDifficultyString = await AsyncStorage.getItem('adaptiveDifficulty');
+        return adaptiveDifficultyString ? JSON.parse(adaptiveDifficultyString) : true;
+    } catch (error) {
+        console.error('Failed to get adaptive difficulty setting:', error);
+        return true;
+    }
+};
+
+/**
+ * Asynchronously saves whether the allied tank fights along with the player.
+ *
+ * @param {boolean} enabled - True to bring the allied tank into every level.
+ * @returns {Promise<void>} A promise that resolves when the setting has been saved.
+ */
+export const saveAllyEnabled = async (enabled) => {
+    try {
+        await AsyncStorage.setItem('allyEnabled', JSON.stringify(enabled));
+    } catch (error) {
+        console.error('Failed to save ally setting:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves whether the allied tank fights along with the player.
+ *
+ * @returns {Promise<boolean>} The setting, false if it was never changed or an error occurs.
+ */
+export const getAllyEnabled = async () => {
+    try {
+        const allyEnabledString = await AsyncStorage.getItem('allyEnabled');
+        return allyEnabledString ? JSON.parse(allyEnabledString) : false;
+    } catch (error) {
+        console.error('Failed to get ally setting:', error);
+        return false;
+    }
+};
+
+/**
+ * Asynchronously saves whether the AI debug overlay is drawn over the battlefield.
+ *
+ * @param {boolean} enabled - True to draw the overlay.
+ * @returns {Promise<void>} A promise that resolves when the setting has been saved.
+ */
+export const saveAiDebug = async (enabled) => {
+    try {
+        await AsyncStorage.setItem('aiDebug', JSON.stringify(enabled));
+    } catch (error) {
+        console.error('Failed to save AI debug setting:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves whether the AI debug overlay is drawn over the battlefield.
+ *
+ * @returns {Promise<boolean>} The setting, false if it was never changed or an error occurs.
+ */
+export const getAiDebug = async () => {
+    try {
+        const aiDebugString = await AsyncStorage.getItem('aiDebug');
+        return aiDebugString ? JSON.parse(aiDebugString) : false;
+    } catch (error) {
+        console.error('Failed to get AI debug setting:', error);
+        return false;
+    }
+};
+
+/**
+ * Asynchronously saves the battlefield of the level in progress to AsyncStorage.
+ *
+ * @param {Object} gameState - The battlefield snapshot created by `serializeGameState`.
+ * @returns {Promise<void>} A promise that resolves when the battlefield has been saved.
+ */
+export const saveGameState = async (gameState) => {
+    try {
+        await AsyncStorage.setItem('gameState', JSON.stringify(gameState));
+    } catch (error) {
+        console.error('Failed to save game state:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves the saved battlefield from AsyncStorage.
+ *
+ * @returns {Promise<Object|null>} The saved battlefield snapshot, or null if there is none or an error occurs.
+ */
+export const getGameState = async () => {
+    try {
+        const gameStateString = await AsyncStorage.getItem('gameState');
+        return gameStateString ? JSON.parse(gameStateString) : null;
+    } catch (error) {
+        console.error('Failed to get game state:', error);
+        return null;
+    }
+};
+
+/**
+ * Asynchronously removes the saved battlefield from AsyncStorage, e.g. when the level ends.
+ *
+ * @returns {Promise<void>} A promise that resolves when the battlefield has been removed.
+ */
+export const clearGameState = async () => {
+    try {
+        await AsyncStorage.removeItem('gameState');
+    } catch (error) {
+        console.error('Failed to clear game state:', error);
+    }
+};
+
+/**
+ * Asynchronously saves a level built in the level editor to AsyncStorage.
+ *
+ * Saved levels use the level definition format and replace the bundled or procedural
+ * level with the same number.
+ *
+ * @param {number} level - The level number.
+ * @param {Object} definition - The level definition.
+ * @returns {Promise<void>} A promise that resolves when the level has been saved.
+ */
+export const saveCustomLevel = async (level, definition) => {
+    try {
+        const customLevels = await getCustomLevels();
+        customLevels[level] = definition;
+        await AsyncStorage.setItem('customLevels', JSON.stringify(customLevels));
+    } catch (error) {
+        console.error('Failed to save custom level:', error);
+    }
+};
+
+/**
+ * Asynchronously removes a level built in the level editor from AsyncStorage.
+ *
+ * @param {number} level - The level number.
+ * @returns {Promise<void>} A promise that resolves when the level has been removed.
+ */
+export const deleteCustomLevel = async (level) => {
+    try {
+        const customLevels = await getCustomLevels();
+        delete customLevels[level];
+        await AsyncStorage.setItem('customLevels', JSON.stringify(customLevels));
+    } catch (error) {
+        console.error('Failed to delete custom level:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves the levels built in the level editor from AsyncStorage.
+ *
+ * @returns {Promise<Object>} A promise that resolves to the level definitions keyed by level number, or an empty object if an error occurs.
+ */
+export const getCustomLevels = async () => {
+    try {
+        const customLevelsString = await AsyncStorage.getItem('customLevels');
+        return customLevelsString ? JSON.parse(customLevelsString) : {};
+    } catch (error) {
+        console.error('Failed to get custom levels:', error);
+        return {};
+    }
+};
+
+/**
+ * Asynchronously saves a replay log to AsyncStorage.
+ *
+ * The newest replay is stored first and only the most recent `MAX_REPLAYS` are kept.
+ *
+ * @param {Object} replay - The replay log created by the replay recorder.
+ * @returns {Promise<void>} A promise that resolves when the replay has been saved.
+ */
+export const saveReplay = async (replay) => {
+    try {
+        const replays = await getReplays();
+        const updatedReplays = [replay, ...replays].slice(0, MAX_REPLAYS);
+        await AsyncStorage.setItem('replays', JSON.stringify(updatedReplays));
+    } catch (error) {
+        console.error('Failed to save replay:', error);
+    }
+};
+
+/**
+ * Asynchronously retrieves the saved replay logs from AsyncStorage, newest first.
+ *
+ * @returns {Promise<Array>} A promise that resolves to an array of replays, or an empty array if an error occurs.
+ */
+export const getReplays = async () => {
+    try {
+        const replaysString = await AsyncStorage.getItem('replays');
+        return replaysString ? JSON.parse(replaysString) : [];
+    } catch (error) {
+        console.error('Failed to get replays:', error);
+        return [];
+    }
+};
+
+/**
+ * Asynchronously removes a saved replay log from AsyncStorage.
+ *
+ * @param {string} recordedAt - The recording timestamp identifying the replay.
+ * @returns {Promise<Array>} A promise that resolves to the remaining replays.
+ */
+export const deleteReplay = async (recordedAt) => {
+    try {
+        const replays = (await getReplays()).filter(replay => replay.recordedAt !== recordedAt);
+        await AsyncStorage.setItem('replays', JSON.stringify(replays));
+        return replays;
+    } catch (error) {
+        console.error('Failed to delete replay:', error);
+        return [];
+    }
+};
+
 /**
  * Asynchronous function to clear stored scores.
  *
@@ -206,8 +592,8 @@ export const clearScores = async () => {
  * Asynchronously clears all game-related data from AsyncStorage.
  *
  * This function removes specific keys from AsyncStorage which include
- * 'highScores', 'latestScore', 'currentLevel', 'currentScore', 'userHealth',
- * and 'gameState'. If a key is found and removed, it is logged in the console.
+ * 'highScores', 'latestScore', 'currentLevel', 'currentScore', 'currentSeed',
+ * 'currentDifficulty', 'directorState', 'userHealth', 'gameState' and 'replays'. If a key is found and removed, it is logged in the console.
  * Optionally, a function can be passed to reset the game's state after the
  * data has been cleared.
  *
@@ -218,7 +604,7 @@ export const clearScores = async () => {
  */
 export const clearAllGameData = async (resetGameState) => {
     try {
-        const keysToRemove = ['highScores', 'latestScore', 'currentLevel', 'currentScore', 'userHealth', 'gameState'];
+        const keysToRemove = ['highScores', 'latestScore', 'currentLevel', 'currentScore', 'currentSeed', 'currentDifficulty', 'directorState', 'userHealth', 'gameState', 'replays'];
         const removedKeys = [];
 
         for (const key of keysToRemove) {
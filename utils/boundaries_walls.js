@@ -1,37 +1,7 @@
 import Matter from 'matter-js';
-import { Dimensions } from 'react-native';
-import Wall from '../entities/wall';
-
-/**
- * Holds the dimensions for an application.
- *
- * @type {object}
- * @property {number} width - The width of the application.
- * @property {number} height - The height of the application.
- * @property {string} unit - The unit of measurement for dimensions (e.g., 'px', 'em', 'rem').
- */
-let appDimensions;
-try {
-    /**
-     * Contains the width and height dimensions of the application.
-     *
-     * @typedef {Object} appDimensions
-     * @property {number} width - The width of the application in pixels.
-     * @property {number} height - The height of the application in pixels.
-     */
-    appDimensions = Dimensions.get('window');
-} catch (error) {
-    console.error("Error getting window dimensions:", error);
-    /**
-     * Calculates and returns the dimensions of the application layout.
-     *
-     * @param {number} width - The width of the application layout.
-     * @param {number} height - The height of the application layout.
-     * @param {number} margin - The margin size around the application layout.
-     * @returns {{width: number, height: number, margin: number}} An object containing the width, height, and margin of the application.
-     */
-    appDimensions = { width: 800, height: 600 };
-}
+import { headlessEntityFactory } from './entityFactory';
+import { ENTITY_TYPES } from './entityRegistry';
+import { getRandom } from './random';
 
 // Function to generate boundary walls, considering distance from tank, other walls, and boosts
 /**
@@ -40,22 +10,20 @@ try {
  * @param {Object} appDimensions - The dimensions of the application window.
  * @param {Object} tank - The tank object which should be considered for distance checks.
  * @param {Object} boost - The boost object which should be considered for distance checks.
+ * @param {Object} [factory] - The entity factory used to build the walls. Defaults to the headless factory.
+ * @param {Object} [random] - The seeded random number generator used to place the random walls.
+ * @param {number} [randomWallCount=5] - The number of randomly placed walls. Hand-authored levels pass 0 and add their own walls.
  * @returns {Object} A collection of wall entities, including boundary walls and randomly placed walls.
  */
-const generateBoundaryWalls = (appDimensions, tank, boost) => {
+const generateBoundaryWalls = (appDimensions, tank, boost, factory = headlessEntityFactory, random = getRandom(), randomWallCount = 5) => {
     try {
         const width = appDimensions.width;
         const height = appDimensions.height;
 
         // Helper function to create a wall entity
-        const createWallEntity = (x, y, w, h, color = 'green', health = 100) => {
+        const createWallEntity = (x, y, w, h, color = 'green', health = 100, type = ENTITY_TYPES.WALL) => {
             try {
-                return {
-                    body: Matter.Bodies.rectangle(x, y, w, h, { isStatic: true, label: `random_wall_${x}_${y}` }),
-                    color: color,
-                    health: health,
-                    renderer: Wall,
-                };
+                return factory.wall({ x, y, width: w, height: h, color, health, type });
             } catch (error) {
                 console.error("Error creating wall entity:", error);
                 return null;
@@ -108,14 +76,14 @@ const generateBoundaryWalls = (appDimensions, tank, boost) => {
         };
 
         // Generate random walls within the screen dimensions
-        for (let i = 0; i < 5; i++) {
+        for (let i = 0; i < randomWallCount; i++) {
             try {
                 let randomX, randomY, newWall;
                 let isValid = false;
 
                 while (!isValid) {
-                    randomX = Math.floor(Math.random() * (width - 64)) + 32;
-                    randomY = Math.floor(Math.random() * (height - 46)) + 23;
+                    randomX = random.int(0, width - 64) + 32;
+                    randomY = random.int(0, height - 46) + 23;
 
                     newWall = Matter.Bodies.rectangle(randomX, randomY, 64, 46, { isStatic: true });
                     isValid = isFarEnough(newWall, randomWalls, boost, 160) &&  // Ensure minimum distance of 160 units from tank
@@ -131,10 +99,10 @@ const generateBoundaryWalls = (appDimensions, tank, boost) => {
 
         // Create boundary walls around the edges of the screen
         return {
-            "wall_1": createWallEntity(width / 2, 5, width, 15, 'green'),
-            "wall_2": createWallEntity(width / 2, height - 5, width, 15, 'green'),
-            "wall_3": createWallEntity(5, height / 2, 15, height, 'green'),
-            "wall_4": createWallEntity(width - 5, height / 2, 15, height, 'green'),
+            "wall_1": createWallEntity(width / 2, 5, width, 15, 'green', 100, ENTITY_TYPES.BOUNDARY),
+            "wall_2": createWallEntity(width / 2, height - 5, width, 15, 'green', 100, ENTITY_TYPES.BOUNDARY),
+            "wall_3": createWallEntity(5, height / 2, 15, height, 'green', 100, ENTITY_TYPES.BOUNDARY),
+            "wall_4": createWallEntity(width - 5, height / 2, 15, height, 'green', 100, ENTITY_TYPES.BOUNDARY),
             ...randomWalls
         };
     } catch (error) {
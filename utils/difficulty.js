@@ -0,0 +1,102 @@
+import {adjustDifficulty} from './director';
+
+/**
+ * The difficulty used by runs that did not choose one, including saves and replays made before
+ * difficulties existed.
+ *
+ * @type {string}
+ */
+const DEFAULT_DIFFICULTY = 'normal';
+
+// The difficulty presets a run can be played on
+/**
+ * The difficulty presets, keyed by the name stored with the run, in the order the menu offers them.
+ *
+ * Every value is a multiplier of the curve the game used before presets existed, so `normal`
+ * plays exactly as before:
+ * - `enemySpeed`, `detectionRadius`, `shootingRadius`, `shotDelay` and `accuracy` scale the
+ *   level-scaled AI stats computed by the enemy AI;
+ * - `difficultyRate` scales how fast those stats grow with the levels;
+ * - `enemyHealthRate` scales how much health generated enemies gain per level;
+ * - `playerDamage` scales the damage the player's tank takes;
+ * - `boostFrequency` scales how often boosts come: scheduled boosts appear after their delay
+ *   divided by it, and every boost stays on the field for its lifetime multiplied by it.
+ *
+ * `maxEnemies` caps the number of enemies on a generated level.
+ *
+ * @type {Object<string, Object>}
+ */
+const DIFFICULTIES = {
+    easy: {
+        label: 'Easy',
+        enemySpeed: 0.8,
+        detectionRadius: 0.85,
+        shootingRadius: 0.9,
+        shotDelay: 1.4,
+        accuracy: 0.7,
+        difficultyRate: 0.75,
+        enemyHealthRate: 0.5,
+        maxEnemies: 5,
+        playerDamage: 0.6,
+        boostFrequency: 1.5
+    },
+    normal: {
+        label: 'Normal',
+        enemySpeed: 1,
+        detectionRadius: 1,
+        shootingRadius: 1,
+        shotDelay: 1,
+        accuracy: 1,
+        difficultyRate: 1,
+        enemyHealthRate: 1,
+        maxEnemies: 8,
+        playerDamage: 1,
+        boostFrequency: 1
+    },
+    hard: {
+        label: 'Hard',
+        enemySpeed: 1.15,
+        detectionRadius: 1.15,
+        shootingRadius: 1.1,
+        shotDelay: 0.8,
+        accuracy: 1.2,
+        difficultyRate: 1.25,
+        enemyHealthRate: 1.5,
+        maxEnemies: 10,
+        playerDamage: 1.25,
+        boostFrequency: 0.75
+    },
+    nightmare: {
+        label: 'Nightmare',
+        enemySpeed: 1.3,
+        detectionRadius: 1.3,
+        shootingRadius: 1.2,
+        shotDelay: 0.6,
+        accuracy: 1.5,
+        difficultyRate: 1.5,
+        enemyHealthRate: 2,
+        maxEnemies: 12,
+        playerDamage: 1.6,
+        boostFrequency: 0.5
+    }
+};
+
+/**
+ * Returns the name of a difficulty preset, falling back to the default for unknown names.
+ *
+ * @param {string} [name] - The name of the preset.
+ * @returns {string} A key of `DIFFICULTIES`.
+ */
+const resolveDifficulty = (name) => (DIFFICULTIES[name] ? name : DEFAULT_DIFFICULTY);
+
+/**
+ * Returns the difficulty preset of the run, from the `difficulty` name on the entities object,
+ * with the adjustment of the adaptive difficulty director (`entities.director`, see
+ * `utils/director.js`) applied.
+ *
+ * @param {Object} [entities] - The current state of all game entities.
+ * @returns {Object} The preset.
+ */
+const getDifficulty = (entities) => adjustDifficulty(DIFFICULTIES[resolveDifficulty(entities && entities.difficulty)], entities && entities.director);
+
+export {DEFAULT_DIFFICULTY, DIFFICULTIES, getDifficulty, resolveDifficulty};
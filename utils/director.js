@@ -0,0 +1,196 @@
+/**
+ * How many steps the director may move the game away from the chosen difficulty preset, either way.
+ *
+ * @type {number}
+ */
+const DIRECTOR_LIMIT = 3;
+
+/**
+ * How many times the player has to retry the same level before the director eases off by a step.
+ *
+ * @type {number}
+ */
+const RELIEF_RETRIES = 5;
+
+/**
+ * How much one step of the director changes the AI settings of a difficulty preset.
+ *
+ * Each value is the share by which a step scales the preset's multiplier: a positive adjustment makes
+ * enemies faster, more perceptive, quicker to fire and more accurate, and a negative one does
+ * the opposite.
+ *
+ * @type {Object<string, number>}
+ */
+const DIRECTOR_STEP = {
+    enemySpeed: 0.05,
+    detectionRadius: 0.05,
+    shootingRadius: 0.03,
+    shotDelay: -0.07,
+    accuracy: 0.07,
+    enemyHealthRate: 0.15
+};
+
+/**
+ * How many levels earlier, per step, the tougher enemy types join generated levels. A negative
+ * adjustment holds them back instead.
+ *
+ * @type {number}
+ */
+const TYPE_LEVELS_PER_STEP = 2;
+
+/**
+ * The time a level is expected to take per enemy, in milliseconds of game time.
+ *
+ * @type {number}
+ */
+const PAR_TIME_PER_ENEMY = 15000;
+
+/**
+ * Health lost on a level at or below which the player is considered unchallenged.
+ *
+ * @type {number}
+ */
+const LOW_HEALTH_LOSS = 25;
+
+/**
+ * Health lost on a level at or above which the player is considered to struggle.
+ *
+ * @type {number}
+ */
+const HIGH_HEALTH_LOSS = 75;
+
+/**
+ * The share of the player's shots that must hit for a level to count as steamrolled.
+ *
+ * @type {number}
+ */
+const STEAMROLL_ACCURACY = 0.5;
+
+const clampAdjustment = (adjustment) => Math.max(-DIRECTOR_LIMIT, Math.min(DIRECTOR_LIMIT, adjustment));
+
+/**
+ * Creates the state of the director at the start of a run: no adjustment and no retries.
+ *
+ * @returns {{adjustment: number, level: number|null, retries: number}} The director state.
+ */
+const createDirectorState = () => ({adjustment: 0, level: null, retries: 0});
+
+/**
+ * Creates the performance metrics of a level that is about to be played.
+ *
+ * The metrics are kept on the level object next to its `elapsed` time, so they are saved with
+ * the battlefield and read back by the app when the level ends.
+ *
+ * @param {number} enemies - The number of enemies the level starts with.
+ * @returns {{enemies: number, shotsFired: number, hits: number, healthLost: number}} The metrics.
+ */
+const createLevelMetrics = (enemies) => ({enemies, shotsFired: 0, hits: 0, healthLost: 0});
+
+/**
+ * Adds to a performance metric of the level in progress. Levels without metrics are ignored.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {string} name - The metric: 'shotsFired', 'hits' or 'healthLost'.
+ * @param {number} [amount=1] - How much to add.
+ */
+const recordMetric = (entities, name, amount = 1) => {
+    const level = entities && typeof entities.getCurrentLevel === 'function' ? entities.getCurrentLevel() : null;
+    if (level && level.metrics) {
+        level.metrics[name] = (level.metrics[name] || 0) + amount;
+    }
+};
+
+// Judge how the player did on a cleared level
+/**
+ * Rates a cleared level from its metrics.
+ *
+ * A level counts as a struggle when the player lost `HIGH_HEALTH_LOSS` health or more, or
+ * took more than twice the par time. It counts as steamrolled when the player lost no more
+ * than `LOW_HEALTH_LOSS` health, cleared it within the par time and hit with at least
+ * `STEAMROLL_ACCURACY` of their shots.
+ *
+ * @param {Object} metrics - The metrics of the level, from `createLevelMetrics`.
+ * @param {number} elapsed - The time the level took, in milliseconds of game time.
+ * @returns {number} 1 if the player steamrolled the level, -1 if they struggled, otherwise 0.
+ */
+const rateLevel = (metrics, elapsed) => {
+    const parTime = PAR_TIME_PER_ENEMY * Math.max(1, metrics.enemies);
+    const accuracy = metrics.shotsFired > 0 ? metrics.hits / metrics.shotsFired : 0;
+
+    if (metrics.healthLost >= HIGH_HEALTH_LOSS || elapsed > parTime * 2) return -1;
+    if (metrics.healthLost <= LOW_HEALTH_LOSS && elapsed <= parTime && accuracy >= STEAMROLL_ACCURACY) return 1;
+    return 0;
+};
+
+/**
+ * Updates the director after the player cleared a level, nudging the adjustment by one step
+ * at most (see `rateLevel`). A level that needed retries never pushes the difficulty up.
+ *
+ * @param {Object} state - The director state.
+ * @param {Object} level - The cleared level object, with its `metrics` and `elapsed` time.
+ * @returns {Object} The updated director state.
+ */
+const recordLevelCleared = (state, level) => {
+    if (!level || !level.metrics) return {...state, level: null, retries: 0};
+
+    let rating = rateLevel(level.metrics, level.elapsed || 0);
+    if (rating > 0 && state.level === level.level && state.retries > 0) rating = 0;
+    return {adjustment: clampAdjustment(state.adjustment + rating), level: null, retries: 0};
+};
+
+/**
+ * Updates the director after the player retried a level. Every `RELIEF_RETRIES`th retry of the
+ * same level eases the difficulty by one step.
+ *
+ * @param {Object} state - The director state.
+ * @param {number} level - The level being retried.
+ * @returns {Object} The updated director state.
+ */
+const recordRetry = (state, level) => {
+    const retries = state.level === level ? state.retries + 1 : 1;
+    const relief = retries % RELIEF_RETRIES === 0 ? -1 : 0;
+    return {adjustment: clampAdjustment(state.adjustment + relief), level, retries};
+};
+
+// Adjusted presets are cached so the enemy AI can keep comparing them by identity
+const adjustedPresets = new Map();
+
+// Apply the director's adjustment to a difficulty preset
+/**
+ * Returns a difficulty preset with the director's adjustment applied.
+ *
+ * The AI multipliers move by `DIRECTOR_STEP` per step and `maxEnemies` by one enemy per step.
+ * The preset also gets a `typeLevelShift`, the number of levels by which the tougher enemy
+ * types of `pickEnemyType` come early (or late, when negative). Player damage and boosts are
+ * left as the preset sets them.
+ *
+ * @param {Object} preset - The difficulty preset, from `DIFFICULTIES`.
+ * @param {number} [adjustment=0] - The adjustment, in steps.
+ * @returns {Object} The adjusted preset, or the preset itself without an adjustment.
+ */
+const adjustDifficulty = (preset, adjustment = 0) => {
+    const steps = clampAdjustment(Math.round(adjustment || 0));
+    if (steps === 0) return preset;
+
+    const key = `${preset.label}:${steps}`;
+    if (!adjustedPresets.has(key)) {
+        const adjusted = {...preset, maxEnemies: Math.max(1, preset.maxEnemies + steps), typeLevelShift: steps * TYPE_LEVELS_PER_STEP};
+        Object.entries(DIRECTOR_STEP).forEach(([name, step]) => {
+            adjusted[name] = preset[name] * (1 + step * steps);
+        });
+        adjustedPresets.set(key, adjusted);
+    }
+    return adjustedPresets.get(key);
+};
+
+export {
+    DIRECTOR_LIMIT,
+    RELIEF_RETRIES,
+    adjustDifficulty,
+    createDirectorState,
+    createLevelMetrics,
+    rateLevel,
+    recordLevelCleared,
+    recordMetric,
+    recordRetry
+};
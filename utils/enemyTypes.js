@@ -0,0 +1,216 @@
+import {ENEMY_STATES} from '../system/enemyBehavior';
+
+const {PATROL, CHASE, FLANK, INVESTIGATE, RETREAT} = ENEMY_STATES;
+
+/**
+ * The enemy type used when an enemy does not name one, and by saves made before types existed.
+ *
+ * @type {string}
+ */
+const DEFAULT_ENEMY_TYPE = 'tank';
+
+// The catalog of enemy archetypes
+/**
+ * The enemy archetypes, keyed by the name used in level definitions and saves.
+ *
+ * The AI stats are multipliers of the level-scaled values computed by the enemy AI, so every
+ * type still gets tougher as the levels go up:
+ * - `speed`, `detectionRadius`, `shootingRadius`, `shotDelay` and `accuracy` scale the AI stats;
+ * - `health` scales the level's enemy health;
+ * - `engageDistance` scales how close the enemy drives to the player before it holds position;
+ * - `dodgeChance` and `reactionTime` scale how often and how quickly the enemy gets out of the
+ *   way of the player's shots (see `system/enemyDodge.js`).
+ *
+ * `weapon` names the weapon the type fires, from `WEAPONS` in `utils/weapons.js`, and `projectile`
+ * overrides the fields of that weapon for the type: usually the speed in pixels per second, the
+ * damage dealt to the player, and the radius and color of the shot. `sprite` names the image the renderer
+ * draws and `size` is the size of the body in pixels. A type appears in generated levels from
+ * `minLevel` on, picked with a chance proportional to its `weight`. Types marked `boss` are never
+ * picked: they are spawned alone on boss levels (see `isBossLevel` in `utils/levels.js`).
+ *
+ * `behavior` adjusts the behavior state machine of the type: its allowed `transitions` and
+ * timings, merged over `DEFAULT_BEHAVIOR` in `system/enemyBehavior.js`.
+ *
+ * @type {Object<string, Object>}
+ */
+const ENEMY_TYPES = {
+    tank: {
+        label: 'Tank',
+        speed: 1,
+        health: 1,
+        shotDelay: 1,
+        detectionRadius: 1,
+        shootingRadius: 1,
+        accuracy: 1,
+        engageDistance: 1,
+        dodgeChance: 1,
+        reactionTime: 1,
+        weapon: 'cannon',
+        projectile: {speed: 600, damage: 25, radius: 5, color: 'black'},
+        sprite: 'enemy',
+        size: {width: 64, height: 46},
+        color: 'red',
+        minLevel: 1,
+        weight: 4
+    },
+    scout: {
+        label: 'Scout',
+        speed: 1.8,
+        health: 0.6,
+        shotDelay: 0.7,
+        detectionRadius: 1.1,
+        shootingRadius: 0.8,
+        accuracy: 0.8,
+        engageDistance: 0.6,
+        dodgeChance: 1.6,
+        reactionTime: 0.7,
+        weapon: 'machineGun',
+        projectile: {speed: 720, damage: 15, radius: 4, color: '#3a3a3a'},
+        sprite: 'enemyAI',
+        size: {width: 52, height: 38},
+        color: 'orange',
+        minLevel: 3,
+        weight: 3,
+        // Scouts flank early and pull back sooner
+        behavior: {flankAfter: 1500, flankTimeout: 3000, retreatHealth: 0.4}
+    },
+    heavy: {
+        label: 'Heavy',
+        speed: 0.55,
+        health: 2.2,
+        shotDelay: 1.5,
+        detectionRadius: 0.9,
+        shootingRadius: 0.9,
+        accuracy: 0.9,
+        engageDistance: 0.8,
+        dodgeChance: 0.4,
+        reactionTime: 1.5,
+        weapon: 'rocket',
+        projectile: {speed: 450, damage: 40, radius: 7, color: '#5a1f00', splashDamage: 15},
+        sprite: 'enemy2',
+        size: {width: 76, height: 54},
+        color: 'darkred',
+        minLevel: 5,
+        weight: 2,
+        // Heavies push straight at the player and never fall back
+        behavior: {
+            transitions: {
+                [CHASE]: [INVESTIGATE, PATROL],
+                [INVESTIGATE]: [CHASE, PATROL]
+            }
+        }
+    },
+    sniper: {
+        label: 'Sniper',
+        speed: 0.8,
+        health: 0.8,
+        shotDelay: 1.8,
+        detectionRadius: 1.8,
+        shootingRadius: 1.8,
+        accuracy: 1.6,
+        engageDistance: 1.1,
+        dodgeChance: 1.2,
+        reactionTime: 0.9,
+        weapon: 'cannon',
+        projectile: {speed: 1000, damage: 35, radius: 3, color: '#1b3a8a'},
+        sprite: 'enemyAI',
+        size: {width: 60, height: 40},
+        color: 'purple',
+        minLevel: 7,
+        weight: 2,
+        // Snipers keep their distance: no flanking, and they seek cover at half health
+        behavior: {
+            transitions: {
+                [CHASE]: [RETREAT, INVESTIGATE, PATROL]
+            },
+            retreatHealth: 0.5,
+            retreatHold: 5000
+        }
+    },
+    turret: {
+        label: 'Turret',
+        speed: 0,
+        health: 1.6,
+        shotDelay: 0.6,
+        detectionRadius: 1.3,
+        shootingRadius: 1.3,
+        accuracy: 1.2,
+        engageDistance: 1,
+        dodgeChance: 0,
+        reactionTime: 1,
+        weapon: 'cannon',
+        projectile: {speed: 600, damage: 20, radius: 5, color: '#444444'},
+        sprite: 'enemy2',
+        size: {width: 56, height: 56},
+        color: 'gray',
+        minLevel: 4,
+        weight: 1,
+        // Turrets cannot move: they only switch between scanning and firing
+        behavior: {
+            transitions: {
+                [PATROL]: [CHASE],
+                [CHASE]: [PATROL]
+            }
+        }
+    },
+    boss: {
+        label: 'Boss',
+        boss: true,
+        speed: 0.7,
+        health: 8,
+        shotDelay: 0.8,
+        detectionRadius: 3,
+        shootingRadius: 2.5,
+        accuracy: 1.2,
+        engageDistance: 1.2,
+        dodgeChance: 0.5,
+        reactionTime: 1.3,
+        weapon: 'cannon',
+        projectile: {speed: 550, damage: 15, radius: 8, color: 'crimson'},
+        sprite: 'enemy2',
+        size: {width: 110, height: 80},
+        color: 'black',
+        // Bosses hunt the player down: their attacks come from their phases in `system/bossAI.js`
+        behavior: {
+            transitions: {
+                [PATROL]: [CHASE],
+                [CHASE]: [INVESTIGATE, PATROL],
+                [INVESTIGATE]: [CHASE, PATROL]
+            }
+        }
+    }
+};
+
+/**
+ * Returns an enemy archetype, falling back to the default type for unknown names.
+ *
+ * @param {string} [name] - The name of the type.
+ * @returns {Object} The archetype.
+ */
+const getEnemyType = (name) => ENEMY_TYPES[name] || ENEMY_TYPES[DEFAULT_ENEMY_TYPE];
+
+// Choose the type of a generated enemy
+/**
+ * Picks the type of a generated enemy among the types unlocked at a level, weighted by their `weight`.
+ *
+ * While only one type is unlocked no random number is drawn, so the early levels of a seed
+ * are generated exactly as before types existed.
+ *
+ * @param {number} level - The current level.
+ * @param {Object} random - The seeded random number generator.
+ * @returns {string} The name of the type.
+ */
+const pickEnemyType = (level, random) => {
+    const unlocked = Object.keys(ENEMY_TYPES).filter(name => !ENEMY_TYPES[name].boss && ENEMY_TYPES[name].minLevel <= level);
+    if (unlocked.length <= 1) return unlocked[0] || DEFAULT_ENEMY_TYPE;
+
+    const totalWeight = unlocked.reduce((sum, name) => sum + ENEMY_TYPES[name].weight, 0);
+    let roll = random.range(0, totalWeight);
+    for (const name of unlocked) {
+        roll -= ENEMY_TYPES[name].weight;
+        if (roll < 0) return name;
+    }
+    return unlocked[unlocked.length - 1];
+};
+
+export {DEFAULT_ENEMY_TYPE, ENEMY_TYPES, getEnemyType, pickEnemyType};
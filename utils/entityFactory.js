@@ -0,0 +1,201 @@
+import Matter from 'matter-js';
+import {DEFAULT_ENEMY_TYPE, getEnemyType} from './enemyTypes';
+import {ENTITY_TYPES, TEAMS} from './entityRegistry';
+
+/**
+ * Creates an entity factory used by the gameplay systems to build tanks, walls, shots and boosts.
+ *
+ * Entity creation is kept free of React Native so the same level generation and combat rules
+ * can run headless. The factory only attaches the renderers it is given: the app passes the
+ * real `Tank`, `Wall`, `ShotRenderer` and `Boost` components, while a simulation can call it
+ * without arguments and get entities that carry no renderer at all.
+ *
+ * Every entity gets a `type` and a `team` component from `ENTITY_TYPES` and `TEAMS`, which the
+ * systems query through the entity registry instead of relying on key prefixes.
+ *
+ * @param {Object} [renderers={}] - Renderer components keyed by entity kind.
+ * @param {Function} [renderers.tank] - Renderer used for the player's tank and the allied tank, and for enemies without a renderer of their own.
+ * @param {Object<string, Function>} [renderers.enemies] - Renderers used for the enemy tanks, keyed by enemy type.
+ * @param {Function} [renderers.wall] - Renderer used for boundary and random walls.
+ * @param {Function} [renderers.shot] - Renderer used for bullets.
+ * @param {Function} [renderers.boost] - Renderer used for the health boost.
+ * @returns {Object} An object exposing `tank`, `ally`, `enemy`, `wall`, `shot` and `boost` creation functions.
+ */
+const createEntityFactory = (renderers = {}) => {
+    /**
+     * Creates a tank entity.
+     *
+     * @param {Object} options - Tank options.
+     * @param {number} options.x - The x-coordinate of the tank.
+     * @param {number} options.y - The y-coordinate of the tank.
+     * @param {string} [options.color='blue'] - The color of the tank.
+     * @param {number} [options.health=100] - The initial health of the tank.
+     * @param {boolean} [options.ai=false] - Whether the tank is controlled by the AI.
+     * @param {string} [options.team] - The team of the tank. Defaults to the enemy team for AI tanks and the player team otherwise.
+     * @returns {Object} The tank entity.
+     */
+    const tank = ({x, y, color = 'blue', health = 100, ai = false, team, ...extra}) => ({
+        type: ai ? ENTITY_TYPES.ENEMY : ENTITY_TYPES.PLAYER,
+        team: team || (ai ? TEAMS.ENEMY : TEAMS.PLAYER),
+        body: Matter.Bodies.rectangle(x, y, 64, 46),
+        color,
+        health,
+        ai,
+        renderer: renderers.tank,
+        ...extra
+    });
+
+    /**
+     * Creates the allied tank: an AI-driven tank on the player's team, drawn like the player's
+     * tank in its own color (see `system/allyAI.js`).
+     *
+     * @param {Object} options - Ally options.
+     * @param {number} options.x - The x-coordinate of the ally.
+     * @param {number} options.y - The y-coordinate of the ally.
+     * @param {string} [options.color='green'] - The color of the ally.
+     * @param {number} [options.health=100] - The initial health of the ally.
+     * @returns {Object} The ally entity.
+     */
+    const ally = ({x, y, color = 'green', health = 100, ...extra}) => ({
+        type: ENTITY_TYPES.ALLY,
+        team: TEAMS.PLAYER,
+        body: Matter.Bodies.rectangle(x, y, 64, 46),
+        color,
+        health,
+        maxHealth: health,
+        ai: true,
+        renderer: renderers.tank,
+        ...extra
+    });
+
+    /**
+     * Creates an enemy tank of one of the types in `ENEMY_TYPES`.
+     *
+     * The body takes the size of the type, and the entity carries the type's `weapon`, its
+     * `projectile` overrides and its renderer. Health defaults to `baseHealth` scaled by the type.
+     *
+     * @param {Object} options - Enemy options.
+     * @param {number} options.x - The x-coordinate of the enemy.
+     * @param {number} options.y - The y-coordinate of the enemy.
+     * @param {string} [options.enemyType=DEFAULT_ENEMY_TYPE] - The type of the enemy.
+     * @param {number} [options.baseHealth=100] - The level's enemy health, before the type's multiplier.
+     * @param {number} [options.health] - The health of the enemy, overriding the scaled base health.
+     * @param {string} [options.color] - The color of the enemy. Defaults to the color of the type.
+     * @returns {Object} The enemy entity.
+     */
+    const enemy = ({x, y, enemyType = DEFAULT_ENEMY_TYPE, baseHealth = 100, health, color, ...extra}) => {
+        const archetype = getEnemyType(enemyType);
+        const initialHealth = health !== undefined ? health : Math.round(baseHealth * archetype.health);
+
+        return {
+            type: ENTITY_TYPES.ENEMY,
+            team: TEAMS.ENEMY,
+            body: Matter.Bodies.rectangle(x, y, archetype.size.width, archetype.size.height),
+            color: color || archetype.color,
+            health: initialHealth,
+            maxHealth: initialHealth,
+            ai: true,
+            enemyType,
+            weapon: archetype.weapon,
+            projectile: archetype.projectile,
+            renderer: (renderers.enemies && renderers.enemies[enemyType]) || renderers.tank,
+            ...extra
+        };
+    };
+
+    /**
+     * Creates a static wall entity.
+     *
+     * @param {Object} options - Wall options.
+     * @param {number} options.x - The x-coordinate of the wall centre.
+     * @param {number} options.y - The y-coordinate of the wall centre.
+     * @param {number} options.width - The width of the wall.
+     * @param {number} options.height - The height of the wall.
+     * @param {string} [options.color='green'] - The color of the wall.
+     * @param {number} [options.health=100] - The initial health of the wall.
+     * @param {string} [options.type] - `ENTITY_TYPES.WALL` for destructible obstacles, `ENTITY_TYPES.BOUNDARY` for the screen edges.
+     * @param {boolean} [options.indestructible=false] - When true, the obstacle takes no damage and bounces ricochet shots.
+     * @returns {Object} The wall entity.
+     */
+    const wall = ({x, y, width, height, color = 'green', health = 100, type = ENTITY_TYPES.WALL, indestructible = false}) => ({
+        type,
+        team: TEAMS.NEUTRAL,
+        body: Matter.Bodies.rectangle(x, y, width, height, {isStatic: true, label: `random_wall_${x}_${y}`}),
+        color,
+        health,
+        ...(indestructible ? {indestructible: true} : {}),
+        renderer: renderers.wall
+    });
+
+    /**
+     * Creates a shot entity travelling at the given angle and speed.
+     *
+     * @param {Object} options - Shot options.
+     * @param {Object} options.position - The initial position of the shot.
+     * @param {number} options.angle - The angle at which the shot is fired.
+     * @param {number} options.speed - The speed of the shot, in pixels per second.
+     * @param {string} options.team - The team of the shooter; the shot only damages other teams.
+     * @param {number} [options.radius=5] - The radius of the shot, in pixels.
+     * Other options, like the `damage`, `lifetime` and splash of the weapon, are copied onto the shot.
+     * @returns {Object} The shot entity.
+     */
+    const shot = ({position, angle, speed, team, radius = 5, ...extra}) => {
+        const velocity = {
+            x: Math.cos(angle) * speed,
+            y: Math.sin(angle) * speed,
+        };
+        const body = Matter.Bodies.circle(position.x, position.y, radius, {label: 'bullet'});
+
+        return {
+            type: ENTITY_TYPES.PROJECTILE,
+            team,
+            body,
+            velocity,
+            angle,
+            speed,
+            renderer: renderers.shot,
+            ...extra
+        };
+    };
+
+    /**
+     * Creates a boost entity.
+     *
+     * @param {Object} options - Boost options.
+     * @param {Object} options.position - The centre of the boost.
+     * @param {number} options.size - The size of the boost.
+     * @returns {Object} The boost entity.
+     */
+    const boost = ({position, size}) => ({
+        type: ENTITY_TYPES.BOOST,
+        team: TEAMS.NEUTRAL,
+        body: Matter.Bodies.rectangle(position.x, position.y, size, size, {
+            isStatic: true,
+            isSensor: true,
+            label: 'boost',
+        }),
+        size,
+        position,
+        renderer: renderers.boost
+    });
+
+    return {tank, ally, enemy, wall, shot, boost};
+};
+
+/**
+ * Factory used when the entities object does not provide one, e.g. in headless simulations.
+ * Entities built by it carry no renderer.
+ */
+const headlessEntityFactory = createEntityFactory();
+
+/**
+ * Returns the entity factory injected through the entities object, falling back to the headless factory.
+ *
+ * @param {Object} entities - The game entities, optionally containing an `entityFactory`.
+ * @returns {Object} The entity factory to use.
+ */
+const getEntityFactory = (entities) => {
+    return (entities && entities.entityFactory) || headlessEntityFactory;
+};
+
+export {createEntityFactory, getEntityFactory, headlessEntityFactory};
@@ -0,0 +1,161 @@
+import Matter from 'matter-js';
+
+/**
+ * The entity types known to the gameplay systems.
+ *
+ * Every entity built by the entity factory carries one of these as its `type` component,
+ * so systems select entities by what they are rather than by the prefix of their key.
+ *
+ * @type {{PLAYER: string, ALLY: string, ENEMY: string, WALL: string, BOUNDARY: string, PROJECTILE: string, BOOST: string}}
+ */
+const ENTITY_TYPES = {
+    PLAYER: 'player',
+    ALLY: 'ally',
+    ENEMY: 'enemy',
+    WALL: 'wall',
+    BOUNDARY: 'boundary',
+    PROJECTILE: 'projectile',
+    BOOST: 'boost'
+};
+
+/**
+ * The teams an entity can belong to. Projectiles only damage entities of another team.
+ *
+ * @type {{PLAYER: string, ENEMY: string, NEUTRAL: string}}
+ */
+const TEAMS = {
+    PLAYER: 'player',
+    ENEMY: 'enemy',
+    NEUTRAL: 'neutral'
+};
+
+/**
+ * Reads a component from an entity. `collider` is the entity's Matter.js body.
+ *
+ * @param {Object} entity - The entity.
+ * @param {string} component - The component name, e.g. 'health', 'team', 'collider' or 'renderer'.
+ * @returns {*} The component value, or undefined if the entity does not have it.
+ */
+const getComponent = (entity, component) => {
+    if (!entity || typeof entity !== 'object') return undefined;
+    return component === 'collider' ? entity.body : entity[component];
+};
+
+/**
+ * Checks whether an entity has a component.
+ *
+ * @param {Object} entity - The entity.
+ * @param {string} component - The component name.
+ * @returns {boolean} - True if the entity has the component.
+ */
+const hasComponent = (entity, component) => getComponent(entity, component) !== undefined;
+
+/**
+ * Checks whether a value in the entities object is a registered entity rather than a callback or engine state.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True if the value is an entity with a `type` component.
+ */
+const isEntity = (value) => !!value && typeof value === 'object' && typeof value.type === 'string';
+
+/**
+ * Checks whether an entity matches a query.
+ *
+ * @param {Object} entity - The entity.
+ * @param {Object} [query={}] - The query, see `queryEntities`.
+ * @returns {boolean} - True if the entity matches every part of the query.
+ */
+const matchesQuery = (entity, query = {}) => {
+    if (!isEntity(entity)) return false;
+    if (query.type !== undefined && ![].concat(query.type).includes(entity.type)) return false;
+    if (query.team !== undefined && entity.team !== query.team) return false;
+    if (query.notTeam !== undefined && entity.team === query.notTeam) return false;
+    if (query.alive && !(entity.health > 0)) return false;
+    return (query.with || []).every(component => hasComponent(entity, component));
+};
+
+/**
+ * Returns the entities matching a query, as `[key, entity]` pairs.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {Object} [query={}] - The query.
+ * @param {string|string[]} [query.type] - The entity type, or a list of accepted types.
+ * @param {string} [query.team] - The team the entity must belong to.
+ * @param {string} [query.notTeam] - A team the entity must not belong to.
+ * @param {string[]} [query.with] - Components the entity must have.
+ * @param {boolean} [query.alive] - When true, only entities with health above zero are returned.
+ * @returns {Array<[string, Object]>} The matching entities with their keys.
+ */
+const queryEntities = (entities, query = {}) => {
+    if (!entities) return [];
+
+    return Object.keys(entities).reduce((result, key) => {
+        const entity = entities[key];
+        if (matchesQuery(entity, query)) result.push([key, entity]);
+        return result;
+    }, []);
+};
+
+/**
+ * Returns the entities of the given type(s).
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {string|string[]} type - The entity type, or a list of accepted types.
+ * @returns {Object[]} The matching entities.
+ */
+const entitiesOfType = (entities, type) => queryEntities(entities, {type}).map(([, entity]) => entity);
+
+/**
+ * Returns the keys of the entities of the given type(s).
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {string|string[]} type - The entity type, or a list of accepted types.
+ * @returns {string[]} The matching keys.
+ */
+const keysOfType = (entities, type) => queryEntities(entities, {type}).map(([key]) => key);
+
+/**
+ * Adds an entity under a unique key built from a prefix, e.g. `shot_12`.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {string} prefix - The key prefix.
+ * @param {Object} entity - The entity to add.
+ * @returns {string} The key the entity was stored under.
+ */
+const addEntity = (entities, prefix, entity) => {
+    entities.nextEntityId = (entities.nextEntityId || 0) + 1;
+    const key = `${prefix}_${entities.nextEntityId}`;
+    entities[key] = entity;
+    return key;
+};
+
+/**
+ * Removes an entity from the physics world and the entities collection.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {string} key - The key of the entity to remove.
+ */
+const removeEntity = (entities, key) => {
+    const entity = entities[key];
+    if (!entity) return;
+
+    const world = entities.physics && entities.physics.engine ? entities.physics.engine.world : null;
+    if (world && entity.body && world.bodies.includes(entity.body)) {
+        Matter.World.remove(world, entity.body);
+    }
+    delete entities[key];
+};
+
+export {
+    ENTITY_TYPES,
+    TEAMS,
+    addEntity,
+    entitiesOfType,
+    getComponent,
+    hasComponent,
+    isEntity,
+    keysOfType,
+    matchesQuery,
+    queryEntities,
+    removeEntity
+};
@@ -0,0 +1,31 @@
+/**
+ * Plays a sound effect through the `playSound` callback carried by the entities object.
+ *
+ * Gameplay systems never talk to the device audio layer directly. The app injects a
+ * `playSound` callback backed by the sound manager, while headless simulations either
+ * leave it out or pass a recorder, so the same rules run with or without audio.
+ *
+ * @param {Object} entities - The game entities, optionally containing a `playSound(name)` callback.
+ * @param {string} name - The name of the sound to play (e.g. 'shot', 'explosion', 'collision').
+ */
+const playSound = (entities, name) => {
+    try {
+        if (entities && typeof entities.playSound === 'function') {
+            entities.playSound(name);
+        }
+    } catch (error) {
+        console.error(`Error playing ${name} sound:`, error);
+    }
+};
+
+/**
+ * Determines whether the player has been destroyed.
+ *
+ * @param {Object} entities - The game entities, optionally containing a `getUserHealth` callback.
+ * @returns {boolean} - True if the player's health has dropped to zero, otherwise false.
+ */
+const isGameOver = (entities) => {
+    return !!entities && typeof entities.getUserHealth === 'function' && entities.getUserHealth() <= 0;
+};
+
+export {isGameOver, playSound};
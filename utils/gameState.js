@@ -0,0 +1,200 @@
+import Matter from 'matter-js';
+import {DEFAULT_DIFFICULTY} from './difficulty';
+import {DEFAULT_ENEMY_TYPE} from './enemyTypes';
+import {headlessEntityFactory} from './entityFactory';
+import {ENTITY_TYPES, queryEntities} from './entityRegistry';
+import {resolveWeapon} from './weapons';
+
+/**
+ * The version of the saved battlefield format. Saves with another version are ignored.
+ *
+ * @type {number}
+ */
+const GAME_STATE_VERSION = 1;
+
+// Read the width and height of an unrotated rectangular body
+/**
+ * Returns the size of a rectangular body from its bounds.
+ *
+ * @param {Object} body - The Matter.js body.
+ * @returns {{width: number, height: number}} The size of the body.
+ */
+const getBodySize = (body) => ({
+    width: body.bounds.max.x - body.bounds.min.x,
+    height: body.bounds.max.y - body.bounds.min.y
+});
+
+// Capture the battlefield of a level in progress
+/**
+ * Serializes the battlefield of a level in progress into a plain object that can be stored.
+ *
+ * The snapshot holds the tank's position, angle, health and weapon, those of the allied tank when it is
+ * on the field, every living enemy's position, angle, health, type, patrol route and
+ * level-defined stats, every standing wall with its health, the active boost together with how
+ * long it has been on the field, and the time spent in the level and the player's performance
+ * on it, along with the difficulty the run is played on and the adjustment of the adaptive
+ * difficulty director. Timers of the previous session are not kept; they restart when the
+ * level is resumed.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {Object} meta - The progress the battlefield belongs to.
+ * @param {number} meta.seed - The run seed.
+ * @param {string} [meta.difficulty] - The difficulty preset of the run.
+ * @param {number} [meta.director=0] - The adjustment of the adaptive difficulty director, in steps.
+ * @param {Object} meta.level - The current level object, including its boost flags.
+ * @param {number} meta.score - The current score.
+ * @param {number} meta.health - The player's health.
+ * @param {number} meta.time - The current game time, used to age the active boost.
+ * @returns {Object|null} The snapshot, or null if the entities do not hold a battlefield.
+ */
+const serializeGameState = (entities, {seed, difficulty = DEFAULT_DIFFICULTY, director = 0, level, score, health, time}) => {
+    try {
+        if (!entities || !entities.tank || !entities.tank.body) return null;
+
+        const tankBody = entities.tank.body;
+        const enemies = queryEntities(entities, {type: ENTITY_TYPES.ENEMY, alive: true}).map(([key, enemy]) => ({
+            key,
+            x: enemy.body.position.x,
+            y: enemy.body.position.y,
+            angle: enemy.body.angle,
+            health: enemy.health,
+            maxHealth: enemy.maxHealth || null,
+            color: enemy.color,
+            patrolRoute: enemy.patrolRoute || null,
+            patrolIndex: enemy.patrolIndex || 0,
+            enemyType: enemy.enemyType || null,
+            stats: enemy.stats || null,
+            summonedBy: enemy.summonedBy || null
+        }));
+        const walls = queryEntities(entities, {type: [ENTITY_TYPES.WALL, ENTITY_TYPES.BOUNDARY], alive: true}).map(([key, wall]) => ({
+            key,
+            type: wall.type,
+            x: wall.body.position.x,
+            y: wall.body.position.y,
+            ...getBodySize(wall.body),
+            color: wall.color,
+            health: wall.health,
+            indestructible: !!wall.indestructible
+        }));
+        const boost = entities.boost && entities.boost.body ? {
+            x: entities.boost.body.position.x,
+            y: entities.boost.body.position.y,
+            size: entities.boost.size,
+            age: Math.max(0, (time || 0) - (entities.boost.spawnTime || 0)),
+            lifetime: entities.boost.lifetime || null
+        } : null;
+        const ally = entities.ally && entities.ally.body && entities.ally.health > 0 ? {
+            x: entities.ally.body.position.x,
+            y: entities.ally.body.position.y,
+            angle: entities.ally.body.angle,
+            health: entities.ally.health,
+            maxHealth: entities.ally.maxHealth || null,
+            color: entities.ally.color
+        } : null;
+
+        return {
+            version: GAME_STATE_VERSION,
+            savedAt: new Date().toISOString(),
+            seed,
+            difficulty,
+            director,
+            level: level.level,
+            boostSpawned: !!level.boostSpawned,
+            permanentRemoved: !!level.permanentRemoved,
+            elapsed: level.elapsed || 0,
+            nextBoost: level.nextBoost || 0,
+            metrics: level.metrics || null,
+            allyHealth: level.allyHealth !== undefined ? level.allyHealth : null,
+            score,
+            health,
+            tank: {x: tankBody.position.x, y: tankBody.position.y, angle: tankBody.angle, weapon: resolveWeapon(entities.tank.weapon)},
+            enemies,
+            walls,
+            boost,
+            ally
+        };
+    } catch (error) {
+        console.error('Error serializing game state:', error);
+        return null;
+    }
+};
+
+// Rebuild a saved battlefield
+/**
+ * Rebuilds the entities of a saved battlefield.
+ *
+ * The level is marked as generated, so `Physics` keeps the restored enemies and walls
+ * instead of generating a new map. The boost keeps its remaining time on the field when
+ * the game clock starts from zero.
+ *
+ * @param {Object} snapshot - The snapshot created by `serializeGameState`.
+ * @param {Object} [factory] - The entity factory used to build the entities. Defaults to the headless factory.
+ * @returns {Object|null} The restored `level`, `enemies`, `walls`, `tank`, `boost` and `ally`, or null if the snapshot is not usable.
+ */
+const restoreGameState = (snapshot, factory = headlessEntityFactory) => {
+    try {
+        if (!snapshot || snapshot.version !== GAME_STATE_VERSION) return null;
+
+        const tank = factory.tank({x: snapshot.tank.x, y: snapshot.tank.y, color: 'blue', health: snapshot.health, ai: false});
+        Matter.Body.setAngle(tank.body, snapshot.tank.angle);
+        tank.weapon = resolveWeapon(snapshot.tank.weapon);
+
+        const enemies = {};
+        snapshot.enemies.forEach(({key, x, y, angle, health, maxHealth, color, patrolRoute, patrolIndex, enemyType, stats, summonedBy}) => {
+            const enemy = factory.enemy({x, y, color, isStatic: true, health, enemyType: enemyType || DEFAULT_ENEMY_TYPE, lastBoundaryDirectionChangeTime: 0});
+            if (maxHealth) enemy.maxHealth = maxHealth;
+            if (stats) enemy.stats = stats;
+            if (summonedBy) enemy.summonedBy = summonedBy;
+            Matter.Body.setAngle(enemy.body, angle);
+            if (patrolRoute) {
+                enemy.patrolRoute = patrolRoute;
+                enemy.patrolIndex = patrolIndex || 0;
+            }
+            enemies[key] = enemy;
+        });
+
+        const walls = {};
+        snapshot.walls.forEach(({key, type, x, y, width, height, color, health, indestructible}) => {
+            walls[key] = factory.wall({x, y, width, height, color, health, type, indestructible});
+        });
+
+        let boost = null;
+        if (snapshot.boost) {
+            const {x, y, size, age, lifetime} = snapshot.boost;
+            boost = factory.boost({position: {x, y}, size});
+            boost.spawnTime = -age;
+            if (lifetime) boost.lifetime = lifetime;
+        }
+
+        let ally = null;
+        if (snapshot.ally) {
+            const {x, y, angle, health, maxHealth, color} = snapshot.ally;
+            ally = factory.ally({x, y, color, health});
+            if (maxHealth) ally.maxHealth = maxHealth;
+            Matter.Body.setAngle(ally.body, angle);
+        }
+
+        return {
+            level: {
+                level: snapshot.level,
+                generated: true,
+                boostSpawned: snapshot.boostSpawned,
+                permanentRemoved: snapshot.permanentRemoved,
+                elapsed: snapshot.elapsed || 0,
+                nextBoost: snapshot.nextBoost || 0,
+                ...(snapshot.metrics ? {metrics: {...snapshot.metrics}} : {}),
+                ...(snapshot.allyHealth !== undefined && snapshot.allyHealth !== null ? {allyHealth: snapshot.allyHealth} : {})
+            },
+            enemies,
+            walls,
+            tank,
+            boost,
+            ally
+        };
+    } catch (error) {
+        console.error('Error restoring game state:', error);
+        return null;
+    }
+};
+
+export {GAME_STATE_VERSION, restoreGameState, serializeGameState};
@@ -0,0 +1,200 @@
+/**
+ * The size of a level editor grid cell in pixels. Walls placed in the editor fill one cell.
+ *
+ * @type {number}
+ */
+const EDITOR_CELL_SIZE = 40;
+
+/**
+ * The tools of the level editor, in toolbar order.
+ *
+ * @type {string[]}
+ */
+const EDITOR_TOOLS = ['wall', 'enemy', 'boost', 'player', 'erase'];
+
+/**
+ * The number of edits the editor can undo.
+ *
+ * @type {number}
+ */
+const MAX_EDITOR_HISTORY = 100;
+
+// The kinds of items an editor level holds, keyed by the tool that places them
+const ITEM_LISTS = {wall: 'walls', enemy: 'enemies', boost: 'boosts'};
+
+/**
+ * Creates an empty editor level with the player in the top-left corner.
+ *
+ * Editor levels store grid cells (`{col, row}`) rather than positions, so they can be
+ * edited cell by cell and converted to the level format when saved or test-played.
+ *
+ * @returns {{walls: Array, enemies: Array, boosts: Array, playerStart: {col: number, row: number}}} The empty level.
+ */
+const createEditorLevel = () => ({
+    walls: [],
+    enemies: [],
+    boosts: [],
+    playerStart: {col: 1, row: 1}
+});
+
+const isSameCell = (a, b) => a.col === b.col && a.row === b.row;
+
+// Remove every item in a cell
+const clearCell = (level, cell) => ({
+    ...level,
+    walls: level.walls.filter(item => !isSameCell(item, cell)),
+    enemies: level.enemies.filter(item => !isSameCell(item, cell)),
+    boosts: level.boosts.filter(item => !isSameCell(item, cell))
+});
+
+// Apply an editor tool to a grid cell
+/**
+ * Applies a tool to a cell and returns the edited level. The level passed in is not modified.
+ *
+ * Placing a wall, enemy or boost on a cell that already holds the same item removes it again;
+ * placing it on a cell holding something else replaces that item. The player start can be
+ * moved but not erased, and nothing can be placed on it.
+ *
+ * @param {Object} level - The editor level.
+ * @param {string} tool - One of `EDITOR_TOOLS`.
+ * @param {{col: number, row: number}} cell - The cell the tool was used on.
+ * @returns {Object} The edited level, or the same level if nothing changed.
+ */
+const applyEditorTool = (level, tool, cell) => {
+    if (tool === 'player') {
+        if (isSameCell(level.playerStart, cell)) return level;
+        return {...clearCell(level, cell), playerStart: {col: cell.col, row: cell.row}};
+    }
+
+    if (isSameCell(level.playerStart, cell)) return level;
+
+    if (tool === 'erase') {
+        const cleared = clearCell(level, cell);
+        const changed = cleared.walls.length !== level.walls.length ||
+            cleared.enemies.length !== level.enemies.length ||
+            cleared.boosts.length !== level.boosts.length;
+        return changed ? cleared : level;
+    }
+
+    const list = ITEM_LISTS[tool];
+    if (!list) return level;
+
+    if (level[list].some(item => isSameCell(item, cell))) {
+        return {...level, [list]: level[list].filter(item => !isSameCell(item, cell))};
+    }
+    const cleared = clearCell(level, cell);
+    return {...cleared, [list]: [...cleared[list], {col: cell.col, row: cell.row}]};
+};
+
+/**
+ * Creates an undo/redo history holding a single level.
+ *
+ * @param {Object} level - The initial editor level.
+ * @returns {{past: Array, present: Object, future: Array}} The history.
+ */
+const createEditorHistory = (level) => ({past: [], present: level, future: []});
+
+/**
+ * Records an edit. Any undone edits are discarded.
+ *
+ * @param {Object} history - The editor history.
+ * @param {Object} level - The edited level.
+ * @returns {Object} The updated history, or the same history if the level did not change.
+ */
+const pushEditorHistory = (history, level) => {
+    if (level === history.present) return history;
+    return {
+        past: [...history.past, history.present].slice(-MAX_EDITOR_HISTORY),
+        present: level,
+        future: []
+    };
+};
+
+/**
+ * Undoes the last edit.
+ *
+ * @param {Object} history - The editor history.
+ * @returns {Object} The updated history, or the same history if there is nothing to undo.
+ */
+const undoEditorHistory = (history) => {
+    if (history.past.length === 0) return history;
+    return {
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future]
+    };
+};
+
+/**
+ * Redoes the last undone edit.
+ *
+ * @param {Object} history - The editor history.
+ * @returns {Object} The updated history, or the same history if there is nothing to redo.
+ */
+const redoEditorHistory = (history) => {
+    if (history.future.length === 0) return history;
+    return {
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1)
+    };
+};
+
+// Convert between grid cells and the fractions the level format uses
+const cellToFraction = (index, count) => Math.round(((index + 0.5) / count) * 10000) / 10000;
+const fractionToCell = (fraction, count) => Math.min(count - 1, Math.max(0, Math.floor(fraction * count)));
+
+/**
+ * Converts an editor level into the level format consumed by the level loader.
+ *
+ * @param {Object} level - The editor level.
+ * @param {{cols: number, rows: number}} grid - The size of the editor grid.
+ * @param {string} [name] - The name of the level.
+ * @returns {Object} The level definition.
+ */
+const editorLevelToDefinition = (level, grid, name) => {
+    const toPoint = ({col, row}) => ({x: cellToFraction(col, grid.cols), y: cellToFraction(row, grid.rows)});
+
+    return {
+        ...(name ? {name} : {}),
+        playerStart: toPoint(level.playerStart),
+        enemies: level.enemies.map(cell => ({type: 'tank', ...toPoint(cell)})),
+        walls: level.walls.map(cell => ({...toPoint(cell), width: EDITOR_CELL_SIZE, height: EDITOR_CELL_SIZE})),
+        boosts: level.boosts.map(cell => toPoint(cell))
+    };
+};
+
+/**
+ * Converts a level definition into an editor level, snapping every item to the grid.
+ *
+ * Stats, time limits and win conditions are not edited on the grid and are not kept.
+ *
+ * @param {Object} definition - The level definition.
+ * @param {{cols: number, rows: number}} grid - The size of the editor grid.
+ * @returns {Object} The editor level.
+ */
+const definitionToEditorLevel = (definition, grid) => {
+    const toCell = ({x, y}) => ({col: fractionToCell(x, grid.cols), row: fractionToCell(y, grid.rows)});
+    const level = createEditorLevel();
+    if (!definition) return level;
+
+    return {
+        walls: (definition.walls || []).map(toCell),
+        enemies: (definition.enemies || []).map(toCell),
+        boosts: (definition.boosts || []).map(toCell),
+        playerStart: definition.playerStart ? toCell(definition.playerStart) : level.playerStart
+    };
+};
+
+export {
+    EDITOR_CELL_SIZE,
+    EDITOR_TOOLS,
+    applyEditorTool,
+    createEditorHistory,
+    createEditorLevel,
+    definitionToEditorLevel,
+    editorLevelToDefinition,
+    pushEditorHistory,
+    redoEditorHistory,
+    undoEditorHistory
+};
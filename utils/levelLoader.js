@@ -0,0 +1,375 @@
+import levelDefinitions from '../levels';
+import {generateBoundaryWalls} from './boundaries_walls';
+import {DEFAULT_ENEMY_TYPE, ENEMY_TYPES} from './enemyTypes';
+import {headlessEntityFactory} from './entityFactory';
+import {ENTITY_TYPES, queryEntities} from './entityRegistry';
+import generateEnemies from './levels';
+import {getRandom} from './random';
+
+/**
+ * The win conditions used when a level does not declare any: destroy every enemy.
+ *
+ * @type {Array<{type: string}>}
+ */
+const DEFAULT_WIN_CONDITIONS = [{type: 'destroyAllEnemies'}];
+
+/**
+ * The win condition types a level definition may use.
+ *
+ * - `destroyAllEnemies`: every enemy tank is destroyed.
+ * - `destroyAllWalls`: every destructible wall is destroyed; indestructible walls do not count.
+ * - `survive`: the player is still alive after `seconds` seconds.
+ *
+ * @type {string[]}
+ */
+const WIN_CONDITION_TYPES = ['destroyAllEnemies', 'destroyAllWalls', 'survive'];
+
+/**
+ * The enemy types a level definition may spawn: the names of the types in `ENEMY_TYPES`.
+ *
+ * @type {string[]}
+ */
+const LEVEL_ENEMY_TYPES = Object.keys(ENEMY_TYPES);
+
+/**
+ * The per-enemy AI stats a level definition may override. Stats that are left out use the
+ * level-scaled values computed by the enemy AI.
+ *
+ * @type {string[]}
+ */
+const ENEMY_STATS = ['speed', 'detectionRadius', 'shootingRadius', 'shotDelay', 'accuracy', 'dodgeChance', 'reactionTime'];
+
+/**
+ * How long a boost stays on the field when its definition does not say, in seconds.
+ *
+ * @type {number}
+ */
+const DEFAULT_BOOST_DURATION = 20;
+
+/**
+ * The color of indestructible walls whose definition does not give one.
+ *
+ * @type {string}
+ */
+const INDESTRUCTIBLE_WALL_COLOR = '#555555';
+
+/**
+ * Definitions that have already been validated, so the per-frame lookups stay cheap.
+ */
+const validatedDefinitions = new WeakMap();
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isFraction = (value) => isNumber(value) && value >= 0 && value <= 1;
+
+// Check a hand-authored level against the schema
+/**
+ * Validates a level definition.
+ *
+ * Positions are fractions of the battlefield (0 to 1) so a level fits every screen, while
+ * wall sizes are in pixels. See `levels/README.md` for the full format.
+ *
+ * @param {Object} definition - The parsed level definition.
+ * @returns {string[]} The problems found; empty when the definition is valid.
+ */
+const validateLevelDefinition = (definition) => {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') {
+        return ['Level definition must be an object'];
+    }
+
+    if (!Array.isArray(definition.enemies)) {
+        errors.push('"enemies" must be an array');
+    } else {
+        definition.enemies.forEach((enemy, index) => {
+            if (!enemy || !isFraction(enemy.x) || !isFraction(enemy.y)) {
+                errors.push(`enemies[${index}] needs "x" and "y" between 0 and 1`);
+                return;
+            }
+            if (enemy.type !== undefined && !LEVEL_ENEMY_TYPES.includes(enemy.type)) {
+                errors.push(`enemies[${index}] has unknown type "${enemy.type}"`);
+            }
+            if (enemy.health !== undefined && !(isNumber(enemy.health) && enemy.health > 0)) {
+                errors.push(`enemies[${index}] "health" must be a positive number`);
+            }
+            ENEMY_STATS.forEach(stat => {
+                if (enemy[stat] !== undefined && !(isNumber(enemy[stat]) && enemy[stat] >= 0)) {
+                    errors.push(`enemies[${index}] "${stat}" must be a number of at least 0`);
+                }
+            });
+            if (enemy.patrol !== undefined && !(Array.isArray(enemy.patrol) && enemy.patrol.length > 0 &&
+                enemy.patrol.every(point => point && isFraction(point.x) && isFraction(point.y)))) {
+                errors.push(`enemies[${index}] "patrol" must be a non-empty array of points with "x" and "y" between 0 and 1`);
+            }
+        });
+    }
+
+    if (definition.walls !== undefined) {
+        if (!Array.isArray(definition.walls)) {
+            errors.push('"walls" must be an array');
+        } else {
+            definition.walls.forEach((wall, index) => {
+                if (!wall || !isFraction(wall.x) || !isFraction(wall.y)) {
+                    errors.push(`walls[${index}] needs "x" and "y" between 0 and 1`);
+                } else if (!(isNumber(wall.width) && wall.width > 0) || !(isNumber(wall.height) && wall.height > 0)) {
+                    errors.push(`walls[${index}] needs a positive "width" and "height"`);
+                } else if (wall.indestructible !== undefined && typeof wall.indestructible !== 'boolean') {
+                    errors.push(`walls[${index}] "indestructible" must be true or false`);
+                }
+            });
+        }
+    }
+
+    if (definition.boosts !== undefined) {
+        if (!Array.isArray(definition.boosts)) {
+            errors.push('"boosts" must be an array');
+        } else {
+            definition.boosts.forEach((boost, index) => {
+                if (!boost || !isFraction(boost.x) || !isFraction(boost.y)) {
+                    errors.push(`boosts[${index}] needs "x" and "y" between 0 and 1`);
+                }
+                if (boost && boost.delay !== undefined && !(isNumber(boost.delay) && boost.delay >= 0)) {
+                    errors.push(`boosts[${index}] "delay" must be a number of seconds`);
+                }
+                if (boost && boost.duration !== undefined && !(isNumber(boost.duration) && boost.duration > 0)) {
+                    errors.push(`boosts[${index}] "duration" must be a positive number of seconds`);
+                }
+            });
+        }
+    }
+
+    if (definition.playerStart !== undefined && !(definition.playerStart && isFraction(definition.playerStart.x) && isFraction(definition.playerStart.y))) {
+        errors.push('"playerStart" needs "x" and "y" between 0 and 1');
+    }
+
+    if (definition.timeLimit !== undefined && !(isNumber(definition.timeLimit) && definition.timeLimit > 0)) {
+        errors.push('"timeLimit" must be a positive number of seconds');
+    }
+
+    if (definition.winConditions !== undefined) {
+        if (!Array.isArray(definition.winConditions) || definition.winConditions.length === 0) {
+            errors.push('"winConditions" must be a non-empty array');
+        } else {
+            definition.winConditions.forEach((condition, index) => {
+                if (!condition || !WIN_CONDITION_TYPES.includes(condition.type)) {
+                    errors.push(`winConditions[${index}] has unknown type "${condition && condition.type}"`);
+                } else if (condition.type === 'survive' && !(isNumber(condition.seconds) && condition.seconds > 0)) {
+                    errors.push(`winConditions[${index}] "survive" needs a positive "seconds"`);
+                }
+            });
+        }
+    }
+
+    return errors;
+};
+
+// Look up the hand-authored definition of a level, if there is one
+/**
+ * Returns the definition of a level, or null when the level is procedurally generated.
+ *
+ * Definitions returned by the `getLevelDefinition` callback of the entities object, such as
+ * levels saved from the level editor, take precedence over the bundled `levels/levels.json`.
+ * A definition that fails validation is reported once and the level falls back to the
+ * procedural generator.
+ *
+ * @param {Object} entities - The game entities, optionally containing a `getLevelDefinition(level)` callback.
+ * @param {number} level - The level number.
+ * @returns {Object|null} The valid level definition, or null.
+ */
+const getLevelDefinition = (entities, level) => {
+    try {
+        const customDefinition = entities && typeof entities.getLevelDefinition === 'function'
+            ? entities.getLevelDefinition(level)
+            : null;
+        const definition = customDefinition || levelDefinitions[level];
+        if (!definition) return null;
+
+        if (!validatedDefinitions.has(definition)) {
+            const errors = validateLevelDefinition(definition);
+            if (errors.length > 0) {
+                console.error(`Level ${level} definition is invalid, using the procedural generator:`, errors);
+            }
+            validatedDefinitions.set(definition, errors.length === 0);
+        }
+        return validatedDefinitions.get(definition) ? definition : null;
+    } catch (error) {
+        console.error('Error loading level definition:', error);
+        return null;
+    }
+};
+
+// Build the walls of a level
+/**
+ * Builds the walls of a level: the boundary walls around the screen plus either the walls
+ * declared by the definition or the procedurally placed random walls.
+ *
+ * @param {Object} appDimensions - The dimensions of the battlefield.
+ * @param {Object} tank - The player's tank, kept clear of procedurally placed walls.
+ * @param {Object|null} definition - The level definition, or null for a procedural level.
+ * @param {Object} [factory] - The entity factory used to build the walls. Defaults to the headless factory.
+ * @param {Object} [random] - The seeded random number generator used to place procedural walls.
+ * @returns {Object} A collection of wall entities.
+ */
+const generateLevelWalls = (appDimensions, tank, definition, factory = headlessEntityFactory, random = getRandom()) => {
+    if (!definition || !definition.walls) {
+        return generateBoundaryWalls(appDimensions, tank, undefined, factory, random);
+    }
+
+    const walls = generateBoundaryWalls(appDimensions, tank, undefined, factory, random, 0);
+    definition.walls.forEach((wall, index) => {
+        walls[`random_wall_${index}`] = factory.wall({
+            x: wall.x * appDimensions.width,
+            y: wall.y * appDimensions.height,
+            width: wall.width,
+            height: wall.height,
+            color: wall.color || (wall.indestructible ? INDESTRUCTIBLE_WALL_COLOR : 'red'),
+            health: wall.health || 100,
+            indestructible: !!wall.indestructible
+        });
+    });
+    return walls;
+};
+
+// Build the enemies declared by a level definition
+/**
+ * Builds the enemy tanks declared by a level definition.
+ *
+ * @param {Object} definition - The level definition.
+ * @param {Object} appDimensions - The dimensions of the battlefield.
+ * @param {number} level - The level number, used for the default enemy health.
+ * @param {Object} [factory] - The entity factory used to build the enemies. Defaults to the headless factory.
+ * @returns {Object} An object containing the enemy entities.
+ */
+const buildDefinedEnemies = (definition, appDimensions, level, factory = headlessEntityFactory) => {
+    const enemies = {};
+    definition.enemies.forEach((enemy, index) => {
+        const stats = ENEMY_STATS.reduce((result, stat) => {
+            if (enemy[stat] !== undefined) result[stat] = enemy[stat];
+            return result;
+        }, {});
+
+        enemies[`enemy_${index}`] = factory.enemy({
+            x: enemy.x * appDimensions.width,
+            y: enemy.y * appDimensions.height,
+            color: enemy.color,
+            isStatic: true,
+            baseHealth: 100 + (level - 1) * 2,
+            health: enemy.health,
+            enemyType: enemy.type || DEFAULT_ENEMY_TYPE,
+            stats,
+            ...(enemy.patrol ? {
+                patrolRoute: enemy.patrol.map(point => ({x: point.x * appDimensions.width, y: point.y * appDimensions.height})),
+                patrolIndex: 0
+            } : {}),
+            lastBoundaryDirectionChangeTime: 0
+        });
+    });
+    return enemies;
+};
+
+// Generate a level from its definition or procedurally
+/**
+ * Generates the enemies and walls of a level.
+ *
+ * Levels with a definition are built from it; all other levels use `generateEnemies` and
+ * `generateBoundaryWalls` exactly as before, so seeded procedural levels are unchanged.
+ *
+ * @param {number} level - The level number.
+ * @param {Object} appDimensions - The dimensions of the battlefield.
+ * @param {Object} engine - The physics engine.
+ * @param {Object} tank - The player's tank.
+ * @param {Object|null} definition - The level definition, or null for a procedural level.
+ * @param {Object} [factory] - The entity factory used to build the entities. Defaults to the headless factory.
+ * @param {Object} [random] - The seeded random number generator.
+ * @param {Object} [difficulty] - The difficulty preset of the run. Only procedural levels use it; defined levels are played as authored.
+ * @returns {{enemies: Object, walls: Object}} The generated enemies and walls.
+ */
+const generateLevel = (level, appDimensions, engine, tank, definition, factory = headlessEntityFactory, random = getRandom(), difficulty = undefined) => {
+    if (!definition) {
+        const enemies = generateEnemies(level, appDimensions, engine, tank && tank.body ? tank.body.position : undefined, factory, random, difficulty);
+        return {enemies, walls: generateLevelWalls(appDimensions, tank, null, factory, random)};
+    }
+
+    return {
+        enemies: buildDefinedEnemies(definition, appDimensions, level, factory),
+        walls: generateLevelWalls(appDimensions, tank, definition, factory, random)
+    };
+};
+
+// Check the win conditions of a level
+/**
+ * Checks whether all win conditions of a level are met.
+ *
+ * @param {Object} entities - The collection of game entities.
+ * @param {Object|null} definition - The level definition, or null for the default conditions.
+ * @param {number} elapsed - The time spent in the level, in milliseconds.
+ * @returns {boolean} - True when every win condition is met.
+ */
+const checkWinConditions = (entities, definition, elapsed) => {
+    const conditions = (definition && definition.winConditions) || DEFAULT_WIN_CONDITIONS;
+    return conditions.every(condition => {
+        switch (condition.type) {
+            case 'destroyAllEnemies':
+                return queryEntities(entities, {type: ENTITY_TYPES.ENEMY, alive: true}).length === 0;
+            case 'destroyAllWalls':
+                return queryEntities(entities, {type: ENTITY_TYPES.WALL, alive: true}).every(([, wall]) => wall.indestructible);
+            case 'survive':
+                return elapsed >= condition.seconds * 1000;
+            default:
+                return false;
+        }
+    });
+};
+
+/**
+ * Checks whether the time limit of a level has run out.
+ *
+ * @param {Object|null} definition - The level definition.
+ * @param {number} elapsed - The time spent in the level, in milliseconds.
+ * @returns {boolean} - True when the level has a time limit and it has been exceeded.
+ */
+const isTimeUp = (definition, elapsed) => {
+    return !!(definition && definition.timeLimit) && elapsed >= definition.timeLimit * 1000;
+};
+
+/**
+ * Returns where a level definition places the player's tank.
+ *
+ * @param {Object|null} definition - The level definition.
+ * @param {Object} appDimensions - The dimensions of the battlefield.
+ * @returns {{x: number, y: number}|null} The start position in pixels, or null to keep the default start.
+ */
+const getPlayerStart = (definition, appDimensions) => {
+    if (!definition || !definition.playerStart) return null;
+    return {x: definition.playerStart.x * appDimensions.width, y: definition.playerStart.y * appDimensions.height};
+};
+
+/**
+ * Returns the boost a level definition schedules next, with its position in pixels.
+ *
+ * @param {Object} definition - The level definition.
+ * @param {number} index - The index of the next boost.
+ * @param {Object} appDimensions - The dimensions of the battlefield.
+ * @returns {{position: {x: number, y: number}, size: number, delay: number, lifetime: number}|null} The boost in game units, or null when all boosts have spawned.
+ */
+const getScheduledBoost = (definition, index, appDimensions) => {
+    const boost = definition.boosts[index];
+    if (!boost) return null;
+    return {
+        position: {x: boost.x * appDimensions.width, y: boost.y * appDimensions.height},
+        size: boost.size || 50,
+        delay: (boost.delay || 0) * 1000,
+        lifetime: (boost.duration || DEFAULT_BOOST_DURATION) * 1000
+    };
+};
+
+export {
+    DEFAULT_WIN_CONDITIONS,
+    checkWinConditions,
+    generateLevel,
+    generateLevelWalls,
+    getLevelDefinition,
+    getPlayerStart,
+    getScheduledBoost,
+    isTimeUp,
+    validateLevelDefinition
+};
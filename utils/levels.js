@@ -1,5 +1,7 @@
-import Matter from 'matter-js';
-import Tank from '../entities/tank';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from './difficulty';
+import { pickEnemyType } from './enemyTypes';
+import { headlessEntityFactory } from './entityFactory';
+import { getRandom } from './random';
 
 /**
  * Calculates the Euclidean distance between two points in a 2D plane.
@@ -53,6 +55,29 @@ const levelReductionRate = 0.02;  // Reduce by 2% every 3rd level
  */
 const minDistanceBetweenEnemies = 50;  // Increased distance between enemies
 
+/**
+ * Every how many levels a boss level comes up. A boss level fields a single boss tank instead
+ * of the usual enemies.
+ *
+ * @type {number}
+ */
+export const BOSS_LEVEL_INTERVAL = 4;
+
+/**
+ * The enemy type spawned on boss levels.
+ *
+ * @type {string}
+ */
+export const BOSS_ENEMY_TYPE = 'boss';
+
+/**
+ * Checks whether a generated level is a boss level.
+ *
+ * @param {number} level - The level number.
+ * @returns {boolean} True on every `BOSS_LEVEL_INTERVAL`th level.
+ */
+export const isBossLevel = (level) => level > 0 && level % BOSS_LEVEL_INTERVAL === 0;
+
 /**
  * Checks if a specific position is valid within the game boundaries,
  * considering the distance to the tank and other enemies.
@@ -72,7 +97,7 @@ const isValidPosition = (x, y, existingEnemies, tankPosition, appDimensions, min
     }
 
     // Check distance from tank
-    if (calculateDistance(x, y, tankPosition.x, tankPosition.y) < minDistanceToTank) {
+    if (tankPosition && calculateDistance(x, y, tankPosition.x, tankPosition.y) < minDistanceToTank) {
         return false;
     }
 
@@ -90,24 +115,33 @@ const isValidPosition = (x, y, existingEnemies, tankPosition, appDimensions, min
 /**
  * Generates a set of enemy entities for a given level.
  *
+ * Each enemy gets a type from `ENEMY_TYPES`: the first levels only field standard tanks, and
+ * scouts, turrets, heavies and snipers join the mix as the levels go up. Boss levels (see
+ * `isBossLevel`) field a single boss tank instead.
+ *
  * @param {number} level - The current level of the game.
  * @param {object} appDimensions - An object defining the dimensions of the application window (width and height).
  * @param {object} engine - The physics engine used for simulating the game world.
  * @param {object} tankPosition - The current position of the player's tank.
+ * @param {object} [factory] - The entity factory used to build the enemy tanks. Defaults to the headless factory.
+ * @param {object} [random] - The seeded random number generator used to place the enemies.
+ * @param {object} [difficulty] - The difficulty preset of the run, capping the number of enemies and scaling their health gain.
+ *   An adjusted preset's `typeLevelShift` brings the tougher types in that many levels earlier (see `utils/director.js`).
  * @returns {object} An object containing the generated enemy entities.
  *
  * @throws {Error} Throws an error if the enemy generation process fails.
  */
-export const generateEnemies = (level, appDimensions, engine, tankPosition) => {
+export const generateEnemies = (level, appDimensions, engine, tankPosition, factory = headlessEntityFactory, random = getRandom(), difficulty = DIFFICULTIES[DEFAULT_DIFFICULTY]) => {
     try {
         let enemies = {};
         const baseEnemyCount = 1;
-        const maxEnemies = 3;
+        const maxEnemies = difficulty.maxEnemies;
         const enemyIncreaseRate = 1;
-        const numberOfEnemies = Math.min(baseEnemyCount + Math.floor((level - 1) / 2) * enemyIncreaseRate, maxEnemies);
+        const bossLevel = isBossLevel(level);
+        const numberOfEnemies = bossLevel ? 1 : Math.min(baseEnemyCount + Math.floor((level - 1) / 2) * enemyIncreaseRate, maxEnemies);
 
         const baseHealth = 100;
-        const healthIncreaseRate = 2;
+        const healthIncreaseRate = 2 * difficulty.enemyHealthRate;
         const enemyHealth = baseHealth + Math.floor((level - 1) / 1) * healthIncreaseRate;
 
         const maxAttempts = 10;
@@ -118,33 +152,28 @@ export const generateEnemies = (level, appDimensions, engine, tankPosition) => {
         let minDistanceToTank = maxDistanceFromTank - distanceReduction;
         minDistanceToTank = Math.max(minDistanceToTank, minDistancePercentage * Math.min(appDimensions.width, appDimensions.height));
 
-        // Log the calculated minimum distance
-        const minDistancePercentage = (minDistanceToTank / Math.min(appDimensions.width, appDimensions.height)) * 100;
-        console.log(`Level ${level}: Minimum distance from tank is set to ${minDistanceToTank} pixels (${minDistancePercentage.toFixed(2)}% of screen size).`);
-
         for (let i = 0; i < numberOfEnemies; i++) {
             let validPosition = false;
             let attempts = 0;
             let coordinateX, coordinateY;
 
             while (!validPosition && attempts < maxAttempts) {
-                coordinateX = Math.floor(Math.random() * appDimensions.width);
-                coordinateY = Math.floor(Math.random() * appDimensions.height);
+                coordinateX = random.int(0, appDimensions.width);
+                coordinateY = random.int(0, appDimensions.height);
 
                 validPosition = isValidPosition(coordinateX, coordinateY, enemies, tankPosition, appDimensions, minDistanceToTank);
                 attempts++;
             }
 
             if (validPosition) {
-                enemies[`enemy_${i}`] = {
-                    body: Matter.Bodies.rectangle(coordinateX, coordinateY, 64, 46),
-                    color: 'red',
+                enemies[`enemy_${i}`] = factory.enemy({
+                    x: coordinateX,
+                    y: coordinateY,
+                    enemyType: bossLevel ? BOSS_ENEMY_TYPE : pickEnemyType(level + (difficulty.typeLevelShift || 0), random),
                     isStatic: true,
-                    ai: true,
-                    health: enemyHealth,
-                    renderer: Tank,
+                    baseHealth: enemyHealth,
                     lastBoundaryDirectionChangeTime: new Date().getTime()
-                };
+                });
             } else {
                 console.warn(`Failed to find a valid position for enemy ${i} after ${maxAttempts} attempts`);
             }
@@ -0,0 +1,35 @@
+import {sweepHitsBounds} from '../system/projectiles';
+import {ENTITY_TYPES} from './entityRegistry';
+import {expandBounds, getBroadphase} from './spatialHash';
+
+// Cast a ray against the walls of the battlefield
+/**
+ * Checks whether a straight line between two points is clear of walls.
+ *
+ * The line is tested against the bounds of every wall and boundary wall the broadphase finds
+ * along it. With a `padding`, the line is treated as a moving circle of that radius, which
+ * answers whether a shot fired along it would get through.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {{x: number, y: number}} from - The start of the line, e.g. the shooter.
+ * @param {{x: number, y: number}} to - The end of the line, e.g. the target.
+ * @param {number} [padding=0] - The radius swept along the line, in pixels.
+ * @returns {boolean} True if no wall blocks the line.
+ */
+const hasLineOfSight = (entities, from, to, padding = 0) => {
+    try {
+        const area = expandBounds({
+            min: {x: Math.min(from.x, to.x), y: Math.min(from.y, to.y)},
+            max: {x: Math.max(from.x, to.x), y: Math.max(from.y, to.y)}
+        }, padding);
+
+        return !getBroadphase(entities)
+            .query(area, {type: [ENTITY_TYPES.WALL, ENTITY_TYPES.BOUNDARY]})
+            .some(([key, wall]) => entities[key] === wall && sweepHitsBounds(from, to, wall.body.bounds, padding));
+    } catch (error) {
+        console.error('Error checking line of sight:', error);
+        return true;
+    }
+};
+
+export {hasLineOfSight};
@@ -0,0 +1,307 @@
+import {ENTITY_TYPES, queryEntities} from './entityRegistry';
+
+/**
+ * The side of a navigation grid cell in pixels.
+ *
+ * @type {number}
+ */
+const NAV_CELL_SIZE = 20;
+
+/**
+ * How far a tank's centre has to stay from a wall, in pixels. Cells closer to a wall than this are blocked,
+ * so paths leave room for the tank's hull.
+ *
+ * @type {number}
+ */
+const NAV_CLEARANCE = 24;
+
+// Neighbour offsets with their step costs; diagonals cost sqrt(2)
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+// Describe the walls a grid was built from, so a destroyed wall can be noticed
+const getWallSignature = (walls, appDimensions) => (
+    `${appDimensions.width}x${appDimensions.height}|${walls.map(([key]) => key).join(',')}`
+);
+
+// Build the navigation grid of a battlefield
+/**
+ * Builds a navigation grid from the walls of a level: the boundary walls and the obstacles produced
+ * by `generateBoundaryWalls` or a level definition.
+ *
+ * A cell is blocked when its centre is within `clearance` pixels of a wall.
+ *
+ * @param {Array<[string, Object]>} walls - The wall entities with their keys.
+ * @param {{width: number, height: number}} appDimensions - The size of the battlefield.
+ * @param {Object} [options={}] - Grid options.
+ * @param {number} [options.cellSize=NAV_CELL_SIZE] - The side of a cell in pixels.
+ * @param {number} [options.clearance=NAV_CLEARANCE] - The distance kept from walls in pixels.
+ * @returns {Object} The grid: `cols`, `rows`, `cellSize`, the `blocked` cells and the wall `signature`.
+ */
+const buildNavGrid = (walls, appDimensions, {cellSize = NAV_CELL_SIZE, clearance = NAV_CLEARANCE} = {}) => {
+    const cols = Math.max(1, Math.ceil(appDimensions.width / cellSize));
+    const rows = Math.max(1, Math.ceil(appDimensions.height / cellSize));
+    const blocked = new Uint8Array(cols * rows);
+
+    walls.forEach(([, wall]) => {
+        const {min, max} = wall.body.bounds;
+        const minCol = Math.max(0, Math.floor((min.x - clearance) / cellSize));
+        const maxCol = Math.min(cols - 1, Math.floor((max.x + clearance) / cellSize));
+        const minRow = Math.max(0, Math.floor((min.y - clearance) / cellSize));
+        const maxRow = Math.min(rows - 1, Math.floor((max.y + clearance) / cellSize));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const x = (col + 0.5) * cellSize;
+                const y = (row + 0.5) * cellSize;
+                // Distance from the cell centre to the wall rectangle
+                const dx = Math.max(min.x - x, 0, x - max.x);
+                const dy = Math.max(min.y - y, 0, y - max.y);
+                if (dx * dx + dy * dy < clearance * clearance) blocked[row * cols + col] = 1;
+            }
+        }
+    });
+
+    return {cols, rows, cellSize, blocked, signature: getWallSignature(walls, appDimensions)};
+};
+
+/**
+ * Returns the navigation grid of the current battlefield, rebuilding it when a wall was destroyed,
+ * a new level was generated or the screen changed size. The grid is kept with the physics state.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @returns {Object|null} The navigation grid, or null if the battlefield size is unknown.
+ */
+const getNavGrid = (entities) => {
+    if (!entities || typeof entities.getScreenDimension !== 'function') return null;
+
+    const appDimensions = entities.getScreenDimension();
+    const walls = queryEntities(entities, {type: [ENTITY_TYPES.WALL, ENTITY_TYPES.BOUNDARY], with: ['collider']});
+    const holder = entities.physics || entities;
+    if (!holder.navGrid || holder.navGrid.signature !== getWallSignature(walls, appDimensions)) {
+        holder.navGrid = buildNavGrid(walls, appDimensions);
+    }
+    return holder.navGrid;
+};
+
+const toCell = (grid, point) => ({
+    col: Math.min(grid.cols - 1, Math.max(0, Math.floor(point.x / grid.cellSize))),
+    row: Math.min(grid.rows - 1, Math.max(0, Math.floor(point.y / grid.cellSize)))
+});
+
+const toPoint = (grid, col, row) => ({x: (col + 0.5) * grid.cellSize, y: (row + 0.5) * grid.cellSize});
+
+const isOpen = (grid, col, row) => col >= 0 && row >= 0 && col < grid.cols && row < grid.rows && !grid.blocked[row * grid.cols + col];
+
+// Find the free cell closest to a cell, searching outwards ring by ring
+const nearestOpenCell = (grid, cell) => {
+    if (isOpen(grid, cell.col, cell.row)) return cell;
+
+    const maxRadius = Math.max(grid.cols, grid.rows);
+    for (let radius = 1; radius < maxRadius; radius++) {
+        for (let dRow = -radius; dRow <= radius; dRow++) {
+            for (let dCol = -radius; dCol <= radius; dCol++) {
+                if (Math.max(Math.abs(dCol), Math.abs(dRow)) !== radius) continue;
+                if (isOpen(grid, cell.col + dCol, cell.row + dRow)) return {col: cell.col + dCol, row: cell.row + dRow};
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks whether a straight line between two points only crosses free cells.
+ *
+ * @param {Object} grid - The navigation grid.
+ * @param {{x: number, y: number}} from - The start of the line.
+ * @param {{x: number, y: number}} to - The end of the line.
+ * @returns {boolean} True if nothing blocks the line.
+ */
+const isLineWalkable = (grid, from, to) => {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const samples = Math.max(1, Math.ceil(distance / (grid.cellSize / 2)));
+    for (let i = 0; i <= samples; i++) {
+        const t = i / samples;
+        const {col, row} = toCell(grid, {x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t});
+        if (!isOpen(grid, col, row)) return false;
+    }
+    return true;
+};
+
+// Drop the waypoints a tank can skip by driving straight to a later one
+const simplifyPath = (grid, start, points) => {
+    const result = [];
+    let anchor = start;
+    for (let i = 0; i < points.length; i++) {
+        const next = points[i + 1];
+        if (!next || !isLineWalkable(grid, anchor, next)) {
+            result.push(points[i]);
+            anchor = points[i];
+        }
+    }
+    return result;
+};
+
+// Binary min-heap ordered by f score, then by insertion, so equal paths always resolve the same way
+const createOpenSet = () => {
+    const heap = [];
+    let counter = 0;
+    const less = (a, b) => a.f < b.f || (a.f === b.f && a.order < b.order);
+
+    const push = (node) => {
+        node.order = counter++;
+        heap.push(node);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!less(heap[i], heap[parent])) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    };
+
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && less(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && less(heap[right], heap[smallest])) smallest = right;
+                if (smallest === i) break;
+                [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    return {push, pop, size: () => heap.length};
+};
+
+// Find a path on the navigation grid
+/**
+ * Finds a path between two points with A*, moving between neighbouring free cells in eight
+ * directions without cutting the corners of blocked cells.
+ *
+ * When the start or the goal lies in a blocked cell (a tank pressed against a wall, a target
+ * standing next to one), the closest free cell is used instead. The returned waypoints are
+ * cell centres with the corners a tank can drive straight past removed; the start is not included.
+ *
+ * @param {Object} grid - The navigation grid.
+ * @param {{x: number, y: number}} start - Where the path starts.
+ * @param {{x: number, y: number}} goal - Where the path should end.
+ * @returns {Array<{x: number, y: number}>|null} The waypoints, an empty array if the start and goal share a cell,
+ * or null if the goal cannot be reached.
+ */
+const findPath = (grid, start, goal) => {
+    if (!grid) return null;
+
+    const startCell = nearestOpenCell(grid, toCell(grid, start));
+    const goalCell = nearestOpenCell(grid, toCell(grid, goal));
+    if (!startCell || !goalCell) return null;
+
+    const index = (col, row) => row * grid.cols + col;
+    const startIndex = index(startCell.col, startCell.row);
+    const goalIndex = index(goalCell.col, goalCell.row);
+    if (startIndex === goalIndex) return [];
+
+    // Octile distance, admissible for eight-way movement
+    const heuristic = (col, row) => {
+        const dx = Math.abs(col - goalCell.col);
+        const dy = Math.abs(row - goalCell.row);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    };
+
+    const gScore = new Float64Array(grid.cols * grid.rows).fill(Infinity);
+    const cameFrom = new Int32Array(grid.cols * grid.rows).fill(-1);
+    const closed = new Uint8Array(grid.cols * grid.rows);
+    const open = createOpenSet();
+
+    gScore[startIndex] = 0;
+    open.push({col: startCell.col, row: startCell.row, f: heuristic(startCell.col, startCell.row)});
+
+    while (open.size() > 0) {
+        const current = open.pop();
+        const currentIndex = index(current.col, current.row);
+        if (closed[currentIndex]) continue;
+        closed[currentIndex] = 1;
+
+        if (currentIndex === goalIndex) {
+            const points = [];
+            for (let i = goalIndex; i !== startIndex; i = cameFrom[i]) {
+                points.unshift(toPoint(grid, i % grid.cols, Math.floor(i / grid.cols)));
+            }
+            return simplifyPath(grid, start, points);
+        }
+
+        for (const [dCol, dRow, cost] of NEIGHBOURS) {
+            const col = current.col + dCol;
+            const row = current.row + dRow;
+            if (!isOpen(grid, col, row)) continue;
+            // Diagonal moves need both side cells free, so paths never clip a wall corner
+            if (dCol !== 0 && dRow !== 0 && (!isOpen(grid, current.col + dCol, current.row) || !isOpen(grid, current.col, current.row + dRow))) continue;
+
+            const neighbourIndex = index(col, row);
+            const tentative = gScore[currentIndex] + cost;
+            if (tentative < gScore[neighbourIndex]) {
+                gScore[neighbourIndex] = tentative;
+                cameFrom[neighbourIndex] = currentIndex;
+                open.push({col, row, f: tentative + heuristic(col, row)});
+            }
+        }
+    }
+
+    return null;
+};
+
+// Search the free cells around a point, nearest ring first
+/**
+ * Finds a free point near another one that passes a test, searching the cells around it ring by
+ * ring. Used to snap a point to open ground, or to look for cover from a threat.
+ *
+ * @param {Object} grid - The navigation grid.
+ * @param {{x: number, y: number}} near - Where to start searching.
+ * @param {Object} [options={}] - Search options.
+ * @param {number} [options.maxDistance=Infinity] - How far from `near` to search, in pixels.
+ * @param {Function} [options.accept] - Tests a candidate point; only free points it accepts are returned.
+ * @returns {{x: number, y: number}|null} The centre of the first accepted cell, or null if none was found.
+ */
+const findOpenPoint = (grid, near, {maxDistance = Infinity, accept = () => true} = {}) => {
+    if (!grid) return null;
+
+    const cell = toCell(grid, near);
+    const maxRadius = Math.min(Math.max(grid.cols, grid.rows), Math.ceil(maxDistance / grid.cellSize));
+    for (let radius = 0; radius <= maxRadius; radius++) {
+        for (let dRow = -radius; dRow <= radius; dRow++) {
+            for (let dCol = -radius; dCol <= radius; dCol++) {
+                if (Math.max(Math.abs(dCol), Math.abs(dRow)) !== radius) continue;
+                if (!isOpen(grid, cell.col + dCol, cell.row + dRow)) continue;
+                const point = toPoint(grid, cell.col + dCol, cell.row + dRow);
+                if (accept(point)) return point;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Picks a random free point on the navigation grid, e.g. as a patrol destination.
+ *
+ * @param {Object} grid - The navigation grid.
+ * @param {Object} random - The seeded random number generator.
+ * @returns {{x: number, y: number}|null} The centre of a free cell, or null if every cell is blocked.
+ */
+const randomOpenPoint = (grid, random) => {
+    if (!grid) return null;
+    const cell = nearestOpenCell(grid, {col: random.int(0, grid.cols), row: random.int(0, grid.rows)});
+    return cell ? toPoint(grid, cell.col, cell.row) : null;
+};
+
+export {NAV_CELL_SIZE, NAV_CLEARANCE, buildNavGrid, findOpenPoint, findPath, getNavGrid, isLineWalkable, randomOpenPoint};
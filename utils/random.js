@@ -0,0 +1,122 @@
+/**
+ * The number of characters used by a seed code. Seeds are 32-bit unsigned integers,
+ * which always fit into seven base-36 digits.
+ *
+ * @type {number}
+ */
+const SEED_CODE_LENGTH = 7;
+
+/**
+ * Normalises any number into an unsigned 32-bit seed.
+ *
+ * @param {number} seed - The seed to normalise.
+ * @returns {number} The seed as an unsigned 32-bit integer.
+ */
+const normalizeSeed = (seed) => {
+    const value = Number(seed);
+    return Number.isFinite(value) ? Math.floor(Math.abs(value)) >>> 0 : 0;
+};
+
+/**
+ * Generates a fresh seed for a new run. This is the only gameplay code that reads `Math.random`.
+ *
+ * @returns {number} A random unsigned 32-bit seed.
+ */
+const generateSeed = () => {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+};
+
+/**
+ * Mixes a seed with a salt (such as the level number) into a new, well distributed seed,
+ * so every level of a run gets its own reproducible layout.
+ *
+ * @param {number} seed - The base seed.
+ * @param {number} salt - The value mixed into the seed.
+ * @returns {number} The derived unsigned 32-bit seed.
+ */
+const deriveSeed = (seed, salt) => {
+    let hash = (normalizeSeed(seed) ^ Math.imul(normalizeSeed(salt) + 0x9e3779b9, 0x85ebca6b)) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x7feb352d);
+    hash = Math.imul(hash ^ (hash >>> 15), 0x846ca68b);
+    return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+/**
+ * Converts a seed into the short code shown to players, e.g. on the pause and game over screens.
+ *
+ * @param {number} seed - The seed to convert.
+ * @returns {string} The seed code, seven upper-case base-36 characters.
+ */
+const seedToCode = (seed) => {
+    return normalizeSeed(seed).toString(36).toUpperCase().padStart(SEED_CODE_LENGTH, '0');
+};
+
+/**
+ * Parses a seed code typed or shared by a player.
+ *
+ * @param {string} code - The seed code.
+ * @returns {number|null} The seed, or null if the code is not a valid seed code.
+ */
+const codeToSeed = (code) => {
+    if (typeof code !== 'string') return null;
+    const trimmed = code.trim().toLowerCase();
+    if (!/^[0-9a-z]{1,7}$/.test(trimmed)) return null;
+    const seed = parseInt(trimmed, 36);
+    return seed <= 0xffffffff ? seed >>> 0 : null;
+};
+
+/**
+ * Creates a seedable pseudo-random number generator (mulberry32).
+ *
+ * The generator replaces `Math.random` in level, wall, boost and AI code. The app injects it
+ * through the entities object as `random`, so two games started from the same seed produce
+ * the same battlefield.
+ *
+ * @param {number} seed - The initial seed.
+ * @returns {Object} The generator, exposing `next`, `int`, `range`, `angle`, `getSeed` and `reseed`.
+ */
+const createRandom = (seed) => {
+    let initialSeed = normalizeSeed(seed);
+    let state = initialSeed;
+
+    // Returns a float in [0, 1), a drop-in replacement for Math.random()
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+
+    return {
+        next,
+        // Returns an integer in [min, max)
+        int: (min, max) => Math.floor(next() * (max - min)) + min,
+        // Returns a float in [min, max)
+        range: (min, max) => next() * (max - min) + min,
+        // Returns an angle in [0, 2π)
+        angle: () => next() * 2 * Math.PI,
+        getSeed: () => initialSeed,
+        reseed: (newSeed) => {
+            initialSeed = normalizeSeed(newSeed);
+            state = initialSeed;
+        }
+    };
+};
+
+/**
+ * Generator used when the entities object does not carry one.
+ */
+const fallbackRandom = createRandom(generateSeed());
+
+/**
+ * Returns the random number generator injected through the entities object.
+ *
+ * @param {Object} entities - The game entities, optionally containing a `random` generator.
+ * @returns {Object} The generator to use.
+ */
+const getRandom = (entities) => {
+    return (entities && entities.random) || fallbackRandom;
+};
+
+export {codeToSeed, createRandom, deriveSeed, generateSeed, getRandom, seedToCode};
@@ -0,0 +1,246 @@
+import {createSimulation} from '../system/simulation';
+import {DEFAULT_DIFFICULTY} from './difficulty';
+import {DEFAULT_WEAPON, resolveWeapon} from './weapons';
+
+/**
+ * The version of the replay log format. Replays saved with another version are not played back.
+ *
+ * @type {number}
+ */
+const REPLAY_VERSION = 1;
+
+// Quantise a frame duration so the recorded clock and the live clock are the same clock
+/**
+ * Rounds a frame duration to whole milliseconds.
+ *
+ * The live game runs on the recorder's clock rather than the renderer's, so the durations
+ * stored in the log are exactly the ones the systems saw.
+ *
+ * @param {number} delta - The frame duration reported by the game loop, in milliseconds.
+ * @returns {number} The rounded duration, at least one millisecond.
+ */
+const quantizeDelta = (delta) => {
+    const value = Number(delta);
+    return Number.isFinite(value) ? Math.max(1, Math.round(value)) : 16;
+};
+
+// Reduce a joystick state to the part the systems read
+/**
+ * Converts a control state into the plain value stored in a replay.
+ *
+ * `Physics` only reacts to `{type: 'move', angle}` objects and the `move-*` strings, so anything
+ * else (including the `GameEngine` instance the control ref holds before the joystick is
+ * first touched) is recorded as null.
+ *
+ * @param {*} control - The value returned by `getControlState`.
+ * @returns {Object|string|null} The control state to record.
+ */
+const toRecordedControl = (control) => {
+    if (typeof control === 'string') return control;
+    if (control && control.type === 'move') return {type: 'move', angle: control.angle};
+    return null;
+};
+
+// Record the inputs of a level attempt into a compact replay log
+/**
+ * Creates a recorder for one attempt at a level.
+ *
+ * Every tick the recorder reads `getControlState` and `getBulletState` from the entities, and
+ * `getAllyOrder` when the attempt is played with the allied tank, and `getPlayerWeapon`, and
+ * stores them only when they change. The weapon is only written while it is not the default one,
+ * so a change without it switches back to `DEFAULT_WEAPON`. Frame durations are run-length encoded. Whenever the
+ * `GameEngine` is mounted again (after a pause) or the layout changes, the tick is marked, so
+ * playback can rebuild the entities or the boundary walls at the same moment.
+ *
+ * @param {Object} options - The starting conditions of the attempt.
+ * @param {number} options.seed - The run seed.
+ * @param {string} [options.difficulty] - The difficulty preset of the run.
+ * @param {number} [options.director=0] - The adjustment of the adaptive difficulty director, in steps.
+ * @param {number} options.level - The level being played.
+ * @param {number} options.score - The score at the start of the level.
+ * @param {number} options.health - The player's health at the start of the level.
+ * @param {{width: number, height: number}} options.screen - The size of the battlefield.
+ * @param {Object} [options.gameState] - The saved battlefield the attempt was resumed from, if any.
+ * @param {Object} [options.levelDefinition] - The level definition saved from the level editor, if the level uses one.
+ * @param {boolean} [options.ally=false] - Whether the allied tank fights along.
+ * @returns {Object} The recorder, exposing `record`, `finish` and `isFinished`.
+ */
+const createReplayRecorder = ({seed, difficulty = DEFAULT_DIFFICULTY, director = 0, level, score, health, screen, gameState = null, levelDefinition = null, ally = false}) => {
+    const inputs = [];
+    const deltas = [];
+    const remounts = [];
+    const layouts = [];
+    const time = {current: 0, previous: 0, delta: 0};
+    let tick = 0;
+    let control;
+    let bullet;
+    let allyOrder;
+    let weapon = DEFAULT_WEAPON;
+    let engine = null;
+    let finished = false;
+
+    /**
+     * Records the inputs of the current tick and advances the replay clock.
+     *
+     * @param {Object} entities - The current state of all game entities.
+     * @param {Object} liveTime - The time object passed to the systems by the game loop.
+     * @returns {Object} The time object the systems should use for this tick.
+     */
+    const record = (entities, liveTime) => {
+        const delta = quantizeDelta(liveTime ? liveTime.delta : undefined);
+        time.previous = time.current;
+        time.current = time.previous + delta;
+        time.delta = delta;
+        if (finished) return time;
+
+        const currentEngine = entities && entities.physics ? entities.physics.engine : null;
+        if (engine && currentEngine !== engine) remounts.push(tick);
+        engine = currentEngine;
+
+        if (entities && entities.getOrientationChange && entities.getOrientationChange()) {
+            const {width, height} = entities.getScreenDimension();
+            layouts.push([tick, width, height]);
+        }
+
+        const nextControl = toRecordedControl(entities && entities.getControlState ? entities.getControlState() : null);
+        const nextBullet = entities && entities.getBulletState ? entities.getBulletState() || null : null;
+        const nextAllyOrder = ally && entities && entities.getAllyOrder ? entities.getAllyOrder() || null : null;
+        const nextWeapon = resolveWeapon(entities && entities.getPlayerWeapon ? entities.getPlayerWeapon() : null);
+        if (tick === 0 || JSON.stringify(nextControl) !== JSON.stringify(control) || nextBullet !== bullet || nextAllyOrder !== allyOrder || nextWeapon !== weapon) {
+            const change = [tick, nextControl, nextBullet];
+            if (ally || nextWeapon !== DEFAULT_WEAPON) change.push(nextAllyOrder);
+            if (nextWeapon !== DEFAULT_WEAPON) change.push(nextWeapon);
+            inputs.push(change);
+            control = nextControl;
+            bullet = nextBullet;
+            allyOrder = nextAllyOrder;
+            weapon = nextWeapon;
+        }
+
+        const last = deltas[deltas.length - 1];
+        if (last && last[0] === delta) {
+            last[1]++;
+        } else {
+            deltas.push([delta, 1]);
+        }
+
+        tick++;
+        return time;
+    };
+
+    /**
+     * Stops recording and returns the replay log.
+     *
+     * @param {Object} result - How the attempt ended.
+     * @param {string} result.outcome - 'won', 'lost' or 'quit'.
+     * @param {number} result.score - The score at the end of the attempt.
+     * @returns {Object|null} The replay, or null if nothing was recorded or the recorder was already finished.
+     */
+    const finish = ({outcome, score: finalScore}) => {
+        if (finished || tick === 0) return null;
+        finished = true;
+        return {
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed,
+            difficulty,
+            director,
+            level,
+            score,
+            health,
+            screen: {width: screen.width, height: screen.height},
+            gameState,
+            levelDefinition,
+            ally,
+            outcome,
+            finalScore,
+            ticks: tick,
+            inputs,
+            deltas,
+            remounts,
+            layouts
+        };
+    };
+
+    return {record, finish, isFinished: () => finished};
+};
+
+// Play a replay log back through the same systems as the live game
+/**
+ * Creates a player for a replay log.
+ *
+ * The player rebuilds the level in a simulation, from the recorded seed or from the saved
+ * battlefield the attempt was resumed from, and feeds it the recorded inputs and frame
+ * durations tick by tick, so `Physics` and `Projectiles` produce the same frames they
+ * produced while the run was played.
+ *
+ * @param {Object} replay - The replay log created by a recorder.
+ * @param {Object} [entityFactory] - The factory used to build entities, e.g. one wired to the on-screen renderers.
+ * @returns {Object} The player, exposing `step`, `isFinished`, `getTick`, `getEntities` and `getResult`.
+ */
+const createReplayPlayer = (replay, entityFactory) => {
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+
+    const simulation = createSimulation({
+        screen: replay.screen,
+        seed: replay.seed,
+        difficulty: replay.difficulty || DEFAULT_DIFFICULTY,
+        director: replay.director || 0,
+        level: replay.level,
+        score: replay.score,
+        health: replay.health,
+        gameState: replay.gameState || undefined,
+        levelDefinitions: replay.levelDefinition ? {[replay.level]: replay.levelDefinition} : undefined,
+        ally: !!replay.ally,
+        entityFactory
+    });
+    const remounts = new Set(replay.remounts || []);
+    const layouts = new Map((replay.layouts || []).map(([layoutTick, width, height]) => [layoutTick, {width, height}]));
+    let tick = 0;
+    let nextInput = 0;
+    let deltaRun = 0;
+    let deltaUsed = 0;
+
+    const isFinished = () => tick >= replay.ticks;
+
+    /**
+     * Plays the next recorded tick.
+     *
+     * @returns {Object} The entities after the tick.
+     */
+    const step = () => {
+        if (isFinished()) return simulation.getEntities();
+
+        const input = {remount: remounts.has(tick), screen: layouts.get(tick)};
+        const change = replay.inputs[nextInput];
+        if (change && change[0] === tick) {
+            input.control = change[1];
+            input.bullet = change[2];
+            if (change.length > 3 && change[3]) input.allyOrder = change[3];
+            input.weapon = change.length > 4 ? change[4] : DEFAULT_WEAPON;
+            nextInput++;
+        }
+
+        const run = replay.deltas[deltaRun];
+        input.delta = run ? run[0] : undefined;
+        if (run && ++deltaUsed >= run[1]) {
+            deltaRun++;
+            deltaUsed = 0;
+        }
+
+        tick++;
+        return simulation.step(input);
+    };
+
+    return {
+        step,
+        isFinished,
+        getTick: () => tick,
+        getEntities: simulation.getEntities,
+        getResult: simulation.getResult
+    };
+};
+
+export {REPLAY_VERSION, createReplayPlayer, createReplayRecorder};
@@ -1,265 +1,170 @@
-import Matter from 'matter-js';
-import React, {useEffect, useRef} from 'react';
-import {Animated, Dimensions} from 'react-native';
-import {setUserID} from '../utils/async-storage';
-import {isGameOver} from '../components/gameOverMenu';
-import soundManager from '../utils/soundManager';
+import {recordMetric} from './director';
+import {getEntityFactory} from './entityFactory';
+import {addEntity, ENTITY_TYPES, TEAMS} from './entityRegistry';
+import {isGameOver, playSound} from './gameEvents';
+import {getRandom} from './random';
+import {getEntityWeapon} from './weapons';
 
 /**
- * Represents the height of the device's screen in pixels.
+ * Returns how fast the shots of an entity travel: the speed of its weapon (see `getEntityWeapon`).
  *
- * This value is obtained dynamically by querying the device's window
- * dimensions, ensuring that it accurately reflects the current
- * screen height. This can be useful for layout calculations and
- * responsive designs.
+ * @param {Object} entity - The shooting entity.
+ * @returns {number} The shot speed, in pixels per second.
  */
-const SCREEN_HEIGHT = Dimensions.get('window').height;
+const getShotSpeed = (entity) => getEntityWeapon(entity).speed;
 
 /**
  * Creates a new shot entity in the game.
  *
  * This function initializes a new shot (bullet) entity based on the provided parameters
  * such as position, angle, speed, and other game-specific configurations. If the game is
- * over, the function returns null without creating a shot.
+ * over, the function returns null without creating a shot. The entity itself is built by
+ * the entity factory injected through `entities`, so it only carries a renderer when one
+ * was registered by the app. Once created, the shot is moved and resolved by the projectile system.
+ * A weapon with a `range` gives the shot the lifetime it needs to fly that far, and one with
+ * `bounces` makes it a bouncing shot (see `moveBouncing` in `system/projectiles.js`).
  *
  * @param {Object} position - The initial position of the shot with x and y coordinates.
  * @param {number} angle - The angle at which the shot is fired.
- * @param {number} speed - The speed at which the shot moves.
+ * @param {number} speed - The speed at which the shot moves, in pixels per second.
  * @param {Object} engine - The physics engine instance.
  * @param {string} entityPrefix - A prefix for entity identification.
  * @param {number} currentTime - The current time in the game.
  * @param {Object} appDimensions - The dimensions of the application screen.
  * @param {Object} entities - All entities currently in the game.
  * @param {boolean} soundOn - A flag indicating whether sound is enabled.
+ * @param {Object} [projectile={}] - The shooter's weapon: its `damage`, `radius`, `color`, `range`, splash and bounces.
+ * @param {string} [team] - The team of the shooter; the shot only damages other teams. Defaults to the
+ * player's team for `shot` prefixes and the enemy team otherwise.
  * @returns {Object|null} - The newly created bullet entity or null if the game is over.
  */
-const createShot = (position, angle, speed, engine, entityPrefix, currentTime, appDimensions, entities, soundOn) => {
-    if (isGameOver) return null;
-
-    soundManager.playSound('shot');
-
-    const velocity = {
-        x: Math.cos(angle) * speed,
-        y: Math.sin(angle) * speed,
-    };
-
-    const bullet = {
-        body: Matter.Bodies.circle(position.x, position.y, 5, { label: 'bullet' }),
-        velocity: velocity,
-        renderer: <ShotRenderer angle={angle} speed={speed} engine={engine} entityPrefix={entityPrefix}
-                                currentTime={currentTime} appDimensions={appDimensions} entities={entities}
-                                soundOn={soundOn}/>
-    };
-
-    Matter.Body.setVelocity(bullet.body, velocity);
-
-    return bullet;
+const createShot = (position, angle, speed, engine, entityPrefix, currentTime, appDimensions, entities, soundOn, projectile = {}, team = undefined) => {
+    if (isGameOver(entities)) return null;
+
+    return getEntityFactory(entities).shot({
+        position,
+        angle,
+        speed,
+        team: team || (entityPrefix === 'shot' ? TEAMS.PLAYER : TEAMS.ENEMY),
+        entityPrefix,
+        spawnTime: currentTime,
+        ...(projectile.radius !== undefined ? {radius: projectile.radius} : {}),
+        ...(projectile.damage !== undefined ? {damage: projectile.damage} : {}),
+        ...(projectile.color !== undefined ? {color: projectile.color} : {}),
+        ...(projectile.range ? {lifetime: (projectile.range / speed) * 1000} : {}),
+        ...(projectile.splashRadius ? {splashRadius: projectile.splashRadius, splashDamage: projectile.splashDamage || 0} : {}),
+        ...(projectile.bounces ? {maxBounces: projectile.bounces, bounces: 0, bounceFalloff: projectile.bounceFalloff ?? 1} : {})
+    });
 };
 
 /**
- * The timestamp of the last shot fired by the tank.
- * This value is represented as the number of milliseconds
- * since the Unix Epoch (January 1, 1970).
+ * Returns the table of last shot timestamps stored on the entities object.
  *
- * @type {number}
+ * The table is keyed by the shooting entity itself, so every tank keeps its own cooldown.
+ * Keeping the table on the entities object rather than in module state means every game
+ * session, and every headless simulation, starts with fresh cooldowns.
+ *
+ * @param {Object} entities - The collection of all game entities.
+ * @returns {WeakMap<Object, number>} The last shot timestamps, keyed by shooter.
  */
-let lastTankShotTime = 0;
+const getLastShotTimes = (entities) => {
+    if (!entities.lastShotTimes) {
+        entities.lastShotTimes = new WeakMap();
+    }
+    return entities.lastShotTimes;
+};
+
 /**
- * An object that keeps track of the last shot times for each enemy.
- * The keys are enemy identifiers and the values are corresponding timestamps
- * when the enemy last fired a shot. This data structure is useful for managing
- * attack cooldowns and orchestrating enemy firing schedules in a game.
+ * Tells whether the cooldown of a shooter has run out, so `handleShot` would fire.
+ *
+ * @param {Object} entity - The shooting entity.
+ * @param {Object} entities - The collection of all game entities.
+ * @param {number} currentTime - The current game time.
+ * @param {number} delay - The minimum delay between two shots of the entity, in milliseconds of game time.
+ * @returns {boolean} True if the entity may fire.
  */
-let lastEnemyShotTimes = {};
+const isShotReady = (entity, entities, currentTime, delay) => (
+    currentTime - (getLastShotTimes(entities).get(entity) || 0) >= delay
+);
+
+// The angles the projectiles of one shot fly at
+const getPelletAngles = (weapon, angle, entities) => {
+    const pellets = Math.max(1, weapon.pellets || 1);
+    const spread = weapon.spread || 0;
+    if (pellets === 1) {
+        return [spread > 0 ? angle + getRandom(entities).range(-0.5, 0.5) * spread : angle];
+    }
+    return Array.from({length: pellets}, (_, i) => angle + (i / (pellets - 1) - 0.5) * spread);
+};
 
+// Fire a shot of an entity's weapon from its nozzle
 /**
- * Manages the shooting mechanism for both player and enemy entities in the game.
- * Determines whether an entity can shoot based on the time elapsed since the last shot,
- * and updates the game state accordingly.
+ * Fires a shot from the nozzle of an entity, without any cooldown.
  *
- * @param {Object} entity - The entity attempting to shoot. Contains position and orientation data.
+ * The shot is fired with the entity's weapon (see `getEntityWeapon` in `utils/weapons.js`): its
+ * `pellets` projectiles leave the nozzle at the front of the entity's body and travel at `angle`,
+ * strayed or fanned out by the weapon's `spread`, with the weapon's speed, damage, size and
+ * range. They belong to the team of the entity and remember it as their `shooter`. Shooters that
+ * fire several shots at once, like the boss tanks, and shooters with a cooldown of their own, like
+ * the allied tank, call this directly; everyone else goes through `handleShot`.
+ *
+ * @param {Object} entity - The shooting entity.
  * @param {Object} entities - The collection of all game entities.
- * @param {number} currentTime - The current timestamp to check shot timing.
- * @param {number} delay - The minimum delay required between consecutive shots.
+ * @param {number} currentTime - The current game time.
  * @param {string} entityPrefix - Prefix to differentiate between player and enemy shots.
  * @param {number} angle - The angle at which to shoot.
  * @param {Object} engine - The physics engine managing the game world.
  * @param {boolean} soundOn - Flag indicating if sound effects are enabled.
+ * @returns {Object[]|null} The projectiles of the shot, or null if the game is over.
  */
-const handleShot = (entity, entities, currentTime, delay, entityPrefix, angle, engine, soundOn) => {
-    if (isGameOver) return;
+const fireShot = (entity, entities, currentTime, entityPrefix, angle, engine, soundOn) => {
+    if (isGameOver(entities)) return null;
 
     const appDimensions = entities.getScreenDimension();
+    const nozzleLength = 40;
+    const shotPosition = {
+        x: entity.body.position.x + Math.cos(entity.body.angle) * nozzleLength,
+        y: entity.body.position.y + Math.sin(entity.body.angle) * nozzleLength,
+    };
 
-    if (!entity.lastShotTime) entity.lastShotTime = 0;
-
-    let lastShotTime = entityPrefix === 'shot' ? lastTankShotTime : (lastEnemyShotTimes[entity.id] || 0);
-
-    if (currentTime - lastShotTime >= delay) {
-        const nozzleLength = 40;
-        const shotPosition = {
-            x: entity.body.position.x + Math.cos(entity.body.angle) * nozzleLength,
-            y: entity.body.position.y + Math.sin(entity.body.angle) * nozzleLength,
-        };
-
-        const shot = createShot(shotPosition, entity.body.angle, 10, engine, entityPrefix, currentTime, appDimensions, entities, soundOn);
-        shot.engine = engine;
-        shot.angle = angle;
-        shot.speed = 10;
-        shot.entities = entities;
-        shot.entityPrefix = entityPrefix;
-        shot.currentTime = currentTime;
-        shot.appDimensions = appDimensions;
-        entities[`${entityPrefix}_${currentTime}`] = shot;
-
-        if (entityPrefix === 'shot') {
-            lastTankShotTime = currentTime;
-        } else {
-            lastEnemyShotTimes[entity.id] = currentTime;
-        }
-    }
+    const weapon = getEntityWeapon(entity);
+    const shots = getPelletAngles(weapon, angle, entities).map(pelletAngle => {
+        const shot = createShot(shotPosition, pelletAngle, weapon.speed, engine, entityPrefix, currentTime, appDimensions, entities, soundOn, weapon, entity.team);
+        if (!shot) return null;
+        shot.shooter = entity;
+        addEntity(entities, entityPrefix, shot);
+        return shot;
+    }).filter(Boolean);
+    if (shots.length === 0) return null;
+
+    playSound(entities, weapon.sound || 'shot');
+    if (entity.type === ENTITY_TYPES.PLAYER) recordMetric(entities, 'shotsFired', shots.length);
+    return shots;
 };
 
 /**
- * ShotRenderer is a functional component responsible for rendering and managing the behavior of a shot entity
- * in a game. It handles the shot's movement, collision detection with various entities such as AI entities,
- * walls, and the player tank, and removal of the shot entity when it goes out of bounds.
+ * Manages the shooting mechanism for both player and enemy entities in the game.
+ * Determines whether an entity can shoot based on the time elapsed since the last shot,
+ * and updates the game state accordingly. Every entity fires its weapon (see `fireShot`); the
+ * player's cooldown is the `cooldown` of its weapon, enemies fire at the pace of their AI.
  *
- * @param {Object} props - The properties object
- * @param {Object} props.body - The Matter.js body instance representing the physical body of the shot
- * @param {number} props.angle - The angle at which the shot is fired
- * @param {number} props.speed - The speed of the shot
- * @param {Object} props.engine - The Matter.js engine instance managing the game physics
- * @param {string} props.entityPrefix - The prefix string used to identify the shot entity
- * @param {number} props.currentTime - The current time, used to generate a unique entity ID
- * @param {Object} props.appDimensions - The dimensions of the application viewport
- * @param {Object} props.entities - The collection of all game entities
- * @param {boolean} props.soundOn - Flag indicating whether sound is enabled
- * @returns {JSX.Element|null} Returns an animated view representing the shot if the entity exists; otherwise, returns null.
+ * @param {Object} entity - The entity attempting to shoot. Contains position and orientation data.
+ * @param {Object} entities - The collection of all game entities.
+ * @param {number} currentTime - The current timestamp to check shot timing.
+ * @param {number} delay - The minimum delay required between consecutive shots, in milliseconds of game time.
+ * @param {string} entityPrefix - Prefix to differentiate between player and enemy shots.
+ * @param {number} angle - The angle at which to shoot.
+ * @param {Object} engine - The physics engine managing the game world.
+ * @param {boolean} soundOn - Flag indicating if sound effects are enabled.
+ * @returns {boolean} True if a shot was fired.
  */
-const ShotRenderer = ({body, angle, speed, engine, entityPrefix, currentTime, appDimensions, entities, soundOn}) => {
-    const shotSize = 10;
-    const entityId = `${entityPrefix}_${currentTime}`;
-
-    const position = useRef({
-        x: body.position.x,
-        y: body.position.y,
-    });
-
-    const removeEntity = (entities, entityId) => {
-        const entity = entities[entityId];
-        if (entity) {
-            if (entity.body && engine.world.bodies.includes(entity.body)) {
-                Matter.World.remove(engine.world, entity.body);
-            }
-            delete entities[entityId];
-        }
-    };
-
-    useEffect(() => {
-        const update = () => {
-            if (!entities[entityId]) {
-                Matter.Events.off(engine, 'afterUpdate', update);
-                return;
-            }
-
-            const nextX = position.current.x + body.velocity.x;
-            const nextY = position.current.y + body.velocity.y;
-
-            position.current = {
-                x: nextX,
-                y: nextY,
-            };
-
-            entities[entityId].body.position = position.current;
-
-            const futurePosition = {
-                x: position.current.x + body.velocity.x * 2,
-                y: position.current.y + body.velocity.y * 2,
-            };
-
-            const projectedCollisionArea = Matter.Bodies.rectangle(
-                (position.current.x + futurePosition.x) / 2,
-                (position.current.y + futurePosition.y) / 2,
-                Math.abs(body.velocity.x) || 1,
-                Math.abs(body.velocity.y) || 1,
-                { isSensor: true, density: 0.001 }
-            );
-
-            const aiEntities = Object.values(entities).filter(entity => entity.ai);
-
-            aiEntities.forEach(entity => {
-                if (entityPrefix === 'shot' && Matter.Collision.collides(projectedCollisionArea, entity.body) != null) {
-
-                    if (entity.health > 0) {
-                        soundManager.playSound('collision');
-                        entity.health -= 50; // -25, 0, -10
-                        removeEntity(entities, `${entityPrefix}_${currentTime}`);
-
-                        if (entity.health <= 0) {
-                            entities.updateScore();
-                            soundManager.playSound('explosion');
-                        }
-                    }
-                }
-            });
-
-            Object.keys(entities).forEach(key => {
-                if (key.startsWith('random_wall')) {
-                    const wall = entities[key];
-                    if (Matter.Collision.collides(projectedCollisionArea, wall.body) != null) {
-                        wall.health -= 50;
-                        if (wall.health <= 0) {
-                            Matter.World.remove(engine.world, wall.body);
-                            delete entities[key];
-                            soundManager.playSound('explosion');
-                        }
-                        removeEntity(entities, `${entityPrefix}_${currentTime}`);
-                    }
-                }
-            });
-
-            if (entityPrefix === 'enemyShot' && entities?.[`tank`]?.body && Matter.Collision.collides(projectedCollisionArea, entities[`tank`].body) != null) {
-                if (entities.getUserHealth() > 0) {
-                    soundManager.playSound('collision');
-                    entities.setUserHealth(entities.getUserHealth() - 25);
-                    entities[`tank`].health -= 25;
-                } else if (entities.getUserHealth() <= 0) {
-                    soundManager.playSound('explosion');
-                    setUserID()
-                }
-                removeEntity(entities, `${entityPrefix}_${currentTime}`);
-            }
-
-            if (position.current.x < 0 || position.current.x > appDimensions.width || position.current.y < 0 || position.current.y > appDimensions.height) {
-                removeEntity(entities, `${entityPrefix}_${currentTime}`);
-            }
-        };
-
-        Matter.Events.on(engine, 'afterUpdate', update);
-
-        return () => {
-            Matter.Events.off(engine, 'afterUpdate', update);
-        };
-    }, [entities, entityId]);
-
-    if (!entities[entityId]) {
-        return null;
-    }
+const handleShot = (entity, entities, currentTime, delay, entityPrefix, angle, engine, soundOn) => {
+    if (isGameOver(entities)) return false;
+    if (!isShotReady(entity, entities, currentTime, delay)) return false;
+    if (!fireShot(entity, entities, currentTime, entityPrefix, angle, engine, soundOn)) return false;
 
-    return (
-        <Animated.View
-            style={{
-                position: 'absolute',
-                left: position.current.x,
-                top: position.current.y,
-                width: shotSize,
-                height: shotSize,
-                borderRadius: shotSize / 2,
-                backgroundColor: 'black',
-            }}
-        />
-    );
+    getLastShotTimes(entities).set(entity, currentTime);
+    return true;
 };
 
-export { ShotRenderer, createShot, handleShot };
+export { createShot, fireShot, getShotSpeed, handleShot, isShotReady };
@@ -0,0 +1,177 @@
+import {ENTITY_TYPES, matchesQuery, queryEntities} from './entityRegistry';
+
+/**
+ * The side of a broadphase grid cell in pixels, about the size of a tank.
+ *
+ * @type {number}
+ */
+const DEFAULT_CELL_SIZE = 64;
+
+/**
+ * The entity types the physics step keeps in the broadphase.
+ *
+ * @type {string[]}
+ */
+const BROADPHASE_TYPES = [ENTITY_TYPES.PLAYER, ENTITY_TYPES.ALLY, ENTITY_TYPES.ENEMY, ENTITY_TYPES.WALL, ENTITY_TYPES.BOUNDARY];
+
+// Uniform grid of entity bounds
+/**
+ * Creates a spatial hash: a uniform grid that buckets entities by the cells their bounds cover,
+ * so collision checks only look at entities near the area being tested.
+ *
+ * Queries return entities in the order they were inserted. Inserting them in the order of the
+ * entities object keeps every hit test resolving the same first hit as a full scan would.
+ *
+ * @param {number} [cellSize=DEFAULT_CELL_SIZE] - The side of a grid cell in pixels.
+ * @returns {Object} The spatial hash, exposing `insert`, `remove`, `update`, `query`, `clear` and `size`.
+ */
+const createSpatialHash = (cellSize = DEFAULT_CELL_SIZE) => {
+    const cells = new Map();
+    const records = new Map();
+    let nextOrder = 0;
+
+    const cellRange = (bounds) => ({
+        minX: Math.floor(bounds.min.x / cellSize),
+        minY: Math.floor(bounds.min.y / cellSize),
+        maxX: Math.floor(bounds.max.x / cellSize),
+        maxY: Math.floor(bounds.max.y / cellSize)
+    });
+
+    const forEachCell = (range, callback) => {
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                callback(`${x},${y}`);
+            }
+        }
+    };
+
+    const unlink = (record) => {
+        forEachCell(record.range, (cellKey) => {
+            const bucket = cells.get(cellKey);
+            if (!bucket) return;
+            bucket.delete(record);
+            if (bucket.size === 0) cells.delete(cellKey);
+        });
+    };
+
+    const link = (record) => {
+        forEachCell(record.range, (cellKey) => {
+            if (!cells.has(cellKey)) cells.set(cellKey, new Set());
+            cells.get(cellKey).add(record);
+        });
+    };
+
+    /**
+     * Adds an entity to the grid, replacing any entry with the same key.
+     *
+     * @param {string} key - The key of the entity.
+     * @param {Object} entity - The entity, with a Matter.js `body`.
+     * @param {Object} [bounds] - The bounds to index. Defaults to the bounds of the entity's body.
+     */
+    const insert = (key, entity, bounds = entity.body.bounds) => {
+        remove(key);
+        const record = {key, entity, order: nextOrder++, range: cellRange(bounds)};
+        records.set(key, record);
+        link(record);
+    };
+
+    /**
+     * Removes an entity from the grid.
+     *
+     * @param {string} key - The key of the entity.
+     */
+    const remove = (key) => {
+        const record = records.get(key);
+        if (!record) return;
+        unlink(record);
+        records.delete(key);
+    };
+
+    /**
+     * Moves an entity to the cells its body covers now, keeping its place in the query order.
+     *
+     * @param {string} key - The key of the entity.
+     */
+    const update = (key) => {
+        const record = records.get(key);
+        if (!record) return;
+        const range = cellRange(record.entity.body.bounds);
+        if (range.minX === record.range.minX && range.minY === record.range.minY &&
+            range.maxX === record.range.maxX && range.maxY === record.range.maxY) return;
+        unlink(record);
+        record.range = range;
+        link(record);
+    };
+
+    /**
+     * Returns the entities in the cells covered by an area, as `[key, entity]` pairs in insertion order.
+     *
+     * The result is a broadphase: it may contain entities near the area that do not touch it,
+     * so callers still run their own hit test on each candidate.
+     *
+     * @param {Object} bounds - The area, with `min` and `max` corners.
+     * @param {Object} [filter] - A registry query (`type`, `team`, `notTeam`, `alive`, `with`) the entities must match.
+     * @returns {Array<[string, Object]>} The candidate entities with their keys.
+     */
+    const query = (bounds, filter) => {
+        const found = new Set();
+        forEachCell(cellRange(bounds), (cellKey) => {
+            const bucket = cells.get(cellKey);
+            if (bucket) bucket.forEach(record => found.add(record));
+        });
+
+        return [...found]
+            .filter(record => !filter || matchesQuery(record.entity, filter))
+            .sort((a, b) => a.order - b.order)
+            .map(record => [record.key, record.entity]);
+    };
+
+    const clear = () => {
+        cells.clear();
+        records.clear();
+        nextOrder = 0;
+    };
+
+    return {insert, remove, update, query, clear, size: () => records.size};
+};
+
+// Index the colliding entities of a frame
+/**
+ * Builds a spatial hash of the tanks, walls and boundary walls in the entities object, in key order.
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @param {string[]} [types=BROADPHASE_TYPES] - The entity types to index.
+ * @param {number} [cellSize] - The side of a grid cell in pixels.
+ * @returns {Object} The spatial hash.
+ */
+const buildBroadphase = (entities, types = BROADPHASE_TYPES, cellSize = DEFAULT_CELL_SIZE) => {
+    const hash = createSpatialHash(cellSize);
+    queryEntities(entities, {type: types, with: ['collider']}).forEach(([key, entity]) => hash.insert(key, entity));
+    return hash;
+};
+
+/**
+ * Returns the broadphase maintained by the physics step, building one on the spot when the
+ * entities have not been through `Physics` (e.g. when a system is run on its own).
+ *
+ * @param {Object} entities - The current state of all game entities.
+ * @returns {Object} The spatial hash.
+ */
+const getBroadphase = (entities) => {
+    if (entities.physics && entities.physics.broadphase) return entities.physics.broadphase;
+    return buildBroadphase(entities);
+};
+
+/**
+ * Grows bounds by a margin on every side.
+ *
+ * @param {Object} bounds - The bounds, with `min` and `max` corners.
+ * @param {number} margin - The margin in pixels.
+ * @returns {Object} The grown bounds.
+ */
+const expandBounds = (bounds, margin) => ({
+    min: {x: bounds.min.x - margin, y: bounds.min.y - margin},
+    max: {x: bounds.max.x + margin, y: bounds.max.y + margin}
+});
+
+export {BROADPHASE_TYPES, DEFAULT_CELL_SIZE, buildBroadphase, createSpatialHash, expandBounds, getBroadphase};
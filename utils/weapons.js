@@ -0,0 +1,144 @@
+/**
+ * The weapon the player's tank starts with, and the one used by shooters that do not name one.
+ *
+ * @type {string}
+ */
+const DEFAULT_WEAPON = 'cannon';
+
+// The catalog of weapons
+/**
+ * The weapons, keyed by the name carried by a shooter as its `weapon`.
+ *
+ * - `speed`: how fast the projectiles travel, in pixels per second;
+ * - `radius`: the radius of a projectile, in pixels;
+ * - `damage`: the damage a projectile deals to the tank or wall it hits;
+ * - `cooldown`: the minimum time between two shots of the player, in milliseconds (enemies fire at
+ *   the pace of their AI instead);
+ * - `spread`: the angle a shot may stray from the aim, in radians. A single projectile strays at
+ *   random within it, several are fanned out evenly across it;
+ * - `pellets`: how many projectiles a shot fires at once;
+ * - `range`: how far a projectile flies before it is spent, in pixels, or null to fly until it
+ *   leaves the battlefield;
+ * - `splashRadius` and `splashDamage`: rockets explode where they land, damaging every tank of
+ *   another team and every destructible wall within the radius;
+ * - `bounces` and `bounceFalloff`: ricochet shots bounce off the boundary walls and indestructible
+ *   walls up to `bounces` times, keeping `bounceFalloff` of their damage at every bounce. Once it
+ *   has bounced, a shot can hit the tank that fired it;
+ * - `sound`: the sound played when the weapon fires;
+ * - `color`: the color the projectiles are drawn in.
+ *
+ * Enemy types name a weapon too and may override its projectile (see `ENEMY_TYPES`).
+ *
+ * @type {Object<string, Object>}
+ */
+const WEAPONS = {
+    cannon: {
+        label: 'Cannon',
+        speed: 600,
+        radius: 5,
+        damage: 50,
+        cooldown: 500,
+        spread: 0,
+        pellets: 1,
+        range: null,
+        sound: 'shot',
+        color: 'black'
+    },
+    machineGun: {
+        label: 'Machine Gun',
+        speed: 800,
+        radius: 3,
+        damage: 15,
+        cooldown: 120,
+        spread: 0.12,
+        pellets: 1,
+        range: 450,
+        sound: 'shot',
+        color: '#3a3a3a'
+    },
+    shotgun: {
+        label: 'Shotgun',
+        speed: 650,
+        radius: 4,
+        damage: 20,
+        cooldown: 900,
+        spread: 0.4,
+        pellets: 5,
+        range: 260,
+        sound: 'shot',
+        color: '#5a3a00'
+    },
+    rocket: {
+        label: 'Rockets',
+        speed: 380,
+        radius: 7,
+        damage: 60,
+        cooldown: 1400,
+        spread: 0,
+        pellets: 1,
+        range: 700,
+        splashRadius: 70,
+        splashDamage: 30,
+        sound: 'shot',
+        color: 'orangered'
+    },
+    ricochet: {
+        label: 'Ricochet',
+        speed: 520,
+        radius: 5,
+        damage: 50,
+        cooldown: 700,
+        spread: 0,
+        pellets: 1,
+        range: null,
+        bounces: 3,
+        bounceFalloff: 0.7,
+        sound: 'shot',
+        color: 'teal'
+    }
+};
+
+/**
+ * The weapons the player cycles through with the weapon button, in order.
+ *
+ * @type {string[]}
+ */
+const PLAYER_WEAPONS = ['cannon', 'machineGun', 'shotgun', 'rocket', 'ricochet'];
+
+/**
+ * Returns the name of a weapon, falling back to the default for unknown names.
+ *
+ * @param {string} [name] - The name of the weapon.
+ * @returns {string} A key of `WEAPONS`.
+ */
+const resolveWeapon = (name) => (WEAPONS[name] ? name : DEFAULT_WEAPON);
+
+/**
+ * Returns a weapon definition, falling back to the default weapon for unknown names.
+ *
+ * @param {string} [name] - The name of the weapon.
+ * @returns {Object} The weapon.
+ */
+const getWeapon = (name) => WEAPONS[resolveWeapon(name)];
+
+/**
+ * Returns the weapon a shooter fires: its `weapon` from `WEAPONS`, with the fields of its
+ * `projectile` (the overrides of its enemy type) applied on top.
+ *
+ * @param {Object} entity - The shooting entity.
+ * @returns {Object} The weapon.
+ */
+const getEntityWeapon = (entity) => {
+    const weapon = getWeapon(entity && entity.weapon);
+    return entity && entity.projectile ? {...weapon, ...entity.projectile} : weapon;
+};
+
+/**
+ * Returns the weapon that follows another one in `PLAYER_WEAPONS`, wrapping around.
+ *
+ * @param {string} name - The name of the current weapon.
+ * @returns {string} The name of the next weapon.
+ */
+const getNextWeapon = (name) => PLAYER_WEAPONS[(PLAYER_WEAPONS.indexOf(resolveWeapon(name)) + 1) % PLAYER_WEAPONS.length];
+
+export {DEFAULT_WEAPON, PLAYER_WEAPONS, WEAPONS, getEntityWeapon, getNextWeapon, getWeapon, resolveWeapon};